@@ -0,0 +1,192 @@
+/*
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ *
+*/
+
+/* global self, importScripts, close */
+
+// Runtime for background tasks, declared with <windows-background-task> in config.xml.
+// Task scripts run in a worker without DOM and WinJS app, so cordova.js can't be
+// loaded there. This file is a standalone script instead: it provides a minimal module
+// system with cordova/exec/proxy, so plugins' proxies could be loaded and called:
+//
+//     importScripts('/www/cordova-js-src/backgroundtask.js');
+//     cordova.backgroundTask.loadPlugins(['cordova-plugin-x.XProxy']);
+//     cordova.backgroundTask.run(function (taskInstance) {
+//         return cordova.exec.promise('X', 'sync', []);
+//     });
+
+var definitions = {};
+var modules = {};
+
+// Proxy calls are shared with cordova/exec, see cordova/windows/callProxy
+var isModule = typeof module !== 'undefined' && module.exports;
+if (!isModule) {
+    importScripts('/www/cordova-js-src/windows/callProxy.js');
+}
+var invokeProxy = isModule ? require('cordova/windows/callProxy') : self.callProxy;
+
+function define (id, factory) {
+    definitions[id] = factory;
+}
+
+function requireModule (id) {
+    if (!modules[id]) {
+        if (!definitions[id]) {
+            throw new Error('Module ' + id + ' is not defined');
+        }
+
+        modules[id] = { id: id, exports: {} };
+        definitions[id](requireModule, modules[id].exports, modules[id]);
+    }
+
+    return modules[id].exports;
+}
+
+// Same as cordova/exec/proxy from cordova.js
+var commandProxy = (function () {
+    var proxies = {};
+
+    return {
+        add: function (id, proxy) {
+            proxies[id] = proxy;
+            return proxy;
+        },
+        remove: function (id) {
+            var proxy = proxies[id];
+            delete proxies[id];
+            return proxy;
+        },
+        get: function (service, action) {
+            return proxies[service] ? proxies[service][action] : null;
+        }
+    };
+})();
+
+define('cordova/exec/proxy', function (require, exports, module) {
+    module.exports = commandProxy;
+});
+
+/**
+ * Calls plugin's proxy, same as cordova/exec: proxy could call the callbacks
+ *   or return a promise, exceptions it throws are passed to the fail callback.
+ *   Callbacks are not kept, as there is no app to keep them for.
+ *
+ * @param {Function} success    The success callback
+ * @param {Function} fail       The fail callback
+ * @param {String} service      The name of the service to use
+ * @param {String} action       Action to be run
+ * @param {String[]} [args]     Zero or more arguments to pass to the method
+ */
+function exec (success, fail, service, action, args) {
+    var proxy = commandProxy.get(service, action);
+    var onSuccess = function (result) {
+        if (typeof success === 'function') {
+            success(result);
+        }
+    };
+    var onError = function (error) {
+        if (typeof fail === 'function') {
+            fail(error);
+        }
+    };
+
+    if (!proxy) {
+        onError('Missing Command Error');
+        return;
+    }
+
+    invokeProxy(proxy, args || [], onSuccess, onError, onError);
+}
+
+/**
+ * Promise-based variant of exec, same as cordova.exec.promise
+ *
+ * @param {String} service      The name of the service to use
+ * @param {String} action       Action to be run
+ * @param {String[]} [args]     Zero or more arguments to pass to the method
+ *
+ * @return {Promise} Promise, resolved with the result of the command
+ */
+exec.promise = function (service, action, args) {
+    return new Promise(function (resolve, reject) {
+        exec(resolve, reject, service, action, args);
+    });
+};
+
+var backgroundTask = {
+    /**
+     * Loads plugin modules, usually proxies, by their ids from cordova_plugins.js
+     *
+     * @param {String[]} ids  Module ids, e.g. 'cordova-plugin-x.XProxy'
+     */
+    loadPlugins: function (ids) {
+        if (!definitions['cordova/plugin_list']) {
+            importScripts('/www/cordova_plugins.js');
+        }
+
+        var pluginList = requireModule('cordova/plugin_list');
+        ids.forEach(function (id) {
+            var plugin = pluginList.filter(function (module) { return module.id === id; })[0];
+            if (!plugin) {
+                throw new Error('Plugin module ' + id + ' is not found in cordova_plugins.js');
+            }
+
+            if (!definitions[id]) {
+                importScripts('/www/' + plugin.file);
+            }
+            requireModule(id);
+        });
+    },
+
+    /**
+     * Runs the task and closes it when the work is done.
+     *
+     * @param {Function} handler  Task body, called with the
+     *   WebUIBackgroundTaskInstance. Could return a promise to keep the task
+     *   alive until it is settled.
+     */
+    run: function (handler) {
+        var taskInstance = Windows.UI.WebUI.WebUIBackgroundTaskInstance.current;
+
+        Promise.resolve().then(function () {
+            return handler(taskInstance);
+        }).then(function () {
+            taskInstance.succeeded = true;
+        }, function (error) {
+            console.error('Background task failed: ' + ((error && error.message) || error));
+            taskInstance.succeeded = false;
+        }).then(function () {
+            close();
+        });
+    }
+};
+
+// This file is also built into cordova.js, where it only exports the API
+if (isModule) {
+    module.exports = backgroundTask;
+} else {
+    self.cordova = {
+        define: define,
+        require: requireModule,
+        exec: exec,
+        commandProxy: commandProxy,
+        backgroundTask: backgroundTask
+    };
+}
@@ -24,6 +24,7 @@
 
 var cordova = require('cordova');
 var execProxy = require('cordova/exec/proxy');
+var callProxy = require('cordova/windows/callProxy');
 
 /**
  * Execute a cordova command.  It is up to the native side whether this action
@@ -38,6 +39,11 @@ var execProxy = require('cordova/exec/proxy');
  * @param {String} service      The name of the service to use
  * @param {String} action       Action to be run in cordova
  * @param {String[]} [args]     Zero or more arguments to pass to the method
+ *
+ * Proxy could return a Promise or WinJS.Promise instead of calling callbacks,
+ * its result is passed to the success callback and rejection reason to the
+ * fail callback. Results of promises are ignored if the proxy has called
+ * callbacks itself. Exceptions thrown by proxy are passed to the fail callback.
  */
 module.exports = function (success, fail, service, action, args) {
 
@@ -68,56 +74,76 @@ module.exports = function (success, fail, service, action, args) {
         if (typeof success === 'function' || typeof fail === 'function') {
             cordova.callbacks[callbackId] = { success: success, fail: fail };
         }
-        try {
-            // callbackOptions param represents additional optional parameters command could pass back, like keepCallback or
-            // custom callbackId, for example {callbackId: id, keepCallback: true, status: cordova.callbackStatus.JSON_EXCEPTION }
-            // CB-5806 [Windows8] Add keepCallback support to proxy
-            onSuccess = function (result, callbackOptions) {
-                callbackOptions = callbackOptions || {};
-                var callbackStatus;
-                // covering both undefined and null.
-                // strict null comparison was causing callbackStatus to be undefined
-                // and then no callback was called because of the check in cordova.callbackFromNative
-                // see CB-8996 Mobilespec app hang on windows
-                if (callbackOptions.status !== undefined && callbackOptions.status !== null) {
-                    callbackStatus = callbackOptions.status;
-                } else {
-                    callbackStatus = cordova.callbackStatus.OK;
-                }
-                cordova.callbackSuccess(callbackOptions.callbackId || callbackId,
-                    {
-                        status: callbackStatus,
-                        message: result,
-                        keepCallback: callbackOptions.keepCallback || false
-                    });
-            };
-            onError = function (err, callbackOptions) {
-                callbackOptions = callbackOptions || {};
-                var callbackStatus;
-                // covering both undefined and null.
-                // strict null comparison was causing callbackStatus to be undefined
-                // and then no callback was called because of the check in cordova.callbackFromNative
-                // see CB-8996 Mobilespec app hang on windows
-                if (callbackOptions.status !== undefined && callbackOptions.status !== null) {
-                    callbackStatus = callbackOptions.status;
-                } else {
-                    callbackStatus = cordova.callbackStatus.OK;
-                }
-                cordova.callbackError(callbackOptions.callbackId || callbackId,
-                    {
-                        status: callbackStatus,
-                        message: err,
-                        keepCallback: callbackOptions.keepCallback || false
-                    });
-            };
-            proxy(onSuccess, onError, args);
-
-        } catch (e) {
-            console.log('Exception calling native with command :: ' + service + ' :: ' + action + ' ::exception=' + e);
-        }
+        // callbackOptions param represents additional optional parameters command could pass back, like keepCallback or
+        // custom callbackId, for example {callbackId: id, keepCallback: true, status: cordova.callbackStatus.JSON_EXCEPTION }
+        // CB-5806 [Windows8] Add keepCallback support to proxy
+        onSuccess = function (result, callbackOptions) {
+            callbackOptions = callbackOptions || {};
+            var callbackStatus;
+            // covering both undefined and null.
+            // strict null comparison was causing callbackStatus to be undefined
+            // and then no callback was called because of the check in cordova.callbackFromNative
+            // see CB-8996 Mobilespec app hang on windows
+            if (callbackOptions.status !== undefined && callbackOptions.status !== null) {
+                callbackStatus = callbackOptions.status;
+            } else {
+                callbackStatus = cordova.callbackStatus.OK;
+            }
+            cordova.callbackSuccess(callbackOptions.callbackId || callbackId,
+                {
+                    status: callbackStatus,
+                    message: result,
+                    keepCallback: callbackOptions.keepCallback || false
+                });
+        };
+        onError = function (err, callbackOptions) {
+            callbackOptions = callbackOptions || {};
+            var callbackStatus;
+            // covering both undefined and null.
+            // strict null comparison was causing callbackStatus to be undefined
+            // and then no callback was called because of the check in cordova.callbackFromNative
+            // see CB-8996 Mobilespec app hang on windows
+            if (callbackOptions.status !== undefined && callbackOptions.status !== null) {
+                callbackStatus = callbackOptions.status;
+            } else {
+                callbackStatus = cordova.callbackStatus.OK;
+            }
+            cordova.callbackError(callbackOptions.callbackId || callbackId,
+                {
+                    status: callbackStatus,
+                    message: err,
+                    keepCallback: callbackOptions.keepCallback || false
+                });
+        };
+        callProxy(proxy, args, onSuccess, onError, function (error, isException) {
+            if (isException) {
+                console.error('Exception calling native with command :: ' + service + ' :: ' + action + ' ::exception=' + error);
+            }
+            onError(error, { status: cordova.callbackStatus.ERROR });
+        });
     } else {
         if (typeof fail === 'function') {
             fail('Missing Command Error');
         }
     }
 };
+
+/**
+ * Promise-based variant of exec, resolved with the first result of the command.
+ *
+ *     var result = await cordova.exec.promise('Service', 'action', [arg]);
+ *
+ * @param {String} service      The name of the service to use
+ * @param {String} action       Action to be run in cordova
+ * @param {String[]} [args]     Zero or more arguments to pass to the method
+ *
+ * @return {Promise} Promise, WinJS.Promise if Promise is not available (Windows 8.1)
+ */
+module.exports.promise = function (service, action, args) {
+    var PromiseImpl = typeof Promise !== 'undefined' ? Promise : WinJS.Promise;
+    var exec = module.exports;
+
+    return new PromiseImpl(function (resolve, reject) {
+        exec(resolve, reject, service, action, args);
+    });
+};
@@ -29,23 +29,43 @@ module.exports = {
         var utils = require('cordova/utils');
 
         modulemapper.clobbers('cordova/exec/proxy', 'cordova.commandProxy');
+        modulemapper.defaults('cordova/windows/app', 'navigator.app');
 
         // we will make sure we get this channel
         // TODO: remove this once other platforms catch up.
         if (!channel.onActivated) {
             channel.onActivated = cordova.addDocumentEventHandler('activated');
         }
+        // Listeners added after activation still receive the most recent one
+        require('cordova/windows/activation').replayToLateSubscribers(channel.onActivated);
         channel.onNativeReady.fire();
 
         var onWinJSReady = function () {
             var app = WinJS.Application;
             var splashscreen = require('cordova/splashscreen');
             var configHelper = require('cordova/confighelper');
+            var activation = require('cordova/windows/activation');
+            var sessionState = require('cordova/windows/sessionState');
 
             modulemapper.clobbers('cordova/splashscreen', 'navigator.splashscreen');
 
-            var checkpointHandler = function checkpointHandler () {
-                cordova.fireDocumentEvent('pause', null, true);
+            var checkpointHandler = function checkpointHandler (e) {
+                var promises = [];
+                cordova.fireDocumentEvent('pause', {
+                    // Keeps app running until the promise is settled, so async work isn't killed on suspend
+                    waitUntil: function (promise) {
+                        promises.push(promise);
+                    }
+                }, true);
+
+                // Session state is saved after pause handlers, as they could update it
+                var save = function () { return sessionState.save(); };
+                e.setPromise(WinJS.Promise.join(promises).then(save, function (error) {
+                    console.error('Pause handler failed: ' + error);
+                    return save();
+                }).then(null, function (error) {
+                    console.error('Failed to save session state: ' + error);
+                }));
             };
 
             var resumingHandler = function resumingHandler () {
@@ -60,6 +80,13 @@ module.exports = {
                 platform.activationContext = utils.clone(e.detail); /* CB-10653 to avoid losing detail properties for some activation kinds */
                 platform.activationContext.raw = e.detail; /* CB-11522 to preserve types */
                 platform.activationContext.args = e.detail.arguments; /* for backwards compatibility */
+                // Protocol and file activations, see <windows-protocol> and <windows-file-type> in config.xml
+                if (e.detail.uri) {
+                    platform.activationContext.uri = e.detail.uri;
+                }
+                if (e.detail.files) {
+                    platform.activationContext.files = Array.prototype.slice.call(e.detail.files);
+                }
 
                 function makePromise (fn) {
                     return new WinJS.Promise(function init (completeDispatch, errorDispatch) {
@@ -71,13 +98,22 @@ module.exports = {
                     });
                 }
 
+                // Typed activation object for kind-specific events, see cordova/windows/activation
+                var activationInfo = activation.fromActivatedEventArgs(e.detail);
+                activation.save(activationInfo);
+
                 if (e.detail.previousExecutionState === Windows.ApplicationModel.Activation.ApplicationExecutionState.running
                         || e.detail.previousExecutionState === Windows.ApplicationModel.Activation.ApplicationExecutionState.suspended) {
                     cordova.fireDocumentEvent('activated', platform.activationContext, true);
+                    activation.fireEvent(activationInfo);
                     return;
                 }
 
                 var manifest;
+                var restoreSessionState = e.detail.previousExecutionState === Windows.ApplicationModel.Activation.ApplicationExecutionState.terminated ?
+                    sessionState.restore().then(null, function (error) {
+                        console.error('Failed to restore session state: ' + error);
+                    }) : WinJS.Promise.as();
 
                 e.setPromise(makePromise(configHelper.readManifest).then(function (manifestTmp) {
                     manifest = manifestTmp;
@@ -88,11 +124,23 @@ module.exports = {
                     }).then(function () {
                     // Avoids splashimage flicker on Windows Phone 8.1/10
                         return WinJS.Promise.timeout();
+                    }).then(function () {
+                        // Session state must be available to 'activated' handlers
+                        return restoreSessionState;
                     }).then(function () {
                         cordova.fireDocumentEvent('activated', platform.activationContext, true);
+                        activation.fireEvent(activationInfo);
                     }));
             };
 
+            // In-process app services are activated in background, without 'activated' event
+            var backgroundActivatedHandler = function (e) {
+                var appService = activation.fromBackgroundActivatedEventArgs(e);
+                if (appService) {
+                    activation.fireEvent(appService);
+                }
+            };
+
             // CB-12193 CoreWindow and some WinRT APIs are not available in webview
             var isCoreWindowAvailable = false;
             try {
@@ -104,6 +152,10 @@ module.exports = {
                 app.addEventListener('checkpoint', checkpointHandler);
                 app.addEventListener('activated', activationHandler, false);
                 Windows.UI.WebUI.WebUIApplication.addEventListener('resuming', resumingHandler, false);
+                // 'backgroundactivated' is available since Windows 10 Anniversary Update
+                if ('onbackgroundactivated' in Windows.UI.WebUI.WebUIApplication) {
+                    Windows.UI.WebUI.WebUIApplication.addEventListener('backgroundactivated', backgroundActivatedHandler, false);
+                }
 
                 injectBackButtonHandler();
 
@@ -129,12 +181,24 @@ module.exports = {
         } else {
             onWinJSReady();
         }
+    },
+
+    /**
+     * Returns the most recent activation as a serializable object, see
+     *   cordova/windows/activation for the fields
+     *
+     * @return {Object|null} Activation or null if app hasn't been activated yet
+     */
+    getActivation: function () {
+        return require('cordova/windows/activation').getActivation();
     }
 };
 
 function injectBackButtonHandler () {
 
     var app = WinJS.Application;
+    var backButton = require('cordova/windows/backButton');
+    var configHelper = require('cordova/confighelper');
 
     // create document event handler for backbutton
     var backButtonChannel = cordova.addDocumentEventHandler('backbutton');
@@ -144,37 +208,32 @@ function injectBackButtonHandler () {
     var defaultBackButtonHandler = app.onbackclick || function () { return false; };
 
     var backRequestedHandler = function backRequestedHandler (evt) {
-        // check if listeners are registered, if yes use custom backbutton event
-        // NOTE: On Windows Phone 8.1 backbutton handlers have to throw an exception in order to exit the app
-        if (backButtonChannel.numHandlers >= 1) {
-            try {
-                cordova.fireDocumentEvent('backbutton', evt, true);
-                evt.handled = true; // Windows Mobile requires handled to be set as well;
-                return true;
-            } catch (e) {
-                return false;
-            }
-        } else {
-            // if no listeners are active, use default implementation (backwards compatibility)
-            return defaultBackButtonHandler.apply(app, arguments);
+        // 'backbutton' listeners can call evt.notHandled() to fall back to
+        // history navigation or the default implementation (backwards compatibility)
+        if (backButton.handleBackRequested(evt)) {
+            evt.handled = true; // Windows Mobile requires handled to be set as well;
+            return true;
         }
+        return defaultBackButtonHandler.apply(app, arguments);
     };
 
     // Only load this code if we're running on Win10 in a non-emulated app frame, otherwise crash \o/
     if (navigator.appVersion.indexOf('MSAppHost/3.0') !== -1) { // Windows 10 UWP (PC/Tablet/Phone)
         var navigationManager = Windows.UI.Core.SystemNavigationManager.getForCurrentView();
-        // Inject a listener for the backbutton on the document.
-        backButtonChannel.onHasSubscribersChange = function () {
-            // If we just attached the first handler or detached the last handler,
-            // let native know we need to override the back button.
-            navigationManager.appViewBackButtonVisibility = (this.numHandlers > 0) ?
-                Windows.UI.Core.AppViewBackButtonVisibility.visible :
-                Windows.UI.Core.AppViewBackButtonVisibility.collapsed;
-        };
+        // Title bar back button visibility follows the listeners and history, see cordova/windows/backButton
+        backButton.init(backButtonChannel, navigationManager);
 
         navigationManager.addEventListener('backrequested', backRequestedHandler, false);
     } else { // Windows 8.1 Phone
+        backButton.init(backButtonChannel);
         // inject new back button handler
         app.onbackclick = backRequestedHandler;
     }
+
+    configHelper.readConfig(function (config) {
+        var mode = config.getPreferenceValue('WindowsBackButtonMode');
+        if (mode) {
+            backButton.setMode(mode);
+        }
+    });
 }
@@ -0,0 +1,226 @@
+/*
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ *
+*/
+
+// Normalizes WinRT activation event args into plain objects and fires
+// specific document events for them, e.g.
+//
+//     document.addEventListener('shareTarget', function (activation) {
+//         activation.shareOperation.data.getTextAsync().done(...);
+//     });
+//
+// Each activation object has these fields:
+//     kind                    - 'launch', 'protocol', 'file', 'shareTarget', 'appService', 'toast' or 'other'
+//     previousExecutionState  - 'notRunning', 'running', 'suspended', 'terminated' or 'closedByUser'
+//     raw                     - original event args
+// and kind-specific ones:
+//     launch      - arguments, tileId
+//     protocol    - uri (string)
+//     file        - files (array of StorageFile), verb
+//     shareTarget - shareOperation, dataFormats (array of strings)
+//     appService  - name, callerPackageFamilyName, connection (AppServiceConnection), complete()
+//     toast       - arguments, userInput
+
+var EXECUTION_STATES = ['notRunning', 'running', 'suspended', 'terminated', 'closedByUser'];
+
+// WinJS.Application.sessionState key. WinJS saves session state on suspend and
+// restores it if app is terminated, so the last activation survives that as well.
+var SESSION_STATE_KEY = 'cordovaActivation';
+
+// Serializable copy of the most recent activation, see getActivation
+var current = null;
+
+// Document events fired for activation kinds, in addition to 'activated'
+var EVENTS = {
+    protocol: 'protocolActivated',
+    file: 'fileActivated',
+    shareTarget: 'shareTarget',
+    appService: 'appService',
+    toast: 'toastActivated'
+};
+
+function toArray (vector) {
+    return vector ? Array.prototype.slice.call(vector) : [];
+}
+
+function getKind (detail) {
+    var ActivationKind = Windows.ApplicationModel.Activation.ActivationKind;
+    switch (detail.kind) {
+    case ActivationKind.launch: return 'launch';
+    case ActivationKind.protocol: return 'protocol';
+    case ActivationKind.file: return 'file';
+    case ActivationKind.shareTarget: return 'shareTarget';
+    case ActivationKind.toastNotification: return 'toast';
+    default: return 'other';
+    }
+}
+
+module.exports = {
+    EVENTS: EVENTS,
+
+    /**
+     * Converts args of 'activated' event to activation object
+     *
+     * @param {Object} detail  Activated event args (e.detail of WinJS 'activated' event)
+     * @return {Object} Activation object, see fields above
+     */
+    fromActivatedEventArgs: function (detail) {
+        var activation = {
+            kind: getKind(detail),
+            previousExecutionState: EXECUTION_STATES[detail.previousExecutionState] || 'notRunning',
+            raw: detail
+        };
+
+        switch (activation.kind) {
+        case 'launch':
+            activation.arguments = detail.arguments;
+            activation.tileId = detail.tileId;
+            break;
+        case 'protocol':
+            activation.uri = detail.uri.absoluteUri;
+            break;
+        case 'file':
+            activation.files = toArray(detail.files);
+            activation.verb = detail.verb;
+            break;
+        case 'shareTarget':
+            activation.shareOperation = detail.shareOperation;
+            activation.dataFormats = toArray(detail.shareOperation.data.availableFormats);
+            break;
+        case 'toast':
+            activation.arguments = detail.argument;
+            activation.userInput = detail.userInput;
+            break;
+        }
+
+        return activation;
+    },
+
+    /**
+     * Converts args of WebUIApplication's 'backgroundactivated' event, which
+     *   in-process app services are activated with, to activation object.
+     *   The app service is kept running until complete() is called.
+     *
+     * @param {Object} args  Background activated event args
+     * @return {Object|null} Activation object or null if it is not an app service
+     */
+    fromBackgroundActivatedEventArgs: function (args) {
+        var taskInstance = args.taskInstance;
+        var details = taskInstance.triggerDetails;
+        if (!(details instanceof Windows.ApplicationModel.AppService.AppServiceTriggerDetails)) {
+            return null;
+        }
+
+        var deferral = taskInstance.getDeferral();
+        var complete = function () {
+            if (deferral) {
+                deferral.complete();
+                deferral = null;
+            }
+        };
+        taskInstance.addEventListener('canceled', complete);
+
+        return {
+            kind: 'appService',
+            previousExecutionState: 'running',
+            raw: args,
+            name: details.name,
+            callerPackageFamilyName: details.callerPackageFamilyName,
+            connection: details.appServiceConnection,
+            complete: complete
+        };
+    },
+
+    /**
+     * Remembers activation, so it could be retrieved with getActivation
+     *
+     * @param {Object} activation  Activation object
+     */
+    save: function (activation) {
+        current = {
+            kind: activation.kind,
+            arguments: activation.arguments || '',
+            previousExecutionState: activation.previousExecutionState,
+            tileId: activation.tileId || null,
+            uri: activation.uri || null,
+            files: (activation.files || []).map(function (file) {
+                return { name: file.name, path: file.path };
+            })
+        };
+
+        if (window.WinJS) {
+            WinJS.Application.sessionState[SESSION_STATE_KEY] = current;
+        }
+    },
+
+    /**
+     * Returns the most recent activation as a plain object with kind, arguments,
+     *   previousExecutionState, tileId, uri and files ({ name, path }) fields
+     *
+     * @return {Object|null} Activation or null if app hasn't been activated yet
+     */
+    getActivation: function () {
+        var activation = current || (window.WinJS && WinJS.Application.sessionState[SESSION_STATE_KEY]);
+        return activation ? JSON.parse(JSON.stringify(activation)) : null;
+    },
+
+    /**
+     * Makes channel replay the most recent event to listeners, subscribed after
+     *   it was fired, like sticky channels do for deviceready. Unlike sticky
+     *   channels, it keeps firing subsequent events to all the listeners.
+     *
+     * @param {Channel} channel  Channel to patch, e.g. channel.onActivated
+     */
+    replayToLateSubscribers: function (channel) {
+        var fire = channel.fire;
+        var subscribe = channel.subscribe;
+        var lastFireArgs = null;
+
+        channel.fire = function () {
+            lastFireArgs = Array.prototype.slice.call(arguments);
+            return fire.apply(channel, arguments);
+        };
+
+        channel.subscribe = function (eventListenerOrFunction, eventListener) {
+            var guid = eventListenerOrFunction && eventListenerOrFunction.observer_guid;
+            var isSubscribed = !!(guid && channel.handlers[guid]);
+            subscribe.apply(channel, arguments);
+
+            if (lastFireArgs && !isSubscribed) {
+                if (typeof eventListenerOrFunction === 'function') {
+                    eventListenerOrFunction.apply(eventListener || channel, lastFireArgs);
+                } else {
+                    eventListenerOrFunction.handleEvent.apply(eventListenerOrFunction, lastFireArgs);
+                }
+            }
+        };
+    },
+
+    /**
+     * Fires document event, specific to activation kind, if there is one
+     *
+     * @param {Object} activation  Activation object
+     */
+    fireEvent: function (activation) {
+        if (EVENTS[activation.kind]) {
+            cordova.fireDocumentEvent(EVENTS[activation.kind], activation, true);
+        }
+    }
+};
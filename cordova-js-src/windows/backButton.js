@@ -0,0 +1,221 @@
+/*
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ *
+*/
+
+// Back button behaviour, configured with a preference in config.xml:
+//
+//     <preference name="WindowsBackButtonMode" value="history" />
+//
+//   none    - title bar back button is never shown
+//   always  - title bar back button is always shown
+//   history - title bar back button is shown when there is a page to go back
+//             to or 'backbutton' has listeners. Back button navigates back in
+//             history unless listeners handle it.
+//
+// Without the preference the title bar back button is shown only while
+// 'backbutton' has listeners. Listeners can leave the back button to the
+// default behaviour (history navigation or exit on phone) without throwing:
+//
+//     document.addEventListener('backbutton', function (evt) {
+//         if (!dialog.isOpen) {
+//             evt.notHandled();
+//             return;
+//         }
+//         dialog.close();
+//     });
+
+var MODES = ['none', 'always', 'history'];
+
+var mode = null;
+var backButtonChannel = null;
+var navigationManager = null;
+
+// Index of the current history entry, history.length doesn't decrease on
+// back navigation so it is tracked separately
+var position = 0;
+var isTraversing = false;
+var lastHref = null;
+
+function canGoBack () {
+    return position > 0;
+}
+
+function updateVisibility () {
+    if (!navigationManager) {
+        return;
+    }
+
+    var isVisible;
+    if (mode === 'none') {
+        isVisible = false;
+    } else if (mode === 'always') {
+        isVisible = true;
+    } else if (mode === 'history') {
+        isVisible = backButtonChannel.numHandlers > 0 || canGoBack();
+    } else {
+        isVisible = backButtonChannel.numHandlers > 0;
+    }
+
+    navigationManager.appViewBackButtonVisibility = isVisible ?
+        Windows.UI.Core.AppViewBackButtonVisibility.visible :
+        Windows.UI.Core.AppViewBackButtonVisibility.collapsed;
+}
+
+function traverse (delta) {
+    var target = position + delta;
+    // Out of range traversals are ignored by browser and don't fire events
+    if (delta !== 0 && target >= 0 && target < window.history.length) {
+        position = target;
+        isTraversing = true;
+    }
+}
+
+// Traversals are counted when requested, so events they fire are only used
+// to detect navigations which add history entries, e.g. links to #hash
+function onNavigated () {
+    var href = window.location.href;
+    if (isTraversing) {
+        isTraversing = false;
+    } else if (href !== lastHref) {
+        position++;
+    }
+    lastHref = href;
+    updateVisibility();
+}
+
+function trackHistory () {
+    var history = window.history;
+    var pushState = history.pushState;
+    var replaceState = history.replaceState;
+    var back = history.back;
+    var forward = history.forward;
+    var go = history.go;
+
+    // Assume app has been navigated here from the previous page, if any
+    position = history.length - 1;
+    lastHref = window.location.href;
+
+    history.pushState = function () {
+        pushState.apply(history, arguments);
+        position++;
+        lastHref = window.location.href;
+        updateVisibility();
+    };
+    history.replaceState = function () {
+        replaceState.apply(history, arguments);
+        lastHref = window.location.href;
+    };
+    history.back = function () {
+        traverse(-1);
+        back.apply(history, arguments);
+    };
+    history.forward = function () {
+        traverse(1);
+        forward.apply(history, arguments);
+    };
+    history.go = function (delta) {
+        traverse(Number(delta) || 0);
+        go.apply(history, arguments);
+    };
+
+    window.addEventListener('popstate', onNavigated, false);
+    window.addEventListener('hashchange', onNavigated, false);
+}
+
+module.exports = {
+    MODES: MODES,
+
+    /**
+     * Starts tracking listeners and history. Called by platform on startup.
+     *
+     * @param {Channel} channel  'backbutton' document event channel
+     * @param {Windows.UI.Core.SystemNavigationManager} [systemNavigationManager]
+     *   Manager of the title bar back button, not available on Windows Phone 8.1
+     */
+    init: function (channel, systemNavigationManager) {
+        backButtonChannel = channel;
+        navigationManager = systemNavigationManager;
+
+        backButtonChannel.onHasSubscribersChange = updateVisibility;
+        trackHistory();
+        updateVisibility();
+    },
+
+    /**
+     * @param {String} [value]  One of MODES, case-insensitive. Resets to
+     *   default behaviour if not specified.
+     */
+    setMode: function (value) {
+        var newMode = value ? String(value).toLowerCase() : null;
+        if (newMode && MODES.indexOf(newMode) === -1) {
+            console.warn('Unknown WindowsBackButtonMode "' + value + '", expected one of: ' + MODES.join(', '));
+            return;
+        }
+
+        mode = newMode;
+        updateVisibility();
+    },
+
+    /**
+     * @return {String|null} Current mode or null if default behaviour is used
+     */
+    getMode: function () {
+        return mode;
+    },
+
+    /**
+     * Fires 'backbutton' event and navigates back in history if listeners
+     *   don't handle it in 'history' mode.
+     *
+     * @param {Object} [args] Event args of the system back request, which
+     *   listeners get along with notHandled()
+     * @return {Boolean} Whether back button has been handled, system default
+     *   behaviour should be used otherwise
+     */
+    handleBackRequested: function (args) {
+        var isHandled = false;
+
+        if (backButtonChannel.numHandlers > 0) {
+            isHandled = true;
+            // Properties of the event args are copied, as WinRT objects may not accept new ones
+            var eventData = {};
+            for (var key in args) {
+                eventData[key] = args[key];
+            }
+            eventData.notHandled = function () {
+                isHandled = false;
+            };
+
+            try {
+                cordova.fireDocumentEvent('backbutton', eventData, true);
+            } catch (e) {
+                // Windows Phone 8.1 apps used to throw in order to exit the app
+                isHandled = false;
+            }
+        }
+
+        if (!isHandled && mode === 'history' && canGoBack()) {
+            window.history.back();
+            isHandled = true;
+        }
+
+        return isHandled;
+    }
+};
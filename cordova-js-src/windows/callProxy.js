@@ -0,0 +1,75 @@
+/*
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ *
+*/
+
+// Calls plugin's proxy the way cordova/exec does it. Shared by cordova.js and the
+// background task runtime, which loads this file with importScripts.
+
+/**
+ * Calls proxy with the callbacks. Proxy could call the callbacks or return a
+ *   Promise or WinJS.Promise instead: its result is passed to onSuccess and
+ *   rejection reason to onFailure. Results of promises are ignored if the
+ *   proxy has called callbacks itself. Exceptions thrown by proxy are passed
+ *   to onFailure, unless callbacks have been called before the exception.
+ *
+ * @param {Function} proxy      Proxy function of the command
+ * @param {Array} args          Arguments to pass to the proxy
+ * @param {Function} onSuccess  The success callback passed to the proxy
+ * @param {Function} onError    The error callback passed to the proxy
+ * @param {Function} onFailure  Called with the rejection reason or the
+ *   exception and whether it has been thrown by the proxy
+ */
+function callProxy (proxy, args, onSuccess, onError, onFailure) {
+    var isCallbackCalled = false;
+
+    var success = function () {
+        isCallbackCalled = true;
+        onSuccess.apply(this, arguments);
+    };
+    var error = function () {
+        isCallbackCalled = true;
+        onError.apply(this, arguments);
+    };
+
+    try {
+        var result = proxy(success, error, args);
+
+        if (result && typeof result.then === 'function') {
+            result.then(function (value) {
+                if (!isCallbackCalled) {
+                    onSuccess(value);
+                }
+            }, function (reason) {
+                if (!isCallbackCalled) {
+                    onFailure(reason, false);
+                }
+            });
+        }
+    } catch (e) {
+        if (!isCallbackCalled) {
+            onFailure(e, true);
+        }
+    }
+}
+
+// Global function is used by the background task runtime instead
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = callProxy;
+}
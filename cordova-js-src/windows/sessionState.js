@@ -0,0 +1,115 @@
+/*
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ *
+*/
+
+// App state, which survives app termination while suspended:
+//
+//     var sessionState = cordova.require('cordova/windows/sessionState');
+//     document.addEventListener('pause', function () {
+//         sessionState.set('draft', editor.value);
+//     });
+//     document.addEventListener('activated', function () {
+//         editor.value = sessionState.get('draft') || '';
+//     });
+//
+// State is saved as JSON to app's local folder when app is suspended and is
+// restored before 'activated' event if app has been terminated since then.
+
+var FILE_NAME = 'cordovaSessionState.json';
+// HRESULT of the error getFileAsync fails with if there is no such file
+var E_FILE_NOT_FOUND = -2147024894; // 0x80070002
+
+var state = {};
+// Incremented on every change, so changes made while state is being saved are not lost
+var version = 0;
+var savedVersion = 0;
+
+module.exports = {
+    /**
+     * @param {String} key
+     * @return {*} Value or undefined if there is no value for the key
+     */
+    get: function (key) {
+        return state[key];
+    },
+
+    /**
+     * @param {String} key
+     * @param {*} value  JSON-serializable value
+     */
+    set: function (key, value) {
+        state[key] = value;
+        version++;
+    },
+
+    /**
+     * @param {String} key
+     */
+    remove: function (key) {
+        delete state[key];
+        version++;
+    },
+
+    /**
+     * Saves state to local folder. Called by platform on suspend.
+     *
+     * @return {WinJS.Promise} Promise, resolved when state is saved
+     */
+    save: function () {
+        if (version === savedVersion) {
+            return WinJS.Promise.as();
+        }
+
+        var content = JSON.stringify(state);
+        var savingVersion = version;
+        return Windows.Storage.ApplicationData.current.localFolder
+            .createFileAsync(FILE_NAME, Windows.Storage.CreationCollisionOption.replaceExisting)
+            .then(function (file) {
+                return Windows.Storage.FileIO.writeTextAsync(file, content);
+            })
+            .then(function () {
+                // State stays dirty if write fails, so it is saved on next suspend
+                savedVersion = savingVersion;
+            });
+    },
+
+    /**
+     * Restores state saved before app termination. Called by platform on
+     *   activation when previous execution state is 'terminated'.
+     *
+     * @return {WinJS.Promise} Promise, resolved when state is restored
+     */
+    restore: function () {
+        // tryGetItemAsync is not available on Windows Phone 8.1
+        return Windows.Storage.ApplicationData.current.localFolder.getFileAsync(FILE_NAME)
+            .then(function (file) {
+                return Windows.Storage.FileIO.readTextAsync(file);
+            }, function (error) {
+                if (error && error.number === E_FILE_NOT_FOUND) {
+                    return null;
+                }
+                throw error;
+            })
+            .then(function (content) {
+                state = content ? JSON.parse(content) : {};
+                savedVersion = version;
+            });
+    }
+};
@@ -233,4 +233,91 @@ describe('AppxManifest', function () {
             expect(visualElementsWindowsPhone.getSplashScreenExtension()).toEqual(jpgExtension);
         });
     });
+
+    describe('getImages method', function () {
+        it('Test #019 : should return images referenced by manifest along with their slots', function () {
+            var images = AppxManifest.get(WINDOWS_10_MANIFEST, true).getImages();
+
+            expect(images).toContain({ slot: 'StoreLogo', src: 'images\\StoreLogo.png' });
+            expect(images).toContain({ slot: 'Square44x44Logo', src: 'images\\Square44x44Logo.png' });
+            expect(images).toContain({ slot: 'SplashScreen', src: 'images\\splashscreen.png' });
+            expect(images.length).toBe(7);
+        });
+    });
+
+    describe('Windows 10 extensions methods', function () {
+        var manifest;
+        beforeEach(function () {
+            manifest = AppxManifest.get(WINDOWS_10_MANIFEST, true);
+        });
+
+        it('Test #020 : setProtocols/setFileTypeAssociations should replace only extensions of their category', function () {
+            var extensions = new et.Element('Extensions');
+            var task = new et.Element('Extension', { Category: 'windows.backgroundTasks', EntryPoint: 'Tasks.Sync' });
+            extensions.append(task);
+            manifest.doc.find('./Applications/Application').append(extensions);
+
+            manifest.setProtocols([{ name: 'myapp', displayName: 'My App' }])
+                .setFileTypeAssociations([{ name: 'csv', fileTypes: [{ fileType: '.csv', contentType: 'text/csv' }] }]);
+            manifest.setProtocols([{ name: 'otherapp' }]);
+
+            expect(manifest.getExtensions()).toEqual([
+                { category: 'windows.backgroundTasks', name: 'Tasks.Sync' },
+                { category: 'windows.fileTypeAssociation', name: 'csv', fileTypes: [{ fileType: '.csv', contentType: 'text/csv' }] },
+                { category: 'windows.protocol', name: 'otherapp' }
+            ]);
+
+            manifest.setProtocols([]).setFileTypeAssociations([]);
+            expect(manifest.getExtensions()).toEqual([{ category: 'windows.backgroundTasks', name: 'Tasks.Sync' }]);
+        });
+
+        it('Test #021 : should remove empty Extensions and keep content URI rules before extensions', function () {
+            manifest.setProtocols([{ name: 'myapp', logo: 'images\\protocol.png' }]);
+            manifest.getApplication().setAccessRules(['https://example.com']);
+
+            var children = manifest.doc.find('./Applications/Application').getchildren().map(function (child) { return child.tag; });
+            expect(children.slice(-2)).toEqual(['uap:ApplicationContentUriRules', 'Extensions']);
+            expect(manifest.getExtensions()[0].logo).toBe('images\\protocol.png');
+
+            manifest.setProtocols([]);
+            expect(manifest.doc.find('./Applications/Application/Extensions')).toBe(null);
+        });
+
+        it('Test #022 : setBackgroundTasks should replace JavaScript tasks and keep native ones', function () {
+            var extensions = new et.Element('Extensions');
+            var task = new et.Element('Extension', { Category: 'windows.backgroundTasks', EntryPoint: 'Tasks.Sync' });
+            et.SubElement(et.SubElement(task, 'BackgroundTasks'), 'Task', { Type: 'systemEvent' });
+            extensions.append(task);
+            manifest.doc.find('./Applications/Application').append(extensions);
+
+            manifest.setBackgroundTasks([{ startPage: 'www/tasks/old.js', types: ['timer'] }]);
+            manifest.setBackgroundTasks([{ startPage: 'www/tasks/sync.js', types: ['deviceUse', 'timer', 'pushNotification'] }]);
+
+            expect(manifest.getBackgroundTasks()).toEqual([
+                { entryPoint: 'Tasks.Sync', types: ['systemEvent'] },
+                { startPage: 'www/tasks/sync.js', types: ['timer', 'pushNotification', 'deviceUse'] }
+            ]);
+            var tags = manifest.doc.findall('./Applications/Application/Extensions/Extension/BackgroundTasks/*').map(function (element) {
+                return element.tag;
+            });
+            expect(tags).toEqual(['Task', 'Task', 'Task', 'uap:Task']);
+        });
+
+        it('Test #023 : setShareTarget/setAppServices should declare share target and app services', function () {
+            manifest.setShareTarget({ dataFormats: ['Text'], fileTypes: [{ fileType: '.jpg' }], supportsAnyFileType: true })
+                .setAppServices([{ name: 'com.contoso.sync' }, { name: 'com.contoso.tool', startPage: 'www/services/tool.js' }]);
+
+            expect(manifest.getExtensions()).toEqual([
+                { category: 'windows.shareTarget', dataFormats: ['Text'], fileTypes: [{ fileType: '.jpg' }], supportsAnyFileType: true },
+                { category: 'windows.appService', name: 'com.contoso.sync' },
+                { category: 'windows.appService', name: 'com.contoso.tool', startPage: 'www/services/tool.js' }
+            ]);
+            expect(function () {
+                manifest.setShareTarget({ dataFormats: [] });
+            }).toThrowError(TypeError);
+
+            manifest.setShareTarget(null).setAppServices([]);
+            expect(manifest.getExtensions()).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,104 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var BuildCache = require('../../template/cordova/lib/BuildCache');
+
+describe('BuildCache', function () {
+    var projectRoot;
+    var config = { buildType: 'debug', buildArchs: ['x86'], buildFlags: [] };
+
+    beforeEach(function () {
+        projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'buildcache-'));
+        shell.mkdir('-p', path.join(projectRoot, 'www', 'js'));
+        fs.writeFileSync(path.join(projectRoot, 'www', 'index.html'), '<html></html>');
+        fs.writeFileSync(path.join(projectRoot, 'www', 'js', 'index.js'), 'var a = 1;');
+        fs.writeFileSync(path.join(projectRoot, 'package.windows10.appxmanifest'), '<Package />');
+        fs.writeFileSync(path.join(projectRoot, 'CordovaApp.Windows10.jsproj'), '<Project />');
+        fs.writeFileSync(path.join(projectRoot, 'CordovaAppDebug.projitems'), '<Project />');
+        fs.writeFileSync(path.join(projectRoot, 'app.appx'), '');
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', projectRoot);
+    });
+
+    it('should list www files, manifests, projects and build configs as inputs', function () {
+        expect(new BuildCache(projectRoot).getInputFiles()).toEqual([
+            'CordovaApp.Windows10.jsproj',
+            'CordovaAppDebug.projitems',
+            'package.windows10.appxmanifest',
+            path.join('www', 'index.html'),
+            path.join('www', 'js', 'index.js')
+        ]);
+    });
+
+    it('should list images and localized strings as inputs', function () {
+        shell.mkdir('-p', path.join(projectRoot, 'images'), path.join(projectRoot, 'strings', 'en-us'));
+        fs.writeFileSync(path.join(projectRoot, 'images', 'SplashScreen.scale-100.png'), 'png');
+        fs.writeFileSync(path.join(projectRoot, 'strings', 'en-us', 'resources.resjson'), '{}');
+
+        var cache = new BuildCache(projectRoot);
+        var files = cache.getInputFiles();
+        expect(files).toContain(path.join('images', 'SplashScreen.scale-100.png'));
+        expect(files).toContain(path.join('strings', 'en-us', 'resources.resjson'));
+
+        var hash = cache.computeHash();
+        fs.writeFileSync(path.join(projectRoot, 'images', 'SplashScreen.scale-100.png'), 'new png');
+        expect(cache.computeHash()).not.toBe(hash);
+
+        hash = cache.computeHash();
+        fs.writeFileSync(path.join(projectRoot, 'strings', 'en-us', 'resources.resjson'), '{"name": "App"}');
+        expect(cache.computeHash()).not.toBe(hash);
+    });
+
+    it('should change hash when any of inputs changes', function () {
+        var cache = new BuildCache(projectRoot);
+        var hash = cache.computeHash();
+        expect(cache.computeHash()).toBe(hash);
+
+        fs.writeFileSync(path.join(projectRoot, 'www', 'js', 'index.js'), 'var a = 2;');
+        expect(cache.computeHash()).not.toBe(hash);
+    });
+
+    it('should be up to date only for the same key, hash and existing package', function () {
+        var key = BuildCache.getKey(config, ['CordovaApp.Windows10.jsproj']);
+        var otherKey = BuildCache.getKey({ buildType: 'release', buildArchs: ['x86'], buildFlags: [] }, ['CordovaApp.Windows10.jsproj']);
+        var packagePath = path.join(projectRoot, 'app.appx');
+        var cache = new BuildCache(projectRoot);
+        var hash = cache.computeHash();
+
+        expect(cache.isUpToDate(key, hash)).toBe(false);
+        cache.update(key, hash, packagePath);
+
+        // reload cache from disk
+        cache = new BuildCache(projectRoot);
+        expect(cache.isUpToDate(key, hash)).toBe(true);
+        expect(cache.getPackage(key)).toBe(packagePath);
+        expect(cache.getPackage(otherKey)).toBe(null);
+        expect(cache.isUpToDate(key, 'otherhash')).toBe(false);
+        expect(cache.isUpToDate(otherKey, hash)).toBe(false);
+
+        fs.unlinkSync(packagePath);
+        expect(cache.isUpToDate(key, hash)).toBe(false);
+    });
+});
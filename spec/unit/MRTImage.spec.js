@@ -17,6 +17,7 @@
     under the License.
 */
 
+var path = require('path');
 var MRTImage = require('../../template/cordova/lib/MRTImage');
 
 describe('MRTImage class', function () {
@@ -35,6 +36,65 @@ describe('MRTImage class', function () {
         expect(new MRTImage('some/path/Image.targetsize-20_altform-unplated.png').qualifiers).toBe('targetsize-20_altform-unplated');
     });
 
+    it('should parse compound qualifiers into structured fields', function () {
+        var image = new MRTImage('some/path/Image.scale-200_contrast-high.png');
+        expect(image.scale).toBe(200);
+        expect(image.contrast).toBe('high');
+        expect(image.isValid()).toBe(true);
+
+        image = new MRTImage('some/path/Image.targetsize-48_altform-unplated.png');
+        expect(image.scale).toBeUndefined();
+        expect(image.targetSize).toBe(48);
+        expect(image.altform).toBe('unplated');
+
+        image = new MRTImage('some/path/Image.theme-dark_lang-en-US.png');
+        expect(image.theme).toBe('dark');
+        expect(image.language).toBe('en-us');
+        expect(image.qualifierValues).toEqual({ theme: 'dark', language: 'en-us' });
+
+        expect(new MRTImage('some/path/Image.png').scale).toBe(100);
+    });
+
+    it('should parse qualifiers from folder names', function () {
+        var image = new MRTImage(path.join('res', 'contrast-black', 'scale-200', 'Logo.targetsize-16.png'));
+
+        expect(image.basename).toBe('Logo');
+        expect(image.baseLocation).toBe('res');
+        expect(image.qualifiers).toBe('contrast-black_scale-200_targetsize-16');
+        expect(image.contrast).toBe('black');
+        expect(image.scale).toBe(200);
+        expect(image.targetSize).toBe(16);
+
+        expect(new MRTImage(path.join('res', 'theme-dark', 'Logo.png')).qualifiers).toBe('theme-dark');
+        expect(new MRTImage(path.join('res', 'my-images', 'Logo.png')).baseLocation).toBe(path.join('res', 'my-images'));
+    });
+
+    it('should report unknown, invalid and duplicate qualifiers', function () {
+        expect(new MRTImage('some/path/Image.scale-big.png').errors).toEqual(['Invalid value of "scale" qualifier: "big"']);
+        expect(new MRTImage('some/path/Image.contrast-pink.png').isValid()).toBe(false);
+
+        // Unknown qualifiers don't make images invalid, so they are still copied
+        var unknown = new MRTImage('some/path/Basename.with.dots.png');
+        expect(unknown.isValid()).toBe(true);
+        expect(unknown.warnings).toEqual(['Unknown qualifier "dots"']);
+        expect(unknown.qualifiers).toBe('dots');
+
+        expect(new MRTImage(path.join('res', 'scale-200', 'Image.scale-100.png')).errors)
+            .toEqual(['Qualifier "scale" is specified more than once']);
+    });
+
+    describe('isQualifierFolder method', function () {
+        it('should detect folders named after qualifiers', function () {
+            expect(MRTImage.isQualifierFolder('contrast-high')).toBe(true);
+            expect(MRTImage.isQualifierFolder('scale-200_theme-light')).toBe(true);
+            expect(MRTImage.isQualifierFolder('lang-fr-FR')).toBe(true);
+
+            expect(MRTImage.isQualifierFolder('images')).toBe(false);
+            expect(MRTImage.isQualifierFolder('contrast-pink')).toBe(false);
+            expect(MRTImage.isQualifierFolder('res-windows')).toBe(false);
+        });
+    });
+
     describe('matchesTo method', function () {
         it('should compare MRTImage instances properly', function () {
             var testImage = new MRTImage('some/path/Basename.scale-240.png');
@@ -66,5 +126,11 @@ describe('MRTImage class', function () {
             expect(testImage.generateFilenameFrom('NewName')).toMatch(/\.scale-240\.png$/);
             expect(testImage.generateFilenameFrom('NewName.with.dots-and-dashes')).toMatch(/\.scale-240\.png$/);
         });
+
+        it('should move folder qualifiers to the filename', function () {
+            var testImage = new MRTImage(path.join('res', 'contrast-high', 'Basename.scale-200.png'));
+
+            expect(testImage.generateFilenameFrom('NewName')).toBe('NewName.contrast-high_scale-200.png');
+        });
     });
 });
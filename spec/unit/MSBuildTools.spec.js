@@ -228,3 +228,59 @@ describe('getMSBuildToolsAt method', function () {
         );
     });
 });
+
+describe('createPrefixedWriter method', function () {
+    var createPrefixedWriter = buildTools.__get__('createPrefixedWriter');
+
+    it('should prefix every complete line and keep incomplete ones until flushed', function () {
+        var stream = { write: jasmine.createSpy('write') };
+        var writer = createPrefixedWriter('[x86] ', stream);
+
+        writer.write('first line\r\nsecond ');
+        expect(stream.write.calls.allArgs()).toEqual([['[x86] first line\n']]);
+
+        writer.write('line\nthird');
+        writer.flush();
+        expect(stream.write.calls.allArgs()).toEqual([
+            ['[x86] first line\n'],
+            ['[x86] second line\n'],
+            ['[x86] third\n']
+        ]);
+    });
+});
+
+describe('parseDiagnostics method', function () {
+    it('should parse errors and warnings in canonical msbuild format', function () {
+        var output = [
+            'Build started.',
+            'C:\\MSBuild\\Microsoft.AppxPackage.Targets(2138,5): error APPX0107: The certificate is not valid. [C:\\app\\CordovaApp.Windows10.jsproj]',
+            'www\\js\\index.js(3): warning JS1001: Something is wrong',
+            'MSBUILD : error MSB1009: Project file does not exist.'
+        ].join('\r\n');
+
+        var diagnostics = buildTools.parseDiagnostics(output);
+
+        expect(diagnostics.length).toBe(3);
+        expect(diagnostics[0]).toEqual({
+            severity: 'error',
+            code: 'APPX0107',
+            message: 'The certificate is not valid.',
+            file: 'C:\\MSBuild\\Microsoft.AppxPackage.Targets',
+            line: 2138,
+            column: 5,
+            endLine: null,
+            endColumn: null,
+            project: 'C:\\app\\CordovaApp.Windows10.jsproj'
+        });
+        expect(diagnostics[1].severity).toBe('warning');
+        expect(diagnostics[1].line).toBe(3);
+        expect(diagnostics[1].column).toBeNull();
+        expect(diagnostics[2].file).toBe('MSBUILD');
+        expect(diagnostics[2].code).toBe('MSB1009');
+    });
+
+    it('should return empty list for empty output', function () {
+        expect(buildTools.parseDiagnostics('')).toEqual([]);
+        expect(buildTools.parseDiagnostics(undefined)).toEqual([]);
+    });
+});
@@ -17,11 +17,14 @@
     under the License.
 */
 
+var Q = require('q');
 var rewire = require('rewire');
 var prepare = rewire('../../template/cordova/lib/prepare');
 var AppxManifest = require('../../template/cordova/lib/AppxManifest');
 var ConfigParser = require('../../template/cordova/lib/ConfigParser');
 var fs = require('fs');
+var os = require('os');
+var shell = require('shelljs');
 var et = require('elementtree');
 var events = require('cordova-common').events;
 var path = require('path');
@@ -458,6 +461,202 @@ describe('Package description', function () {
     });
 });
 
+describe('localized manifest resources', function () {
+    var applyLocalizedStrings = prepare.__get__('applyLocalizedStrings');
+    var projectRoot;
+
+    function createConfig (elements) {
+        var configPath = path.join(projectRoot, 'config.xml');
+        fs.writeFileSync(configPath, '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<widget xmlns="http://www.w3.org/ns/widgets" id="org.apache.cordova.HelloCordova" version="1.0.0" defaultlocale="en-US">' +
+            '<name>Hello</name><description>Description</description><author>Apache</author>' + elements + '</widget>');
+        return new ConfigParser(configPath);
+    }
+
+    function prepareManifest (config) {
+        var manifest = AppxManifest.get(path.join(projectRoot, Win10ManifestName), /* ignoreCache= */true);
+        applyCoreProperties(config, manifest);
+        applyLocalizedStrings(config, manifest);
+        return manifest;
+    }
+
+    function readStrings (language) {
+        return JSON.parse(fs.readFileSync(path.join(projectRoot, 'strings', language, 'resources.resjson'), 'utf-8'));
+    }
+
+    function getLanguages (manifest) {
+        return manifest.doc.findall('./Resources/Resource').map(function (resource) { return resource.attrib.Language; });
+    }
+
+    beforeEach(function () {
+        projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'prepare-strings-'));
+        shell.cp(Win10ManifestPath, projectRoot);
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', projectRoot);
+    });
+
+    it('should write translations to resjson files and reference them from manifest', function () {
+        var manifest = prepareManifest(createConfig('<name xml:lang="de-DE">Hallo</name>' +
+            '<description xml:lang="fr-FR">Description\tFR</description>' +
+            '<preference name="WindowsStorePublisherName" lang="de-DE" value="Apache DE" />'));
+
+        expect(readStrings('en-US')).toEqual({
+            AppDisplayName: 'Hello', StoreDisplayName: 'Hello', PublisherDisplayName: 'Apache', AppDescription: 'Description'
+        });
+        expect(readStrings('de-DE')).toEqual({
+            AppDisplayName: 'Hallo', StoreDisplayName: 'Hallo', PublisherDisplayName: 'Apache DE', AppDescription: 'Description'
+        });
+        expect(readStrings('fr-FR').AppDescription).toBe('Description    FR');
+
+        expect(manifest.getVisualElements().getDisplayName()).toBe('ms-resource:AppDisplayName');
+        expect(manifest.getVisualElements().getDescription()).toBe('ms-resource:AppDescription');
+        expect(manifest.getProperties().getDisplayName()).toBe('ms-resource:StoreDisplayName');
+        expect(manifest.getProperties().getPublisherDisplayName()).toBe('ms-resource:PublisherDisplayName');
+        expect(manifest.getProperties().getDescription()).toBe('ms-resource:AppDescription');
+        expect(getLanguages(manifest)).toEqual(['en-US', 'de-DE', 'fr-FR']);
+    });
+
+    it('should not use translated app name as Store display name if the latter is set explicitly', function () {
+        var manifest = prepareManifest(createConfig('<name xml:lang="de-DE">Hallo</name>' +
+            '<preference name="WindowsStoreDisplayName" value="Hello Store" />'));
+
+        expect(readStrings('de-DE')).toEqual({ AppDisplayName: 'Hallo' });
+        expect(manifest.getProperties().getDisplayName()).toBe('Hello Store');
+        expect(manifest.getProperties().getDescription()).toBe('Description');
+    });
+
+    it('should remove managed strings and languages when translations are removed', function () {
+        var stringsFile = path.join(projectRoot, 'strings', 'de-DE', 'resources.resjson');
+        prepareManifest(createConfig('<name xml:lang="de-DE">Hallo</name>'));
+        fs.writeFileSync(stringsFile, JSON.stringify(Object.assign(readStrings('de-DE'), { Greeting: 'Guten Tag' })));
+
+        var manifest = prepareManifest(createConfig(''));
+
+        expect(readStrings('de-DE')).toEqual({ Greeting: 'Guten Tag' });
+        expect(fs.existsSync(path.join(projectRoot, 'strings', 'en-US'))).toBe(false);
+        expect(manifest.getVisualElements().getDisplayName()).toBe('Hello');
+        expect(getLanguages(manifest)).toEqual(['x-generate']);
+    });
+
+    it('should keep translations when merging project config.xml into the platform one', function () {
+        var updateConfigFilesFrom = prepare.__get__('updateConfigFilesFrom');
+        var sourceConfig = createConfig('<name xml:lang="de-DE">Hallo</name>' +
+            '<preference name="WindowsStoreDisplayName" value="Hello Store" />' +
+            '<platform name="windows"><preference name="WindowsStoreDisplayName" lang="de-DE" value="Hallo Store" /></platform>');
+        var locations = {
+            configXml: path.join(projectRoot, 'platform_config.xml'),
+            defaultConfigXml: path.join(projectRoot, 'defaults.xml')
+        };
+        shell.cp(path.join(__dirname, '../../template/config.xml'), locations.configXml);
+        var munger = { reapply_global_munge: function () { return { save_all: function () {} }; } };
+
+        var config = updateConfigFilesFrom(sourceConfig, munger, locations);
+
+        expect(config.name()).toBe('Hello');
+        expect(config.getPreference('WindowsStoreDisplayName')).toBe('Hello Store');
+        expect(config.getLocalizedStrings()).toEqual({ 'de-DE': { name: 'Hallo', WindowsStoreDisplayName: 'Hallo Store' } });
+        expect(new ConfigParser(locations.configXml).getLocalizedStrings()).toEqual(config.getLocalizedStrings());
+    });
+});
+
+describe('applyActivationExtensions method', function () {
+    var applyActivationExtensions = prepare.__get__('applyActivationExtensions');
+
+    it('should declare valid protocols and file types in manifest and warn about invalid ones', function () {
+        var config = {
+            getProtocols: function () {
+                return [{ name: 'MyApp', displayName: 'My App' }, { name: 'http' }, { name: 'a' }];
+            },
+            getFileTypeAssociations: function () {
+                return [
+                    { name: 'csv', fileTypes: [{ fileType: '.CSV' }, { fileType: 'tsv' }] },
+                    { name: 'empty', fileTypes: [] }
+                ];
+            },
+            getShareTarget: function () { return null; },
+            getAppServices: function () { return []; }
+        };
+        var manifest = AppxManifest.get(Win10ManifestPath, /* ignoreCache= */true);
+        spyOn(events, 'emit');
+
+        applyActivationExtensions(config, manifest);
+
+        expect(manifest.getExtensions()).toEqual([
+            { category: 'windows.protocol', name: 'myapp', displayName: 'My App' },
+            { category: 'windows.fileTypeAssociation', name: 'csv', fileTypes: [{ fileType: '.csv' }] }
+        ]);
+        var warnings = events.emit.calls.allArgs().filter(function (args) { return args[0] === 'warn'; });
+        expect(warnings.length).toBe(4);
+        expect(warnings[0][1]).toMatch(/Protocol "http" is not a valid URI scheme or is reserved/);
+        expect(warnings[2][1]).toMatch(/File type "tsv" of "csv" file type association should start with "."/);
+        expect(warnings[3][1]).toMatch(/File type association "empty" should have/);
+    });
+
+    it('should declare share target and app services', function () {
+        var config = {
+            getProtocols: function () { return []; },
+            getFileTypeAssociations: function () { return []; },
+            getShareTarget: function () {
+                return { dataFormats: ['Text', 'URI'], fileTypes: [], supportsAnyFileType: false };
+            },
+            getAppServices: function () {
+                return [{ name: 'com.contoso.sync' }, { name: 'com.contoso.tool', src: 'www/missing.js' }, { name: 'bad name' }];
+            }
+        };
+        var manifest = AppxManifest.get(Win10ManifestPath, /* ignoreCache= */true);
+        spyOn(events, 'emit');
+
+        applyActivationExtensions(config, manifest);
+
+        expect(manifest.getExtensions()).toEqual([
+            { category: 'windows.shareTarget', dataFormats: ['Text', 'URI'], fileTypes: [] },
+            { category: 'windows.appService', name: 'com.contoso.sync' }
+        ]);
+        var warnings = events.emit.calls.allArgs().filter(function (args) { return args[0] === 'warn'; });
+        expect(warnings.length).toBe(2);
+        expect(warnings[0][1]).toMatch(/App service script "www\/missing.js" doesn't exist/);
+        expect(warnings[1][1]).toMatch(/App service name "bad name" should be/);
+    });
+});
+
+describe('applyBackgroundTasks method', function () {
+    var applyBackgroundTasks = prepare.__get__('applyBackgroundTasks');
+    var projectRoot;
+
+    beforeEach(function () {
+        projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'prepare-tasks-'));
+        shell.cp(Win10ManifestPath, projectRoot);
+        shell.mkdir('-p', path.join(projectRoot, 'www', 'tasks'));
+        fs.writeFileSync(path.join(projectRoot, 'www', 'tasks', 'sync.js'), '');
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', projectRoot);
+    });
+
+    it('should declare background tasks with existing scripts and known trigger types', function () {
+        var config = {
+            getBackgroundTasks: function () {
+                return [
+                    { src: '/www/tasks/sync.js', types: ['Timer', 'shake'] },
+                    { src: 'www/tasks/missing.js', types: ['timer'] }
+                ];
+            }
+        };
+        var manifest = AppxManifest.get(path.join(projectRoot, Win10ManifestName), /* ignoreCache= */true);
+        spyOn(events, 'emit');
+
+        applyBackgroundTasks(config, manifest);
+
+        expect(manifest.getBackgroundTasks()).toEqual([{ startPage: 'www/tasks/sync.js', types: ['timer'] }]);
+        var warnings = events.emit.calls.allArgs().filter(function (args) { return args[0] === 'warn'; });
+        expect(warnings[0][1]).toMatch(/Unknown trigger type "shake" of background task www\/tasks\/sync.js/);
+        expect(warnings[1][1]).toMatch(/Background task script "www\/tasks\/missing.js" doesn't exist/);
+    });
+});
+
 describe('copyIcons method', function () {
     var copyImages = prepare.__get__('copyImages');
     var logFileOp = prepare.__get__('logFileOp');
@@ -543,6 +742,39 @@ describe('copyIcons method', function () {
                     path.join('res', 'Windows', 'Square44x44.targetsize-16_altform-unplated_scale-200.png');
             expect(FileUpdater.updatePaths).toHaveBeenCalledWith(expectedPathMap, { rootDir: PROJECT }, logFileOp);
         });
+
+        it('should copy images from qualifier folders and images with unknown qualifiers, skipping invalid ones', function () {
+            var resDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepare-'));
+            ['contrast-black', path.join('contrast-high', 'scale-200'), 'icons'].forEach(function (folder) {
+                shell.mkdir('-p', path.join(resDir, folder));
+            });
+            ['Logo.scale-100.png', 'Logo.targetsize-48_altform-unplated.png', 'Logo.theme-dark.png', 'Logo.scale-huge.png', 'Logo.windows.png',
+                path.join('contrast-black', 'Logo.png'), path.join('contrast-high', 'scale-200', 'Logo.png'), path.join('icons', 'Logo.png')
+            ].forEach(function (file) {
+                shell.cp(path.resolve(__dirname, '../../template/images/Square44x44Logo.scale-100.png'), path.join(resDir, file));
+            });
+
+            var warnSpy = jasmine.createSpy('warn');
+            events.on('warn', warnSpy);
+
+            var images = [{ src: path.join(resDir, 'Logo.png'), target: 'Square44x44Logo' }];
+            var project = { projectConfig: createMockConfig(images), root: PROJECT };
+            copyImages(project, { root: PROJECT });
+            events.removeListener('warn', warnSpy);
+
+            var expectedPathMap = {};
+            expectedPathMap[path.join('images', 'Square44x44Logo.scale-100.png')] = path.join(resDir, 'Logo.scale-100.png');
+            expectedPathMap[path.join('images', 'Square44x44Logo.targetsize-48_altform-unplated.png')] = path.join(resDir, 'Logo.targetsize-48_altform-unplated.png');
+            expectedPathMap[path.join('images', 'Square44x44Logo.theme-dark.png')] = path.join(resDir, 'Logo.theme-dark.png');
+            expectedPathMap[path.join('images', 'Square44x44Logo.contrast-black.png')] = path.join(resDir, 'contrast-black', 'Logo.png');
+            expectedPathMap[path.join('images', 'Square44x44Logo.contrast-high_scale-200.png')] = path.join(resDir, 'contrast-high', 'scale-200', 'Logo.png');
+            expectedPathMap[path.join('images', 'Square44x44Logo.windows.png')] = path.join(resDir, 'Logo.windows.png');
+            expect(FileUpdater.updatePaths).toHaveBeenCalledWith(expectedPathMap, { rootDir: PROJECT }, logFileOp);
+            expect(warnSpy).toHaveBeenCalledWith(jasmine.stringMatching(/Logo.scale-huge.png" has invalid MRT qualifiers/));
+            expect(warnSpy).toHaveBeenCalledWith(jasmine.stringMatching(/Logo.windows.png" has qualifiers unknown to MRT.*Unknown qualifier "windows"/));
+
+            shell.rm('-rf', resDir);
+        });
     });
 
     it('should ignore splashScreens for Windows 10 project with size >200K and emit a warning', function () {
@@ -708,4 +940,240 @@ describe('copyIcons method', function () {
         expect(win81Manifest.getVisualElements().getSplashScreenExtension()).toBe('.jpg');
         expect(wp81Manifest.getVisualElements().getSplashScreenExtension()).toBe('.jpg');
     });
+
+    it('should not copy master images', function () {
+        var images = [
+            { src: 'res/Windows/icon.png', target: 'master' },
+            { src: 'res/Windows/Square44x44Logo_100.png', width: '44', height: '44' }
+        ];
+        var project = { projectConfig: createMockConfig(images, [{ src: 'res/Windows/splash.png', target: 'master' }]), root: PROJECT };
+        var locations = { root: PROJECT };
+
+        var resourceMap = copyImages(project, locations);
+
+        var expectedPathMap = {};
+        expectedPathMap['images' + path.sep + 'Square44x44Logo.scale-100.png'] = 'res/Windows/Square44x44Logo_100.png';
+        expect(resourceMap).toEqual(expectedPathMap);
+        expect(FileUpdater.updatePaths).toHaveBeenCalledWith(expectedPathMap, { rootDir: PROJECT }, logFileOp);
+    });
+});
+
+describe('image dimensions validation', function () {
+    var copyImages = prepare.__get__('copyImages');
+    var reportMissingImages = prepare.__get__('reportMissingImages');
+    var TEMPLATE = path.resolve(__dirname, '../../template');
+
+    var resDir;
+    var warnSpy;
+
+    function createMockConfig (images) {
+        var result = jasmine.createSpyObj('config', ['getIcons', 'getSplashScreens']);
+        result.getIcons.and.returnValue(images);
+        result.getSplashScreens.and.returnValue([]);
+
+        return result;
+    }
+
+    function addImage (name, templateImage) {
+        var file = path.join(resDir, name);
+        shell.cp(path.join(TEMPLATE, 'images', templateImage), file);
+        return file;
+    }
+
+    beforeEach(function () {
+        resDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepare-'));
+        warnSpy = jasmine.createSpy('warn');
+        events.on('warn', warnSpy);
+        spyOn(FileUpdater, 'updatePaths');
+    });
+
+    afterEach(function () {
+        events.removeListener('warn', warnSpy);
+        shell.rm('-rf', resDir);
+    });
+
+    it('should skip images which real size differs from the declared one', function () {
+        var images = [
+            { src: addImage('logo44.png', 'Square44x44Logo.scale-100.png'), width: '44', height: '44' },
+            { src: addImage('logo150.png', 'Square44x44Logo.scale-240.png'), width: '150', height: '150' }
+        ];
+
+        var resourceMap = copyImages({ projectConfig: createMockConfig(images), root: resDir }, { root: resDir });
+
+        var expectedPathMap = {};
+        expectedPathMap[path.join('images', 'Square44x44Logo.scale-100.png')] = images[0].src;
+        expect(resourceMap).toEqual(expectedPathMap);
+        expect(warnSpy).toHaveBeenCalledWith(jasmine.stringMatching(/logo150.png" is 106x106, but it is declared as 150x150 in config.xml and Square150x150Logo.scale-100 must be 150x150/));
+    });
+
+    it('should skip images in unsupported format regardless of extension', function () {
+        var gif = path.join(resDir, 'logo.png');
+        fs.writeFileSync(gif, Buffer.from([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x2c, 0x00, 0x2c, 0x00, 0x00, 0x00, 0x00]));
+
+        var resourceMap = copyImages({ projectConfig: createMockConfig([{ src: gif, width: '44', height: '44' }]), root: resDir }, { root: resDir });
+
+        expect(resourceMap).toEqual({});
+        expect(warnSpy).toHaveBeenCalledWith(jasmine.stringMatching(/logo.png" is GIF image, but only PNG and JPEG images are supported/));
+    });
+
+    it('should warn if MRT image size doesn\'t match its scale', function () {
+        addImage('Logo.scale-200.png', 'Square44x44Logo.scale-100.png');
+        addImage('Logo.targetsize-44.png', 'Square44x44Logo.scale-100.png');
+
+        var images = [{ src: path.join(resDir, 'Logo.png'), target: 'Square44x44Logo' }];
+        var resourceMap = copyImages({ projectConfig: createMockConfig(images), root: resDir }, { root: resDir });
+
+        expect(Object.keys(resourceMap).length).toBe(2);
+        expect(warnSpy.calls.count()).toBe(1);
+        expect(warnSpy).toHaveBeenCalledWith(jasmine.stringMatching(/Logo.scale-200.png" is 44x44, but Square44x44Logo.scale-200 should be 88x88/));
+    });
+
+    it('should report manifest slots without images', function () {
+        shell.cp(path.join(TEMPLATE, 'package.windows10.appxmanifest'), resDir);
+        shell.cp('-R', path.join(TEMPLATE, 'images'), resDir);
+        shell.rm(path.join(resDir, 'images', 'Square71x71Logo.*'), path.join(resDir, 'images', 'Wide310x150Logo.*'));
+        AppxManifest.purgeCache();
+
+        var config = jasmine.createSpyObj('config', ['getWindowsTargetVersion', 'getWindowsPhoneTargetVersion']);
+        config.getWindowsTargetVersion.and.returnValue('10.0');
+        config.getWindowsPhoneTargetVersion.and.returnValue('10.0');
+
+        reportMissingImages(config, { root: resDir });
+
+        expect(warnSpy.calls.count()).toBe(1);
+        expect(warnSpy.calls.argsFor(0)[0]).toMatch(/images referenced in package.windows10.appxmanifest have no assets: /);
+        expect(warnSpy.calls.argsFor(0)[0]).toMatch(/Square71x71Logo \(images\\Square71x71Logo.png\), Wide310x150Logo \(images\\Wide310x150Logo.png\)\./);
+        AppxManifest.purgeCache();
+    });
+
+    it('should find image assets case-insensitively', function () {
+        shell.cp('-R', path.join(TEMPLATE, 'images'), resDir);
+
+        expect(prepare.findImageAssets(resDir, 'images\\splashscreen.png')).toEqual([path.join(resDir, 'images', 'SplashScreen.scale-100.png')]);
+        expect(prepare.findImageAssets(resDir, 'images\\StoreLogo.png').length).toBe(2);
+        expect(prepare.findImageAssets(resDir, 'images\\Missing.png')).toEqual([]);
+    });
+});
+
+describe('generateImages method', function () {
+    var generateImages = prepare.__get__('generateImages');
+    var imageGenerator = prepare.__get__('imageGenerator');
+
+    var PROJECT = '/some/path';
+
+    function createMockConfig (preferences, windowsTargetVersion) {
+        var result = jasmine.createSpyObj('config', ['getPreference', 'getWindowsTargetVersion', 'getWindowsPhoneTargetVersion']);
+        result.getPreference.and.callFake(function (name) { return preferences[name]; });
+        result.getWindowsTargetVersion.and.returnValue(windowsTargetVersion);
+        result.getWindowsPhoneTargetVersion.and.returnValue('10.0');
+
+        return result;
+    }
+
+    function createMockProject (icons, splashScreens) {
+        var projectConfig = jasmine.createSpyObj('projectConfig', ['getIcons', 'getSplashScreens']);
+        projectConfig.getIcons.and.returnValue(icons);
+        projectConfig.getSplashScreens.and.returnValue(splashScreens);
+
+        return { projectConfig: projectConfig, root: PROJECT, locations: {} };
+    }
+
+    beforeEach(function () {
+        spyOn(imageGenerator, 'generate').and.returnValue(Q([]));
+    });
+
+    it('should do nothing if there are no master images', function () {
+        var project = createMockProject([{ src: 'res/icon.png', width: '44', height: '44' }], []);
+
+        return generateImages(project, createMockConfig({}, '10.0'), { root: PROJECT }).then(function () {
+            expect(imageGenerator.generate).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should generate images for target projects except the ones copied explicitly', function () {
+        var project = createMockProject([{ src: 'res/icon.png', target: 'master' }], [{ src: 'res/splash.png', target: 'master', background: 'red' }]);
+        var config = createMockConfig({ BackgroundColor: '#0000ff', SplashScreenBackgroundColor: '#00ff00' }, '8.1');
+        var copiedImages = {};
+        copiedImages[path.join('images', 'Square44x44Logo.scale-100.png')] = 'res/Square44x44Logo.png';
+
+        return generateImages(project, config, { root: PROJECT }, copiedImages).then(function () {
+            var images = imageGenerator.generate.calls.argsFor(0)[0];
+            var names = images.map(function (image) { return image.name; });
+
+            expect(imageGenerator.generate.calls.argsFor(0)[1]).toBe(path.join(PROJECT, 'images'));
+            expect(names).toContain('Square30x30Logo.scale-140.png');
+            expect(names).toContain('Square44x44Logo.scale-400.png');
+            expect(names).toContain('SplashScreen.scale-180.png');
+            expect(names).not.toContain('Square44x44Logo.scale-100.png');
+            expect(names).not.toContain('SplashScreenPhone.scale-100.png');
+
+            expect(images).toContain(jasmine.objectContaining({ name: 'StoreLogo.scale-100.png', src: path.resolve(PROJECT, 'res/icon.png'), background: '#0000ff' }));
+            expect(images).toContain(jasmine.objectContaining({ name: 'SplashScreen.scale-100.png', background: 'red' }));
+        });
+    });
+
+    it('should fail naming generated splash screen which exceeds the file size limit', function () {
+        var root = fs.mkdtempSync(path.join(os.tmpdir(), 'prepare-images-'));
+        var splashPath = path.join(root, 'images', 'SplashScreen.scale-200.png');
+        shell.mkdir('-p', path.join(root, 'images'));
+        fs.writeFileSync(splashPath, Buffer.alloc(201 * 1024));
+
+        var project = createMockProject([], [{ src: 'res/splash.png', target: 'master' }]);
+        return generateImages(project, createMockConfig({}, '10.0'), { root: root })
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toContain(path.resolve(PROJECT, 'res/splash.png'));
+                expect(error.message).toContain(splashPath);
+                expect(error.message).toMatch(/exceed the file size limit/);
+                expect(fs.existsSync(splashPath)).toBe(true);
+            })
+            .finally(function () {
+                shell.rm('-rf', root);
+            });
+    });
+});
+
+describe('updateBuildConfig method', function () {
+    it('should apply manifest preferences overridden by build config', function () {
+        var manifests = {};
+        var getManifestOriginal = AppxManifest.get;
+        spyOn(fs, 'writeFileSync');
+        spyOn(AppxManifest, 'get').and.callFake(function (file) {
+            var manifest = getManifestOriginal(file, /* ignoreCache= */true);
+            spyOn(manifest, 'write');
+            manifests[path.basename(file)] = manifest;
+            return manifest;
+        });
+
+        prepare.updateBuildConfig({
+            buildType: 'release',
+            manifestPreferences: { WindowsStoreIdentityName: 'Contoso.App.Staging' }
+        });
+
+        expect(Object.keys(manifests).sort()).toEqual([WP81ManifestName, Win81ManifestName, Win10ManifestName].sort());
+        var win10Manifest = manifests[Win10ManifestName];
+        expect(win10Manifest.getIdentity().getName()).toBe('Contoso.App.Staging');
+        expect(win10Manifest.getApplication().getStartPage()).toBe('ms-appx-web://contoso.app.staging/www/index.html');
+        expect(win10Manifest.write).toHaveBeenCalled();
+    });
+
+    it('should not touch manifests if there are no manifest preferences', function () {
+        spyOn(fs, 'writeFileSync');
+        spyOn(AppxManifest, 'get');
+
+        prepare.updateBuildConfig({ buildType: 'debug' });
+
+        expect(fs.writeFileSync).toHaveBeenCalledWith(jasmine.stringMatching(/CordovaAppDebug\.projitems$/), jasmine.any(String), 'utf-8');
+        expect(AppxManifest.get).not.toHaveBeenCalled();
+    });
+
+    it('should reference certificate password environment variable instead of the password', function () {
+        spyOn(fs, 'writeFileSync');
+
+        prepare.updateBuildConfig({ buildType: 'release', packageCertificatePasswordEnv: 'CERT_PASSWORD' });
+
+        var projitems = fs.writeFileSync.calls.argsFor(0)[1];
+        expect(projitems).toContain('<PackageCertificatePassword>$(CERT_PASSWORD)</PackageCertificatePassword>');
+    });
 });
@@ -116,3 +116,74 @@ describe('getConfigFiles method', function () {
         expect(AppxManifest.processChanges).toHaveBeenCalled();
     });
 });
+
+describe('localized elements', function () {
+    var LOCALIZED_XML = '<?xml version="1.0" encoding="UTF-8"?><widget defaultlocale="en-US">' +
+        '<name>Hello</name><name xml:lang="de-DE">Hallo</name>' +
+        '<description xml:lang="de-DE">Beschreibung</description><description>Description</description>' +
+        '<preference name="WindowsStoreDisplayName" value="Hello Store" />' +
+        '<preference name="WindowsStoreDisplayName" lang="de-DE" value="Hallo Store" />' +
+        '<platform name="windows"><preference name="WindowsStorePublisherName" lang="fr-FR" value="Contoso FR" /></platform>' +
+        '</widget>';
+
+    var config;
+    beforeEach(function () {
+        spyOn(xml, 'parseElementtreeSync').and.returnValue(new et.ElementTree(et.XML(LOCALIZED_XML)));
+        config = new ConfigParser('/some/file');
+    });
+
+    it('should be ignored when reading default values', function () {
+        expect(config.name()).toBe('Hello');
+        expect(config.description()).toBe('Description');
+        expect(config.getPreference('WindowsStoreDisplayName')).toBe('Hello Store');
+        expect(config.getPreference('WindowsStorePublisherName', 'windows')).toBe('');
+    });
+
+    it('should be returned by getLocalizedStrings grouped by language', function () {
+        expect(config.getLocalizedStrings()).toEqual({
+            'de-DE': { name: 'Hallo', description: 'Beschreibung', WindowsStoreDisplayName: 'Hallo Store' },
+            'fr-FR': { WindowsStorePublisherName: 'Contoso FR' }
+        });
+    });
+});
+
+describe('activation extensions', function () {
+    var EXTENSIONS_XML = '<?xml version="1.0" encoding="UTF-8"?><widget>' +
+        '<windows-protocol name="myapp" display-name="My App" />' +
+        '<platform name="windows">' +
+        '<windows-protocol name="myapp" logo="images\\protocol.png" />' +
+        '<windows-file-type name="csv" display-name="CSV file">' +
+        '<file-type content-type="text/csv">.csv</file-type><file-type> .tsv </file-type>' +
+        '</windows-file-type>' +
+        '<windows-share-target><data-format>Text</data-format><file-type>.jpg</file-type></windows-share-target>' +
+        '<windows-app-service name="com.contoso.sync" />' +
+        '<windows-background-task src="www/tasks/sync.js"><trigger type="timer" /><trigger type="pushNotification" /></windows-background-task>' +
+        '</platform></widget>';
+
+    var config;
+    beforeEach(function () {
+        spyOn(xml, 'parseElementtreeSync').and.returnValue(new et.ElementTree(et.XML(EXTENSIONS_XML)));
+        config = new ConfigParser('/some/file');
+    });
+
+    it('should read protocols, preferring windows platform declarations', function () {
+        expect(config.getProtocols()).toEqual([{ name: 'myapp', logo: 'images\\protocol.png' }]);
+    });
+
+    it('should read background tasks', function () {
+        expect(config.getBackgroundTasks()).toEqual([{ src: 'www/tasks/sync.js', types: ['timer', 'pushNotification'] }]);
+    });
+
+    it('should read share target and app services', function () {
+        expect(config.getShareTarget()).toEqual({ dataFormats: ['Text'], fileTypes: [{ fileType: '.jpg' }], supportsAnyFileType: false });
+        expect(config.getAppServices()).toEqual([{ name: 'com.contoso.sync' }]);
+    });
+
+    it('should read file type associations', function () {
+        expect(config.getFileTypeAssociations()).toEqual([{
+            name: 'csv',
+            displayName: 'CSV file',
+            fileTypes: [{ fileType: '.csv', contentType: 'text/csv' }, { fileType: '.tsv' }]
+        }]);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var et = require('elementtree');
+var shell = require('shelljs');
+var AdmZip = require('adm-zip');
+var appxArchive = require('../../template/cordova/lib/appxArchive');
+
+describe('appxArchive', function () {
+    var tempDir;
+    var outputPath;
+
+    function readXml (zip, name) {
+        return et.parse(zip.readAsText(name)).getroot();
+    }
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'appxArchive-'));
+        outputPath = path.join(tempDir, 'out', 'App.appx');
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('should write zip with files, block map and content types', function () {
+        var large = Buffer.alloc(64 * 1024 + 10, 1);
+        appxArchive.write(outputPath, [
+            { name: 'AppxManifest.xml', data: Buffer.from('<Package />') },
+            { name: 'www/my page.html', data: Buffer.from('page') },
+            { name: 'www/large.png', data: large },
+            { name: 'LICENSE', data: Buffer.from('license') }
+        ], { 'AppxManifest.xml': 'application/vnd.ms-appx.manifest+xml' });
+
+        var zip = new AdmZip(outputPath);
+        expect(zip.getEntries().map(function (entry) { return entry.entryName; })).toEqual([
+            'AppxManifest.xml', 'www/my%20page.html', 'www/large.png', 'LICENSE', 'AppxBlockMap.xml', '[Content_Types].xml'
+        ]);
+        expect(zip.readAsText('www/my%20page.html')).toBe('page');
+        expect(zip.getEntry('www/large.png').header.method).toBe(0);
+
+        var files = readXml(zip, 'AppxBlockMap.xml').findall('./File');
+        // Block map lists package files only
+        expect(files.length).toBe(4);
+        expect(files[1].attrib.Name).toBe('www\\my page.html');
+        expect(files[1].attrib.LfhSize).toBe(String(30 + 'www/my%20page.html'.length));
+
+        var blocks = files[2].findall('./Block');
+        expect(files[2].attrib.Size).toBe(String(large.length));
+        expect(blocks.length).toBe(2);
+        expect(blocks[1].attrib.Hash).toBe(crypto.createHash('sha256').update(large.slice(64 * 1024)).digest('base64'));
+
+        var types = readXml(zip, '[Content_Types].xml');
+        var defaults = {};
+        types.findall('./Default').forEach(function (item) {
+            defaults[item.attrib.Extension] = item.attrib.ContentType;
+        });
+        var overrides = {};
+        types.findall('./Override').forEach(function (item) {
+            overrides[item.attrib.PartName] = item.attrib.ContentType;
+        });
+
+        expect(defaults).toEqual({ html: 'text/html', png: 'image/png' });
+        expect(overrides).toEqual({
+            '/AppxManifest.xml': 'application/vnd.ms-appx.manifest+xml',
+            '/AppxBlockMap.xml': 'application/vnd.ms-appx.blockmap+xml',
+            '/LICENSE': 'application/octet-stream'
+        });
+    });
+
+    it('should produce the same output for the same files', function () {
+        var files = [{ name: 'www/index.html', data: Buffer.from('<html></html>') }];
+        appxArchive.write(outputPath, files);
+        var first = fs.readFileSync(outputPath);
+        appxArchive.write(outputPath, files);
+
+        expect(fs.readFileSync(outputPath).equals(first)).toBe(true);
+    });
+});
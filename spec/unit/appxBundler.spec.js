@@ -0,0 +1,108 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var et = require('elementtree');
+var shell = require('shelljs');
+var AdmZip = require('adm-zip');
+var appxArchive = require('../../template/cordova/lib/appxArchive');
+var appxBundler = require('../../template/cordova/lib/appxBundler');
+var inspect = require('../../template/cordova/lib/inspect').inspect;
+
+describe('appxBundler', function () {
+    var tempDir;
+
+    function createPackage (fileName, identity) {
+        var attributes = Object.keys(identity).map(function (name) {
+            return name + '="' + identity[name] + '"';
+        }).join(' ');
+        var packagePath = path.join(tempDir, fileName);
+
+        appxArchive.write(packagePath, [
+            { name: 'www/index.html', data: Buffer.from('<html></html>') },
+            {
+                name: 'AppxManifest.xml',
+                data: Buffer.from('<Package xmlns="http://schemas.microsoft.com/appx/manifest/foundation/windows10">' +
+                    '<Identity ' + attributes + ' /><Resources><Resource Language="en-US" /><Resource Language="x-generate" /></Resources></Package>')
+            }
+        ], { 'AppxManifest.xml': 'application/vnd.ms-appx.manifest+xml' });
+
+        return packagePath;
+    }
+
+    function identity (arch, version) {
+        return { Name: 'org.apache.cordova.test', Publisher: 'CN=Contoso', Version: version || '1.0.0.0', ProcessorArchitecture: arch };
+    }
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'appxBundler-'));
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('should write bundle with manifest listing packages and their offsets', function () {
+        var x86 = createPackage('App_x86.appx', identity('x86'));
+        var arm = createPackage('App_arm.appx', identity('arm'));
+        var bundlePath = path.join(tempDir, 'out', 'App.appxbundle');
+
+        expect(appxBundler.createBundle([x86, arm], bundlePath)).toBe(bundlePath);
+
+        var result = inspect(bundlePath);
+        expect(result.type).toBe('bundle');
+        expect(result.identity.version).toBe('1.0.0.0');
+        expect(result.packages.map(function (pkg) { return pkg.architecture; })).toEqual(['x86', 'arm']);
+        expect(result.packages[0].languages).toEqual(['en-US']);
+        expect(result.packages[1].package.identity.architecture).toBe('arm');
+
+        var bundle = fs.readFileSync(bundlePath);
+        var manifest = et.parse(new AdmZip(bundlePath).readAsText('AppxMetadata/AppxBundleManifest.xml')).getroot();
+        manifest.findall('./Packages/Package').forEach(function (pkg) {
+            var offset = parseInt(pkg.attrib.Offset, 10);
+            var data = bundle.slice(offset, offset + parseInt(pkg.attrib.Size, 10));
+            expect(data.equals(fs.readFileSync(path.join(tempDir, pkg.attrib.FileName)))).toBe(true);
+        });
+    });
+
+    it('should throw if packages can not be bundled together', function () {
+        var bundlePath = path.join(tempDir, 'App.appxbundle');
+        var x86 = createPackage('App_x86.appx', identity('x86'));
+
+        expect(function () {
+            appxBundler.createBundle([], bundlePath);
+        }).toThrowError(/No packages to bundle/);
+
+        expect(function () {
+            appxBundler.createBundle([x86, createPackage('App_x64.appx', identity('x64', '2.0.0.0'))], bundlePath);
+        }).toThrowError(/Identity version is "1.0.0.0" and "2.0.0.0"/);
+
+        expect(function () {
+            appxBundler.createBundle([x86, createPackage('Other_x86.appx', identity('x86'))], bundlePath);
+        }).toThrowError(/App_x86.appx and Other_x86.appx are both for x86/);
+
+        expect(function () {
+            appxBundler.createBundle([x86, path.join(tempDir, 'missing.appx')], bundlePath);
+        }).toThrowError(/Package does not exist/);
+
+        expect(fs.existsSync(bundlePath)).toBe(false);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var AdmZip = require('adm-zip');
+var pckage = require('../../template/cordova/lib/package');
+var appxPackager = require('../../template/cordova/lib/appxPackager');
+var inspect = require('../../template/cordova/lib/inspect').inspect;
+
+var TEMPLATE = path.resolve(__dirname, '../../template');
+
+describe('appxPackager', function () {
+    var projectRoot;
+
+    function addToProject (projectFile, items) {
+        var file = path.join(projectRoot, projectFile);
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('</Project>', '<ItemGroup>' + items + '</ItemGroup></Project>'));
+    }
+
+    beforeEach(function () {
+        projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'appxPackager-'));
+        ['CordovaApp.Windows10.jsproj', 'CordovaApp.projitems', 'config.xml', 'package.windows10.appxmanifest',
+            'package.phone.appxmanifest', 'images', 'www', 'Properties'].forEach(function (item) {
+            shell.cp('-R', path.join(TEMPLATE, item), projectRoot);
+        });
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', projectRoot);
+    });
+
+    it('should create package with project contents which package.getPackageFileInfo understands', function () {
+        var packagePath = appxPackager.createPackage(projectRoot, 'debug', 'x86');
+
+        var info = pckage.getPackageFileInfo(packagePath);
+        expect(info.type).toBe('windows10');
+        expect(info.arch).toBe('x86');
+        expect(info.buildtype).toBe('debug');
+        expect(path.dirname(path.dirname(packagePath))).toBe(path.join(projectRoot, 'AppPackages'));
+
+        var result = inspect(packagePath);
+        var files = result.files.map(function (file) { return file.path; });
+        expect(files).toContain('www/index.html');
+        expect(files).toContain('www/cordova.js');
+        expect(files).toContain('config.xml');
+        expect(files).toContain('Properties/Default.rd.xml');
+        expect(files).toContain('images/StoreLogo.scale-100.png');
+        expect(files).toContain('AppxManifest.xml');
+        // Excluded by the project
+        expect(files).not.toContain('images/StoreLogo.scale-240.png');
+        expect(files).not.toContain('images/SplashScreenPhone.scale-240.png');
+
+        expect(result.identity.architecture).toBe('x86');
+        expect(result.dependencies[0].minVersion).toBe('10.0.10240.0');
+        expect(result.dependencies[0].maxVersionTested).toBe('10.0.10240.0');
+    });
+
+    it('should add unqualified copies of images referenced in manifest', function () {
+        var packagePath = appxPackager.createPackage(projectRoot, 'release', 'anycpu');
+        var zip = new AdmZip(packagePath);
+
+        expect(path.basename(packagePath)).toMatch(/_AnyCPU\.appx$/);
+        expect(zip.readFile('images/StoreLogo.png')).toEqual(fs.readFileSync(path.join(projectRoot, 'images', 'StoreLogo.scale-100.png')));
+        // Manifest references 'splashscreen.png', while the file is 'SplashScreen.scale-100.png'
+        expect(zip.getEntry('images/splashscreen.png')).not.toBe(null);
+
+        var manifest = zip.readAsText('AppxManifest.xml');
+        expect(manifest).toMatch(/ProcessorArchitecture="neutral"/);
+        expect(manifest).toMatch(/<Resource Language="en-US" \/>/);
+    });
+
+    it('should honor Link metadata and platform conditions of plugin items', function () {
+        fs.writeFileSync(path.join(projectRoot, 'x86.txt'), 'x86');
+        fs.writeFileSync(path.join(projectRoot, 'arm.txt'), 'arm');
+        addToProject('CordovaApp.Windows10.jsproj',
+            '<Content Include="x86.txt" Condition="\'$(Platform)\'==\'x86\'"><Link>plugins\\native.txt</Link></Content>' +
+            '<Content Include="arm.txt" Condition="\'$(Platform)\'==\'ARM\'"><Link>plugins\\native.txt</Link></Content>');
+
+        var zip = new AdmZip(appxPackager.createPackage(projectRoot, 'debug', 'arm'));
+
+        expect(zip.readAsText('plugins/native.txt')).toBe('arm');
+        expect(zip.getEntry('arm.txt')).toBe(null);
+    });
+
+    it('should throw if project contains native references or referenced image is missing', function () {
+        shell.rm(path.join(projectRoot, 'images', 'StoreLogo.*'));
+        expect(function () {
+            appxPackager.createPackage(projectRoot, 'debug', 'x86');
+        }).toThrowError(/Image images\/StoreLogo.png referenced in package.windows10.appxmanifest is missing/);
+
+        addToProject('CordovaApp.Windows10.jsproj', '<SDKReference Include="Microsoft.VCLibs, Version=14.0" />');
+        expect(function () {
+            appxPackager.createPackage(projectRoot, 'debug', 'x86');
+        }).toThrowError(/contains SDKReference items/);
+
+        expect(function () {
+            appxPackager.createPackage(projectRoot, 'debug', 'mips');
+        }).toThrowError(/Unsupported architecture/);
+    });
+
+    it('should resolve ms-resource references in manifest using default language strings', function () {
+        var manifestPath = path.join(projectRoot, 'package.windows10.appxmanifest');
+        fs.writeFileSync(manifestPath, fs.readFileSync(manifestPath, 'utf-8')
+            .replace(/<DisplayName>[^<]*<\/DisplayName>/, '<DisplayName>ms-resource:StoreDisplayName</DisplayName>'));
+        shell.mkdir('-p', path.join(projectRoot, 'strings', 'en-US'));
+        fs.writeFileSync(path.join(projectRoot, 'strings', 'en-US', 'resources.resjson'), JSON.stringify({ StoreDisplayName: 'Hello Store' }));
+
+        var zip = new AdmZip(appxPackager.createPackage(projectRoot, 'debug', 'x86'));
+        expect(zip.readAsText('AppxManifest.xml')).toContain('<DisplayName>Hello Store</DisplayName>');
+
+        fs.writeFileSync(path.join(projectRoot, 'strings', 'en-US', 'resources.resjson'), '{}');
+        expect(function () {
+            appxPackager.createPackage(projectRoot, 'debug', 'x86');
+        }).toThrowError(/Resource ms-resource:StoreDisplayName referenced in package.windows10.appxmanifest is not found/);
+    });
+});
@@ -25,11 +25,29 @@ var testPath = 'testpath';
 var buildPath = path.join(platformRoot, 'cordova', 'build');
 var prepare = require(platformRoot + '/cordova/lib/prepare.js');
 var build = rewire(platformRoot + '/cordova/lib/build.js');
+// Build targets are resolved by projects module, so its config.xml parser could be mocked
+var projects = rewire(platformRoot + '/cordova/lib/projects.js');
+build.__set__('projects', projects);
 
 var utils = require(platformRoot + '/cordova/lib/utils');
 var pkg = require(platformRoot + '/cordova/lib/package');
 var AppxManifest = require(platformRoot + '/cordova/lib/AppxManifest');
 var MSBuildTools = require(platformRoot + '/cordova/lib/MSBuildTools');
+var BuildCache = require(platformRoot + '/cordova/lib/BuildCache');
+var certificate = require(platformRoot + '/cordova/lib/certificate');
+
+// Signing certificate check reads real manifests, which are mocked in most of
+// the tests, so it is stubbed out unless tested explicitly
+var validateSigningCertificate = build.__get__('validateSigningCertificate');
+var revertCertificateCheck;
+
+beforeEach(function () {
+    revertCertificateCheck = build.__set__('validateSigningCertificate', function () {});
+});
+
+afterEach(function () {
+    revertCertificateCheck();
+});
 
 function createFindAvailableVersionMock (version, path, buildSpy) {
     build.__set__('MSBuildTools.findAvailableVersion', function () {
@@ -53,7 +71,7 @@ function createFindAllAvailableVersionsMock (versionSet) {
 }
 
 function createConfigParserMock (winVersion, phoneVersion) {
-    build.__set__('ConfigParser', function () {
+    projects.__set__('ConfigParser', function () {
         return {
             getPreference: function (prefName) {
                 switch (prefName) {
@@ -81,7 +99,7 @@ describe('run method', function () {
     beforeEach(function () {
         findAvailableVersionOriginal = build.__get__('MSBuildTools.findAvailableVersion');
         findAllAvailableVersionsOriginal = build.__get__('MSBuildTools.findAllAvailableVersions');
-        configParserOriginal = build.__get__('ConfigParser');
+        configParserOriginal = projects.__get__('ConfigParser');
 
         var originalBuildMethod = build.run;
         spyOn(build, 'run').and.callFake(function () {
@@ -105,7 +123,7 @@ describe('run method', function () {
     afterEach(function () {
         build.__set__('MSBuildTools.findAvailableVersion', findAvailableVersionOriginal);
         build.__set__('MSBuildTools.findAllAvailableVersions', findAllAvailableVersionsOriginal);
-        build.__set__('ConfigParser', configParserOriginal);
+        projects.__set__('ConfigParser', configParserOriginal);
     });
 
     it('spec.1 should reject if not launched from project directory', function () {
@@ -445,6 +463,157 @@ describe('buildFlags', function () {
         });
     });
 
+    describe('environment variables', function () {
+        var parseAndValidateArgs;
+        var buildJson;
+
+        beforeEach(function () {
+            parseAndValidateArgs = build.__get__('parseAndValidateArgs');
+            spyOn(fs, 'realpathSync').and.callFake(function (p) { return p; });
+            spyOn(fs, 'readFileSync').and.callFake(function () {
+                return JSON.stringify(buildJson);
+            });
+            process.env.CORDOVA_TEST_THUMBPRINT = 'ABCDEF';
+            process.env.CORDOVA_TEST_PASSWORD = 'secret';
+        });
+
+        afterEach(function () {
+            delete process.env.CORDOVA_TEST_THUMBPRINT;
+            delete process.env.CORDOVA_TEST_PASSWORD;
+        });
+
+        it('should expand ${env:NAME} placeholders in string values', function () { // eslint-disable-line no-template-curly-in-string
+            buildJson = { windows: { debug: {
+                packageThumbprint: '${env:CORDOVA_TEST_THUMBPRINT}', // eslint-disable-line no-template-curly-in-string
+                buildFlag: ['/p:Thumbprint=${env:CORDOVA_TEST_THUMBPRINT}'] // eslint-disable-line no-template-curly-in-string
+            } } };
+
+            var config = parseAndValidateArgs({ argv: ['--buildConfig', 'build.json'] });
+
+            expect(config.packageThumbprint).toBe('ABCDEF');
+            expect(config.buildFlags).toEqual(['/p:Thumbprint=ABCDEF']);
+        });
+
+        it('should throw with JSON path if environment variable is not defined', function () {
+            buildJson = { windows: { release: { buildFlag: ['foo', '${env:CORDOVA_TEST_MISSING}'] } } }; // eslint-disable-line no-template-curly-in-string
+
+            expect(function () {
+                parseAndValidateArgs({ release: true, argv: ['--buildConfig', 'build.json'] });
+            }).toThrowError(/"CORDOVA_TEST_MISSING", referenced at windows\.release\.buildFlag\[1\]/);
+        });
+
+        it('should not expand placeholders in sections which are not used', function () {
+            buildJson = { windows: { debug: {}, release: { packageThumbprint: '${env:CORDOVA_TEST_MISSING}' } } }; // eslint-disable-line no-template-curly-in-string
+
+            expect(function () {
+                parseAndValidateArgs({ argv: ['--buildConfig', 'build.json'] });
+            }).not.toThrow();
+        });
+
+        it('should pass packageCertificatePasswordEnv if environment variable is defined', function () {
+            buildJson = { windows: { debug: { packageCertificatePasswordEnv: 'CORDOVA_TEST_PASSWORD' } } };
+            expect(parseAndValidateArgs({ argv: ['--buildConfig', 'build.json'] }).packageCertificatePasswordEnv)
+                .toBe('CORDOVA_TEST_PASSWORD');
+
+            buildJson = { windows: { debug: { packageCertificatePasswordEnv: 'CORDOVA_TEST_MISSING' } } };
+            expect(function () {
+                parseAndValidateArgs({ argv: ['--buildConfig', 'build.json'] });
+            }).toThrowError(/"CORDOVA_TEST_MISSING".*is not defined/);
+        });
+    });
+
+    describe('build config validation', function () {
+        beforeEach(function () {
+            spyOn(fs, 'readFileSync').and.returnValue(JSON.stringify({
+                windows: { release: { packageThumbprint: 42, buildFlags: '/p:Foo=true' } }
+            }));
+        });
+
+        it('should throw listing all errors in build config file', function () {
+            var parseAndValidateArgs = build.__get__('parseAndValidateArgs');
+            expect(function () {
+                parseAndValidateArgs({ argv: ['--buildConfig', 'build.json'] });
+            }).toThrowError('Build config file build.json is invalid:\n' +
+                '  windows.release.packageThumbprint: must be a string\n' +
+                '  windows.release.buildFlags: unknown key. Did you mean "buildFlag"?');
+        });
+
+        it('should validate build config file without building', function () {
+            expect(function () { build.validateConfig('build.json'); }).toThrowError(/is invalid/);
+            expect(function () { build.validateConfig(); }).toThrowError(/No build config file/);
+
+            fs.readFileSync.and.returnValue(JSON.stringify({ windows: { release: { packageThumbprint: 'ABCDEF' } } }));
+            expect(function () { build.validateConfig('build.json'); }).not.toThrow();
+        });
+    });
+
+    describe('build profiles', function () {
+        var parseAndValidateArgs;
+
+        beforeEach(function () {
+            parseAndValidateArgs = build.__get__('parseAndValidateArgs');
+            spyOn(fs, 'realpathSync').and.callFake(function (p) { return p; });
+            spyOn(fs, 'readFileSync').and.returnValue(JSON.stringify({
+                windows: {
+                    debug: { packageThumbprint: 'debugThumbprint' },
+                    release: {
+                        packageThumbprint: 'releaseThumbprint',
+                        publisherId: 'CN=Release',
+                        buildFlag: ['/p:Release=true']
+                    },
+                    profiles: {
+                        staging: {
+                            inherits: 'release',
+                            publisherId: 'CN=Staging',
+                            WindowsStoreIdentityName: 'Contoso.App.Staging'
+                        },
+                        standalone: {
+                            packageThumbprint: 'standaloneThumbprint'
+                        }
+                    }
+                }
+            }));
+        });
+
+        it('should merge profile with the section it inherits from', function () {
+            var config = parseAndValidateArgs({ argv: ['--buildConfig', 'build.json', '--profile', 'staging'] });
+
+            expect(config.buildType).toBe('release');
+            expect(config.profile).toBe('staging');
+            expect(config.packageThumbprint).toBe('releaseThumbprint');
+            expect(config.publisherId).toBe('CN=Staging');
+            expect(config.buildFlags).toEqual(['/p:Release=true']);
+            expect(config.manifestPreferences).toEqual({ WindowsStoreIdentityName: 'Contoso.App.Staging' });
+        });
+
+        it('should prefer explicitly specified build type', function () {
+            var config = parseAndValidateArgs({ debug: true, argv: ['--buildConfig', 'build.json', '--profile', 'staging'] });
+
+            expect(config.buildType).toBe('debug');
+            expect(config.packageThumbprint).toBe('releaseThumbprint');
+        });
+
+        it('should use profile without inheritance as is', function () {
+            var config = parseAndValidateArgs({ argv: ['--buildConfig', 'build.json', '--profile', 'standalone'] });
+
+            expect(config.buildType).toBe('debug');
+            expect(config.packageThumbprint).toBe('standaloneThumbprint');
+            expect(config.publisherId).toBeUndefined();
+        });
+
+        it('should throw if profile is not defined', function () {
+            expect(function () {
+                parseAndValidateArgs({ argv: ['--buildConfig', 'build.json', '--profile', 'qa'] });
+            }).toThrowError(/Build profile "qa" is not defined.*Available profiles: staging, standalone/);
+        });
+
+        it('should throw if profile is specified without build config', function () {
+            expect(function () {
+                parseAndValidateArgs({ argv: ['--profile', 'staging'] });
+            }).toThrowError(/no build config file/);
+        });
+    });
+
     describe('build', function () {
         beforeEach(function () {
             spyOn(utils, 'isCordovaProject').and.returnValue(true);
@@ -477,3 +646,470 @@ describe('buildFlags', function () {
         });
     });
 });
+
+describe('dry-run', function () {
+    beforeEach(function () {
+        spyOn(utils, 'isCordovaProject').and.returnValue(true);
+        spyOn(prepare, 'updateBuildConfig');
+        spyOn(AppxManifest, 'get');
+        spyOn(MSBuildTools, 'getLatestMatchingMSBuild');
+    });
+
+    it('should return build plan without calling msbuild or modifying the project', function () {
+        return build.run({ argv: ['--dry-run', '--appx=uwp', '--buildFlag', 'foo=bar'] })
+            .then(function (plan) {
+                expect(MSBuildTools.getLatestMatchingMSBuild).not.toHaveBeenCalled();
+                expect(prepare.updateBuildConfig).not.toHaveBeenCalled();
+                expect(AppxManifest.get).not.toHaveBeenCalled();
+
+                expect(plan.dryRun).toBe(true);
+                expect(plan.buildType).toBe('debug');
+                expect(plan.targets).toEqual(['CordovaApp.Windows10.jsproj']);
+                expect(plan.steps.length).toBe(1);
+                expect(plan.steps[0].arch).toBe('anycpu');
+                expect(plan.steps[0].buildFlags).toEqual(['foo=bar', '/p:AppxBundle=Never']);
+                // The plan must survive JSON round-trip
+                expect(JSON.parse(JSON.stringify(plan))).toEqual(plan);
+            });
+    });
+
+    it('should add bundle platforms only to the last step when bundling', function () {
+        return build.run({ release: true, archs: 'x86 x64 arm', argv: ['--dry-run', '--appx=uwp', '--bundle'] })
+            .then(function (plan) {
+                expect(plan.bundle).toBe(true);
+                expect(plan.steps.map(function (step) { return step.arch; })).toEqual(['x86', 'x64', 'arm']);
+                expect(plan.steps[0].buildFlags).toEqual(['/p:CordovaBundlePlatforms=x86', '/p:UapAppxPackageBuildMode=StoreUpload']);
+                expect(plan.steps[2].buildFlags).toEqual(['/p:CordovaBundlePlatforms=x86|x64|arm', '/p:UapAppxPackageBuildMode=StoreUpload']);
+            });
+    });
+});
+
+describe('parallel builds', function () {
+    beforeEach(function () {
+        spyOn(utils, 'isCordovaProject').and.returnValue(true);
+        spyOn(prepare, 'updateBuildConfig');
+        spyOn(AppxManifest, 'get');
+    });
+
+    it('should use separate intermediate directories for each build', function () {
+        return build.run({ archs: 'x86 x64', argv: ['--dry-run', '--appx=uwp', '--parallel', '2'] })
+            .then(function (plan) {
+                expect(plan.parallel).toBe(2);
+                expect(plan.steps[0].buildFlags).toContain('/p:IntermediateOutputPath=build\\bld\\CordovaApp.Windows10\\x86\\');
+                expect(plan.steps[1].buildFlags).toContain('/p:IntermediateOutputPath=build\\bld\\CordovaApp.Windows10\\x64\\');
+            });
+    });
+
+    it('should reject invalid parallel value', function () {
+        expect(function () {
+            build.run({ argv: ['--dry-run', '--parallel', '0'] });
+        }).toThrowError(/parallel/);
+    });
+
+    it('should run arch builds concurrently and bundle step after them', function () {
+        var started = [];
+        var pending = {};
+        var buildTools = {
+            version: '14.0',
+            path: testPath,
+            buildProject: jasmine.createSpy('buildProject').and.callFake(function (projFile, buildType, buildArch, buildFlags, options) {
+                started.push(buildArch);
+                expect(options.outputPrefix).toBe('[' + buildArch + '] ');
+                pending[buildArch] = Q.defer();
+                return pending[buildArch].promise;
+            })
+        };
+        spyOn(MSBuildTools, 'getLatestMatchingMSBuild').and.returnValue(Q([buildTools, ['CordovaApp.Windows10.jsproj']]));
+        spyOn(pkg, 'getPackageFileInfo').and.returnValue({});
+        var clearIntermediatesOriginal = build.__get__('clearIntermediatesAndGetPackage');
+        build.__set__('clearIntermediatesAndGetPackage', function () { return {}; });
+
+        var result = build.run({ archs: 'x86 x64 arm', argv: ['--appx=uwp', '--bundle', '--parallel', '2'] });
+
+        return Q.delay(10).then(function () {
+            // both independent builds are running, bundle step is not started yet
+            expect(started).toEqual(['x86', 'x64']);
+            pending.x86.resolve();
+            pending.x64.resolve();
+            return Q.delay(10);
+        }).then(function () {
+            expect(started).toEqual(['x86', 'x64', 'arm']);
+            pending.arm.resolve();
+            return result;
+        }).finally(function () {
+            build.__set__('clearIntermediatesAndGetPackage', clearIntermediatesOriginal);
+        });
+    });
+
+    it('should not start new builds after a failure and fail once running builds are done', function () {
+        var started = [];
+        var pending = {};
+        var buildTools = {
+            version: '14.0',
+            path: testPath,
+            buildProject: jasmine.createSpy('buildProject').and.callFake(function (projFile, buildType, buildArch) {
+                started.push(buildArch);
+                pending[buildArch] = Q.defer();
+                return pending[buildArch].promise;
+            })
+        };
+        spyOn(MSBuildTools, 'getLatestMatchingMSBuild').and.returnValue(Q([buildTools, ['CordovaApp.Windows10.jsproj']]));
+
+        function buildError (code) {
+            var error = new Error('Build failed');
+            error.diagnostics = [{ severity: 'error', code: code, message: 'Build failed', file: 'App.js', line: 1, column: 1 }];
+            return error;
+        }
+
+        var settled = false;
+        var result = build.run({ archs: 'x86 x64 arm', argv: ['--appx=uwp', '--parallel', '2'] });
+        result.catch(function () {}).then(function () { settled = true; });
+
+        return Q.delay(10).then(function () {
+            expect(started).toEqual(['x86', 'x64']);
+            pending.x86.reject(buildError('X86'));
+            return Q.delay(10);
+        }).then(function () {
+            // arm build is not started, and the build waits for x64 one
+            expect(started).toEqual(['x86', 'x64']);
+            expect(settled).toBe(false);
+            pending.x64.reject(buildError('X64'));
+            return result;
+        }).then(function () {
+            fail('Expected promise to be rejected');
+        }, function (error) {
+            expect(started).toEqual(['x86', 'x64']);
+            expect(error.diagnostics.map(function (diagnostic) { return diagnostic.code; })).toEqual(['X86', 'X64']);
+        });
+    });
+});
+
+describe('build diagnostics', function () {
+    var diagnosticsFile = path.join(require('os').tmpdir(), 'cordova-windows-diagnostics.json');
+    var diagnostic = {
+        severity: 'error',
+        code: 'APPX0107',
+        message: 'The certificate is not valid.',
+        file: 'Microsoft.AppxPackage.Targets',
+        line: 10,
+        column: 5,
+        endLine: null,
+        endColumn: null,
+        project: null
+    };
+
+    beforeEach(function () {
+        spyOn(utils, 'isCordovaProject').and.returnValue(true);
+        spyOn(prepare, 'updateBuildConfig');
+        spyOn(AppxManifest, 'get');
+        spyOn(MSBuildTools, 'getLatestMatchingMSBuild').and.returnValue(Q([{
+            buildProject: function () {
+                var error = new Error('msbuild: Command failed with exit code 1');
+                error.diagnostics = [Object.assign({}, diagnostic)];
+                return Q.reject(error);
+            }
+        }, ['CordovaApp.Windows10.jsproj']]));
+    });
+
+    afterEach(function () {
+        if (fs.existsSync(diagnosticsFile)) {
+            fs.unlinkSync(diagnosticsFile);
+        }
+    });
+
+    it('should attach msbuild diagnostics to the rejected error and write them to file', function () {
+        return build.run({ argv: ['--appx=uwp', '--diagnostics-json', diagnosticsFile] }).then(
+            () => fail('Expected promise to be rejected'),
+            function (error) {
+                expect(error.message).toContain('Build failed with 1 error(s)');
+                expect(error.message).toContain('Microsoft.AppxPackage.Targets(10,5): error APPX0107: The certificate is not valid.');
+                expect(error.diagnostics.length).toBe(1);
+                expect(error.diagnostics[0].arch).toBe('anycpu');
+                expect(error.diagnostics[0].target).toBe('CordovaApp.Windows10.jsproj');
+
+                var written = JSON.parse(fs.readFileSync(diagnosticsFile, 'utf-8'));
+                expect(written.errorCount).toBe(1);
+                expect(written.warningCount).toBe(0);
+                expect(written.diagnostics).toEqual(error.diagnostics);
+            });
+    });
+});
+
+describe('build cache', function () {
+    var buildTools;
+
+    beforeEach(function () {
+        spyOn(utils, 'isCordovaProject').and.returnValue(true);
+        spyOn(prepare, 'updateBuildConfig');
+        spyOn(AppxManifest, 'get');
+        spyOn(pkg, 'getPackage').and.returnValue(Q({ appx: 'CordovaApp.Windows10_1.0.0.0_anycpu_debug.appx' }));
+        spyOn(pkg, 'getAppId').and.returnValue('appId');
+        spyOn(BuildCache.prototype, 'computeHash').and.returnValue('hash');
+        spyOn(BuildCache.prototype, 'update');
+        buildTools = { version: '14.0', buildProject: jasmine.createSpy('buildProject').and.returnValue(Q()), path: testPath };
+        spyOn(MSBuildTools, 'getLatestMatchingMSBuild').and.returnValue(Q([buildTools, ['CordovaApp.Windows10.jsproj']]));
+    });
+
+    it('should skip msbuild and return existing package if project has not changed', function () {
+        spyOn(BuildCache.prototype, 'isUpToDate').and.returnValue(true);
+        spyOn(BuildCache.prototype, 'getPackage').and.returnValue('CordovaApp.Windows10_1.0.0.0_anycpu_debug.appx');
+
+        return build.run({ argv: ['--appx=uwp'] })
+            .then(function (result) {
+                expect(BuildCache.prototype.isUpToDate).toHaveBeenCalledWith(jasmine.any(String), 'hash');
+                expect(buildTools.buildProject).not.toHaveBeenCalled();
+                expect(result.appx).toBe('CordovaApp.Windows10_1.0.0.0_anycpu_debug.appx');
+            });
+    });
+
+    it('should return cached bundle instead of the package for the first architecture', function () {
+        var bundle = path.join('AppPackages', 'CordovaApp.Windows10_1.0.0.0_x86_x64.appxbundle');
+        spyOn(BuildCache.prototype, 'isUpToDate').and.returnValue(true);
+        spyOn(BuildCache.prototype, 'getPackage').and.returnValue(bundle);
+
+        return build.run({ argv: ['--appx=uwp', '--archs=x86 x64', '--bundle'] })
+            .then(function (result) {
+                expect(buildTools.buildProject).not.toHaveBeenCalled();
+                expect(pkg.getPackage).not.toHaveBeenCalled();
+                expect(result.appx).toBe(bundle);
+                expect(result.archs).toEqual(['x86', 'x64']);
+            });
+    });
+
+    it('should rebuild if cached package is not recognized', function () {
+        spyOn(BuildCache.prototype, 'isUpToDate').and.returnValue(true);
+        spyOn(BuildCache.prototype, 'getPackage').and.returnValue('unknown.appx');
+
+        return build.run({ argv: ['--appx=uwp'] })
+            .then(function () {
+                expect(buildTools.buildProject).toHaveBeenCalled();
+            });
+    });
+
+    it('should rebuild and update cache if project has changed', function () {
+        spyOn(BuildCache.prototype, 'isUpToDate').and.returnValue(false);
+
+        return build.run({ argv: ['--appx=uwp'] })
+            .then(function () {
+                expect(buildTools.buildProject).toHaveBeenCalled();
+                expect(BuildCache.prototype.update).toHaveBeenCalledWith(jasmine.any(String), 'hash', 'CordovaApp.Windows10_1.0.0.0_anycpu_debug.appx');
+            });
+    });
+
+    it('should rebuild if --force is specified', function () {
+        spyOn(BuildCache.prototype, 'isUpToDate').and.returnValue(true);
+
+        return build.run({ argv: ['--appx=uwp', '--force'] })
+            .then(function () {
+                expect(buildTools.buildProject).toHaveBeenCalled();
+            });
+    });
+});
+
+describe('signing certificate', function () {
+    var os = require('os');
+    var shell = require('shelljs');
+    var tempRoot;
+    var revertRoot;
+    var manifestPath;
+
+    function setPublisher (publisher) {
+        var manifest = AppxManifest.get(manifestPath, true);
+        manifest.getIdentity().setPublisher(publisher);
+        manifest.write();
+    }
+
+    beforeEach(function () {
+        tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'build-cert-'));
+        manifestPath = path.join(tempRoot, 'package.windows10.appxmanifest');
+        shell.cp(path.join(__dirname, platformRoot, 'package.windows10.appxmanifest'), manifestPath);
+        shell.cp(path.join(__dirname, platformRoot, 'CordovaApp_TemporaryKey.pfx'), tempRoot);
+        revertRoot = build.__set__('ROOT', tempRoot);
+    });
+
+    afterEach(function () {
+        revertRoot();
+        shell.rm('-rf', tempRoot);
+    });
+
+    it('should pass if temporary key subject matches Publisher', function () {
+        setPublisher('CN=Apache Cordova Team');
+        expect(function () {
+            validateSigningCertificate({}, ['CordovaApp.Windows10.jsproj']);
+        }).not.toThrow();
+    });
+
+    it('should not check Publisher placeholder from project template', function () {
+        expect(function () {
+            validateSigningCertificate({}, ['CordovaApp.Windows10.jsproj']);
+        }).not.toThrow();
+    });
+
+    it('should throw if certificate subject does not match Publisher', function () {
+        setPublisher('CN=Contoso');
+        expect(function () {
+            validateSigningCertificate({}, ['CordovaApp.Windows10.jsproj']);
+        }).toThrowError(/Certificate subject "CN=Apache Cordova Team" .* does not match Publisher "CN=Contoso" in package.windows10.appxmanifest/);
+    });
+
+    it('should throw if certificate has expired', function () {
+        spyOn(certificate, 'readPfx').and.returnValue({
+            subject: 'CN=Contoso',
+            notBefore: new Date(Date.UTC(2010, 0, 1)),
+            notAfter: new Date(Date.UTC(2011, 0, 1))
+        });
+
+        expect(function () {
+            validateSigningCertificate({ packageCertificateKeyFile: path.join(tempRoot, 'contoso.pfx') }, ['CordovaApp.Windows10.jsproj']);
+        }).toThrowError(/contoso\.pfx has expired on 2011-01-01/);
+    });
+
+    it('should read configured certificate with password from environment', function () {
+        process.env.CORDOVA_TEST_CERT_PASSWORD = 'secret';
+        spyOn(certificate, 'readPfx').and.throwError('Invalid password?');
+
+        expect(function () {
+            validateSigningCertificate({
+                packageCertificateKeyFile: path.join(tempRoot, 'contoso.pfx'),
+                packageCertificatePasswordEnv: 'CORDOVA_TEST_CERT_PASSWORD'
+            }, ['CordovaApp.Windows10.jsproj']);
+        }).toThrowError('Invalid password?');
+        expect(certificate.readPfx).toHaveBeenCalledWith(path.join(tempRoot, 'contoso.pfx'), 'secret');
+        delete process.env.CORDOVA_TEST_CERT_PASSWORD;
+    });
+
+    it('should not check certificate selected by thumbprint', function () {
+        setPublisher('CN=Contoso');
+        spyOn(certificate, 'readPfx');
+
+        expect(function () {
+            validateSigningCertificate({ packageThumbprint: 'AB12' }, ['CordovaApp.Windows10.jsproj']);
+        }).not.toThrow();
+        expect(certificate.readPfx).not.toHaveBeenCalled();
+    });
+
+    it('should warn instead of failing if certificate could not be read without password', function () {
+        var events = require('cordova-common').events;
+        var warnings = [];
+        var onWarn = function (message) { warnings.push(message); };
+        events.on('warn', onWarn);
+        spyOn(certificate, 'readPfx').and.throwError('PKCS#12 MAC could not be verified. Invalid password?');
+
+        expect(function () {
+            validateSigningCertificate({ packageCertificateKeyFile: path.join(tempRoot, 'contoso.pfx') }, ['CordovaApp.Windows10.jsproj']);
+        }).not.toThrow();
+        events.removeListener('warn', onWarn);
+
+        expect(certificate.readPfx).toHaveBeenCalledWith(path.join(tempRoot, 'contoso.pfx'), undefined);
+        expect(warnings.length).toBe(1);
+        expect(warnings[0]).toMatch(/Invalid password\?[\s\S]*packageCertificatePasswordEnv/);
+    });
+
+    it('should print certificate info without building', function () {
+        var events = require('cordova-common').events;
+        var messages = [];
+        var onLog = function (message) { messages.push(message); };
+        events.on('log', onLog);
+        setPublisher('CN=Contoso');
+
+        var cert = build.__get__('printCertificateInfo')({}, ['CordovaApp.Windows10.jsproj']);
+        events.removeListener('log', onLog);
+
+        expect(cert.subject).toBe('CN=Apache Cordova Team');
+        expect(messages).toContain('  Subject:    CN=Apache Cordova Team');
+        expect(messages).toContain('  Publisher in package.windows10.appxmanifest: CN=Contoso (does not match)');
+    });
+});
+
+describe('JavaScript packager', function () {
+    var os = require('os');
+    var shell = require('shelljs');
+    var AdmZip = require('adm-zip');
+    var tempRoot;
+    var revertRoot;
+    var revertPrebuild;
+    var prebuild;
+
+    beforeEach(function () {
+        tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'build-js-'));
+        ['CordovaApp.Windows10.jsproj', 'CordovaApp.projitems', 'config.xml', 'package.windows10.appxmanifest',
+            'package.phone.appxmanifest', 'images', 'www', 'Properties'].forEach(function (item) {
+            shell.cp('-R', path.join(__dirname, platformRoot, item), tempRoot);
+        });
+
+        spyOn(utils, 'isCordovaProject').and.returnValue(true);
+        spyOn(prepare, 'updateBuildConfig');
+        spyOn(MSBuildTools, 'getLatestMatchingMSBuild');
+        prebuild = jasmine.createSpy('prebuild');
+        revertPrebuild = build.__set__('prebuild', prebuild);
+        revertRoot = build.__set__('ROOT', tempRoot);
+    });
+
+    afterEach(function () {
+        revertRoot();
+        revertPrebuild();
+        shell.rm('-rf', tempRoot);
+    });
+
+    it('should create unsigned package for each architecture without msbuild', function () {
+        return build.run({ release: true, archs: 'x86 arm', argv: ['--packager=js', '--appx=uwp', '--publisherId', 'CN=Contoso'] })
+            .then(function (pkg) {
+                expect(MSBuildTools.getLatestMatchingMSBuild).not.toHaveBeenCalled();
+                expect(prepare.updateBuildConfig).toHaveBeenCalled();
+                expect(prebuild).toHaveBeenCalledWith('10');
+
+                expect(pkg.type).toBe('windows10');
+                expect(pkg.arch).toBe('x86');
+                expect(pkg.buildtype).toBe('release');
+                expect(fs.existsSync(pkg.appx)).toBe(true);
+                expect(shell.find(path.join(tempRoot, 'AppPackages')).filter(function (file) {
+                    return /_ARM\.appx$/.test(file);
+                }).length).toBe(1);
+
+                var manifest = new AdmZip(pkg.appx).readAsText('AppxManifest.xml');
+                expect(manifest).toMatch(/Publisher="CN=Contoso"/);
+            });
+    });
+
+    it('should bundle packages of all architectures', function () {
+        return build.run({ archs: 'x86 arm', argv: ['--packager=js', '--appx=uwp', '--bundle'] })
+            .then(function (pkg) {
+                expect(path.basename(pkg.appx)).toBe('CordovaApp.Windows10_1.0.0.0_x86_ARM_debug.appxbundle');
+                expect(pkg.archs).toEqual(['x86', 'arm']);
+                expect(pkg.buildtype).toBe('debug');
+
+                var bundle = new AdmZip(pkg.appx);
+                expect(bundle.getEntry('CordovaApp.Windows10_1.0.0.0_x86_debug.appx')).not.toBe(null);
+                expect(bundle.getEntry('CordovaApp.Windows10_1.0.0.0_ARM_debug.appx')).not.toBe(null);
+            });
+    });
+
+    it('should describe packages instead of creating them on dry run', function () {
+        return build.run({ release: true, archs: 'x86 arm', argv: ['--packager=js', '--appx=uwp', '--bundle', '--dry-run'] })
+            .then(function (plan) {
+                expect(plan.packager).toBe('js');
+                expect(plan.bundle).toBe(true);
+                expect(plan.steps).toEqual([
+                    { target: 'CordovaApp.Windows10.jsproj', arch: 'x86', buildType: 'release' },
+                    { target: 'CordovaApp.Windows10.jsproj', arch: 'arm', buildType: 'release' }
+                ]);
+                expect(prebuild).not.toHaveBeenCalled();
+                expect(prepare.updateBuildConfig).not.toHaveBeenCalled();
+                expect(fs.existsSync(path.join(tempRoot, 'AppPackages'))).toBe(false);
+            });
+    });
+
+    it('should reject unsupported packagers and targets', function () {
+        expect(function () {
+            build.__get__('parseAndValidateArgs')({ argv: ['--packager=make'] });
+        }).toThrowError(/Unsupported packager: "make"/);
+
+        return build.run({ argv: ['--packager=js', '--appx=8.1-win'] })
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toMatch(/Build failed: JavaScript packager only supports Windows 10 projects/);
+                expect(fs.existsSync(path.join(tempRoot, 'AppPackages'))).toBe(false);
+            });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var buildConfigValidator = require('../../template/cordova/lib/buildConfigValidator');
+
+describe('buildConfigValidator', function () {
+    var validate = buildConfigValidator.validate;
+
+    it('should accept valid build config', function () {
+        expect(validate({
+            android: { release: { keystore: 'foo' } },
+            windows: {
+                debug: { buildFlag: '/p:Foo=true', parallel: 2 },
+                release: {
+                    packageCertificateKeyFile: 'certs/Store.PFX',
+                    packageThumbprint: 'ABCDEF',
+                    packageCertificatePasswordEnv: 'CERT_PASSWORD',
+                    publisherId: 'CN=Publisher',
+                    buildFlag: ['/p:Foo=true', '/p:Bar=false']
+                },
+                profiles: {
+                    staging: { inherits: 'release', WindowsStoreIdentityName: 'Contoso.App.Staging' }
+                }
+            }
+        })).toEqual([]);
+    });
+
+    it('should report unknown keys with suggestions', function () {
+        expect(validate({
+            windows: {
+                release: { packageCertificateKeyfile: 'a.pfx', buildFlags: ['foo'], somethingElse: true },
+                relase: {}
+            }
+        })).toEqual([
+            'windows.release.packageCertificateKeyfile: unknown key. Did you mean "packageCertificateKeyFile"?',
+            'windows.release.buildFlags: unknown key. Did you mean "buildFlag"?',
+            'windows.release.somethingElse: unknown key',
+            'windows.relase: unknown key. Did you mean "release"?'
+        ]);
+    });
+
+    it('should report invalid values with JSON paths', function () {
+        expect(validate({
+            windows: {
+                debug: { packageThumbprint: 42, buildFlag: ['foo', 1], parallel: 0 },
+                profiles: {
+                    staging: { inherits: 'beta', packageCertificatePasswordEnv: 'NOT-A-NAME' }
+                }
+            }
+        })).toEqual([
+            'windows.debug.packageThumbprint: must be a string',
+            'windows.debug.buildFlag: must be a string or an array of strings',
+            'windows.debug.parallel: must be a positive integer',
+            'windows.profiles.staging.inherits: must be either "debug" or "release"',
+            'windows.profiles.staging.packageCertificatePasswordEnv: must be a name of environment variable'
+        ]);
+    });
+
+    it('should check certificate file extension', function () {
+        expect(validate({ windows: { release: { packageCertificateKeyFile: 'certs/key.cer' } } }))
+            .toEqual(['windows.release.packageCertificateKeyFile: must be a path to certificate file with one of the following extensions: .pfx']);
+        expect(validate({ windows: { release: { packageCertificateKeyFile: '${env:CERT_FILE}' } } })).toEqual([]); // eslint-disable-line no-template-curly-in-string
+    });
+
+    it('should report sections which are not objects', function () {
+        expect(validate({ windows: { debug: 'foo', profiles: [] } })).toEqual([
+            'windows.debug: must be an object',
+            'windows.profiles: must be an object'
+        ]);
+    });
+});
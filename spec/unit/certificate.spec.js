@@ -0,0 +1,83 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var forge = require('node-forge');
+var shell = require('shelljs');
+var certificate = require('../../template/cordova/lib/certificate');
+
+describe('certificate', function () {
+    var tempDir;
+    var pfxPath;
+
+    beforeAll(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificate-'));
+        pfxPath = path.join(tempDir, 'test.pfx');
+
+        // Small key is enough for tests and keeps generation fast
+        var keys = forge.pki.rsa.generateKeyPair(512);
+        var cert = forge.pki.createCertificate();
+        cert.publicKey = keys.publicKey;
+        cert.serialNumber = '01';
+        cert.validity.notBefore = new Date(Date.UTC(2020, 0, 1));
+        cert.validity.notAfter = new Date(Date.UTC(2030, 0, 1));
+        var attrs = [
+            { name: 'countryName', value: 'US' },
+            { name: 'organizationName', value: 'Contoso, Ltd' },
+            { name: 'commonName', value: 'Contoso' }
+        ];
+        cert.setSubject(attrs);
+        cert.setIssuer(attrs);
+        cert.sign(keys.privateKey);
+
+        var p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], 'secret', { algorithm: '3des' });
+        fs.writeFileSync(pfxPath, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+    });
+
+    afterAll(function () {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('should read certificate info from .pfx file', function () {
+        var info = certificate.readPfx(pfxPath, 'secret');
+
+        expect(info.subject).toBe('CN=Contoso, O="Contoso, Ltd", C=US');
+        expect(info.issuer).toBe(info.subject);
+        expect(info.thumbprint).toMatch(/^[0-9A-F]{40}$/);
+        expect(info.notBefore.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+        expect(info.notAfter.toISOString()).toBe('2030-01-01T00:00:00.000Z');
+    });
+
+    it('should throw if password is wrong or file does not exist', function () {
+        expect(function () { certificate.readPfx(pfxPath, 'wrong'); }).toThrowError(/Failed to read certificate file/);
+        expect(function () { certificate.readPfx(path.join(tempDir, 'missing.pfx')); }).toThrowError(/does not exist/);
+    });
+
+    it('should format distinguished names the same way as Windows', function () {
+        expect(certificate.formatDistinguishedName([
+            { type: '2.5.4.6', value: 'US' },
+            { type: '2.5.4.8', value: 'Washington' },
+            { type: '1.2.840.113549.1.9.1', value: 'dev@contoso.com' },
+            { type: '1.3.6.1.4.1.311.60.2.1.3', value: 'US' },
+            { type: '2.5.4.3', value: 'Contoso "Dev"' }
+        ])).toBe('CN="Contoso ""Dev""", OID.1.3.6.1.4.1.311.60.2.1.3=US, E=dev@contoso.com, S=Washington, C=US');
+    });
+});
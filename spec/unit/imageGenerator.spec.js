@@ -0,0 +1,132 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Jimp = require('jimp');
+var shell = require('shelljs');
+var sizeOf = require('image-size');
+var imageGenerator = require('../../template/cordova/lib/imageGenerator');
+
+var MASTER_ICON = path.resolve(__dirname, '../../template/images/Square150x150Logo.scale-240.png');
+
+describe('imageGenerator', function () {
+    describe('getImages method', function () {
+        it('should list every logo and splash screen scale used by the projects once', function () {
+            var images = imageGenerator.getImages({
+                icon: { src: 'icon.png', background: '#ff0000' },
+                splash: { src: 'splash.png' }
+            }, ['win10', 'phone']);
+            var names = images.map(function (image) { return image.name; });
+
+            expect(names).toContain('Square44x44Logo.scale-400.png');
+            expect(names).toContain('Square44x44Logo.scale-240.png');
+            expect(names).toContain('SplashScreen.scale-125.png');
+            expect(names).toContain('SplashScreenPhone.scale-140.png');
+            expect(names).not.toContain('Square30x30Logo.scale-100.png');
+            expect(names.filter(function (name) { return name === 'StoreLogo.scale-100.png'; }).length).toBe(1);
+
+            expect(images).toContain({ src: 'icon.png', name: 'Wide310x150Logo.scale-240.png', width: 744, height: 360, background: '#ff0000' });
+            expect(images).toContain({ src: 'splash.png', name: 'SplashScreen.scale-200.png', width: 1240, height: 600, background: undefined });
+        });
+
+        it('should list splash screens only if there is no master icon', function () {
+            var images = imageGenerator.getImages({ splash: { src: 'splash.png' } }, ['win']);
+
+            expect(images.map(function (image) { return image.name; })).toEqual([
+                'SplashScreen.scale-100.png', 'SplashScreen.scale-140.png', 'SplashScreen.scale-180.png'
+            ]);
+        });
+    });
+
+    describe('generate method', function () {
+        var imagesDir;
+
+        beforeEach(function () {
+            imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imageGenerator-'));
+        });
+
+        afterEach(function () {
+            shell.rm('-rf', imagesDir);
+        });
+
+        it('should resize master image and pad it with background color', function () {
+            var images = [
+                { src: MASTER_ICON, name: 'Square44x44Logo.scale-100.png', width: 44, height: 44 },
+                { src: MASTER_ICON, name: 'Wide310x150Logo.scale-100.png', width: 310, height: 150, background: '0xFF00FF00' }
+            ];
+
+            return imageGenerator.generate(images, imagesDir).then(function (written) {
+                expect(written).toEqual([
+                    path.join(imagesDir, 'Square44x44Logo.scale-100.png'),
+                    path.join(imagesDir, 'Wide310x150Logo.scale-100.png')
+                ]);
+                expect(sizeOf(written[0])).toEqual(jasmine.objectContaining({ width: 44, height: 44 }));
+
+                return Jimp.read(written[1]);
+            }).then(function (wide) {
+                expect(wide.bitmap.width).toBe(310);
+                expect(wide.bitmap.height).toBe(150);
+                // Master is square, so the wide logo is padded on the left and right
+                expect(wide.getPixelColor(0, 75)).toBe(0x00ff00ff);
+            });
+        });
+
+        it('should not generate images again if master, size and background are the same', function () {
+            var image = { src: MASTER_ICON, name: 'StoreLogo.scale-100.png', width: 50, height: 50, background: '#ff0000' };
+            var target = path.join(imagesDir, image.name);
+
+            return imageGenerator.generate([image], imagesDir).then(function (written) {
+                expect(written).toEqual([target]);
+                fs.writeFileSync(target, 'generated');
+
+                return imageGenerator.generate([image], imagesDir);
+            }).then(function (written) {
+                expect(written).toEqual([]);
+                expect(fs.readFileSync(target, 'utf-8')).toBe('generated');
+
+                return imageGenerator.generate([Object.assign({}, image, { background: '#00ff00' })], imagesDir);
+            }).then(function (written) {
+                expect(written).toEqual([target]);
+                expect(sizeOf(target)).toEqual(jasmine.objectContaining({ width: 50, height: 50 }));
+            });
+        });
+
+        it('should replace images which were not generated, even if they are newer than master', function () {
+            var target = path.join(imagesDir, 'StoreLogo.scale-100.png');
+            fs.writeFileSync(target, 'template');
+
+            return imageGenerator.generate([{ src: MASTER_ICON, name: 'StoreLogo.scale-100.png', width: 50, height: 50 }], imagesDir)
+                .then(function (written) {
+                    expect(written).toEqual([target]);
+                    expect(sizeOf(target)).toEqual(jasmine.objectContaining({ width: 50, height: 50 }));
+                });
+        });
+
+        it('should reject if master image does not exist', function () {
+            return imageGenerator.generate([{ src: path.join(imagesDir, 'missing.png'), name: 'StoreLogo.scale-100.png', width: 50, height: 50 }], imagesDir)
+                .then(function () {
+                    fail('Expected promise to be rejected');
+                }, function (error) {
+                    expect(error.message).toMatch(/Master image .*missing.png does not exist/);
+                });
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var AdmZip = require('adm-zip');
+var inspect = require('../../template/cordova/lib/inspect').inspect;
+
+var MANIFEST = '<?xml version="1.0" encoding="utf-8"?>' +
+    '<Package xmlns="http://schemas.microsoft.com/appx/manifest/foundation/windows10" ' +
+    'xmlns:uap="http://schemas.microsoft.com/appx/manifest/uap/windows10">' +
+    '<Identity Name="org.apache.cordova.test" Publisher="CN=Contoso" Version="1.2.3.0" ProcessorArchitecture="x86" />' +
+    '<Properties><DisplayName>Test App</DisplayName><PublisherDisplayName>Contoso</PublisherDisplayName></Properties>' +
+    '<Dependencies>' +
+    '<TargetDeviceFamily Name="Windows.Universal" MinVersion="10.0.10240.0" MaxVersionTested="10.0.17763.0" />' +
+    '<PackageDependency Name="Microsoft.WinJS.2.0" Publisher="CN=Microsoft Corporation" MinVersion="1.0.9600.17018" />' +
+    '</Dependencies>' +
+    '<Capabilities><Capability Name="internetClient" /><uap:Capability Name="picturesLibrary" />' +
+    '<DeviceCapability Name="webcam" /></Capabilities>' +
+    '</Package>';
+
+function createPackage (manifest) {
+    var zip = new AdmZip();
+    zip.addFile('AppxManifest.xml', Buffer.from(manifest));
+    zip.addFile('www/index.html', Buffer.from('<html></html>'));
+    zip.addFile('www/my%20page.html', Buffer.from('page'));
+    return zip.toBuffer();
+}
+
+describe('inspect', function () {
+    var tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspect-'));
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('should read identity, capabilities, dependencies and files of package', function () {
+        var packagePath = path.join(tempDir, 'App.appx');
+        fs.writeFileSync(packagePath, createPackage(MANIFEST));
+
+        var result = inspect(packagePath);
+
+        expect(result.path).toBe(packagePath);
+        expect(result.type).toBe('package');
+        expect(result.identity).toEqual({
+            name: 'org.apache.cordova.test',
+            publisher: 'CN=Contoso',
+            version: '1.2.3.0',
+            architecture: 'x86',
+            resourceId: null
+        });
+        expect(result.displayName).toBe('Test App');
+        expect(result.publisherDisplayName).toBe('Contoso');
+        expect(result.capabilities).toEqual(['internetClient', 'picturesLibrary', 'webcam']);
+        expect(result.dependencies).toEqual([
+            { type: 'TargetDeviceFamily', name: 'Windows.Universal', publisher: null, minVersion: '10.0.10240.0', maxVersionTested: '10.0.17763.0' },
+            { type: 'PackageDependency', name: 'Microsoft.WinJS.2.0', publisher: 'CN=Microsoft Corporation', minVersion: '1.0.9600.17018', maxVersionTested: null }
+        ]);
+        expect(result.files.map(function (file) { return file.path; })).toEqual(['AppxManifest.xml', 'www/index.html', 'www/my page.html']);
+        expect(result.files[1].size).toBe(13);
+    });
+
+    it('should read nested packages of bundle', function () {
+        var bundlePath = path.join(tempDir, 'App.appxbundle');
+        var bundle = new AdmZip();
+        bundle.addFile('AppxMetadata/AppxBundleManifest.xml', Buffer.from(
+            '<Bundle xmlns="http://schemas.microsoft.com/appx/2013/bundle">' +
+            '<Identity Name="org.apache.cordova.test" Publisher="CN=Contoso" Version="1.2.3.0" />' +
+            '<Packages>' +
+            '<Package Type="application" Version="1.2.3.0" Architecture="x86" FileName="App_x86.appx" Size="1024">' +
+            '<Resources><Resource Language="en-US" /></Resources></Package>' +
+            '<Package Type="resource" Version="1.2.3.0" ResourceId="split.scale-200" FileName="App_scale-200.appx" />' +
+            '</Packages></Bundle>'));
+        bundle.addFile('App_x86.appx', createPackage(MANIFEST));
+        bundle.writeZip(bundlePath);
+
+        var result = inspect(bundlePath);
+
+        expect(result.type).toBe('bundle');
+        expect(result.identity.version).toBe('1.2.3.0');
+        expect(result.packages.length).toBe(2);
+        expect(result.packages[0].fileName).toBe('App_x86.appx');
+        expect(result.packages[0].architecture).toBe('x86');
+        expect(result.packages[0].size).toBe(1024);
+        expect(result.packages[0].languages).toEqual(['en-US']);
+        expect(result.packages[0].package.identity.name).toBe('org.apache.cordova.test');
+        expect(result.packages[1].type).toBe('resource');
+        expect(result.packages[1].resourceId).toBe('split.scale-200');
+        // Package is listed in bundle manifest but is not in the bundle
+        expect(result.packages[1].package).toBe(null);
+    });
+
+    it('should throw if package does not exist or is not valid', function () {
+        expect(function () { inspect(path.join(tempDir, 'missing.appx')); }).toThrowError(/does not exist/);
+
+        var zip = new AdmZip();
+        zip.addFile('www/index.html', Buffer.from(''));
+        zip.writeZip(path.join(tempDir, 'invalid.appx'));
+        expect(function () { inspect(path.join(tempDir, 'invalid.appx')); }).toThrowError(/AppxManifest.xml is missing/);
+
+        fs.writeFileSync(path.join(tempDir, 'broken.appx'), 'not a zip');
+        expect(function () { inspect(path.join(tempDir, 'broken.appx')); }).toThrowError(/Failed to open package/);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var et = require('elementtree');
+var lint = require('../../template/cordova/lib/lint');
+var prepare = require('../../template/cordova/lib/prepare');
+var AppxManifest = require('../../template/cordova/lib/AppxManifest');
+
+var TEMPLATE = path.resolve(__dirname, '../../template');
+
+describe('lint', function () {
+    var projectRoot;
+
+    function runLint () {
+        return lint.run.call({ root: projectRoot }, { argv: ['--appx=uwp'] });
+    }
+
+    function issuesOf (report, rule) {
+        return report.issues.filter(function (issue) { return issue.rule === rule; });
+    }
+
+    beforeEach(function () {
+        projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-'));
+        ['CordovaApp.Windows10.jsproj', 'CordovaApp.projitems', 'CordovaApp.shproj', 'config.xml', 'package.windows10.appxmanifest',
+            'package.phone.appxmanifest', 'images', 'www'].forEach(function (item) {
+            shell.cp('-R', path.join(TEMPLATE, item), projectRoot);
+        });
+        prepare.addBOMSignature(path.join(projectRoot, 'www'));
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', projectRoot);
+    });
+
+    it('should not report issues for prepared template project', function () {
+        return runLint().then(function (report) {
+            expect(report.project).toBe(projectRoot);
+            expect(report.issues).toEqual([]);
+            expect(report.errorCount).toBe(0);
+            expect(report.warningCount).toBe(0);
+        });
+    });
+
+    it('should report files without BOM and banned APIs along with line numbers', function () {
+        fs.writeFileSync(path.join(projectRoot, 'www', 'js', 'unsafe.js'), 'var a = 1;\n// eval(a)\nvar b = eval("a");\n');
+
+        return runLint().then(function (report) {
+            expect(issuesOf(report, 'bom')).toEqual([jasmine.objectContaining({ severity: 'error', file: 'www/js/unsafe.js' })]);
+            expect(issuesOf(report, 'banned-api')).toEqual([jasmine.objectContaining({ severity: 'warning', file: 'www/js/unsafe.js', line: 3 })]);
+            expect(report.errorCount).toBe(1);
+            expect(report.warningCount).toBe(1);
+        });
+    });
+
+    it('should report missing start page and images and images of wrong size', function () {
+        shell.rm(path.join(projectRoot, 'www', 'index.html'));
+        shell.rm(path.join(projectRoot, 'images', 'Square44x44Logo.*'));
+        shell.cp('-f', path.join(projectRoot, 'images', 'StoreLogo.scale-240.png'), path.join(projectRoot, 'images', 'StoreLogo.scale-100.png'));
+
+        return runLint().then(function (report) {
+            expect(issuesOf(report, 'start-page')[0].message).toBe('Start page www/index.html doesn\'t exist in the project.');
+            expect(issuesOf(report, 'image-missing')[0].message).toBe('Square44x44Logo image images\\Square44x44Logo.png is missing.');
+            expect(issuesOf(report, 'image-size')).toEqual([jasmine.objectContaining({
+                file: 'images/StoreLogo.scale-100.png',
+                message: 'Image is 120x120, but 50x50 is expected.'
+            })]);
+        });
+    });
+
+    it('should report restricted capabilities with remote URIs and values exceeding length limits', function () {
+        var manifest = AppxManifest.get(path.join(projectRoot, 'package.windows10.appxmanifest'), true);
+        manifest.getIdentity().setName('AB');
+        manifest.getApplication().setStartPage('https://example.com/index.html');
+        manifest.doc.find('./Capabilities').append(new et.Element('uap:Capability', { Name: 'documentsLibrary' }));
+        manifest.write();
+
+        return runLint().then(function (report) {
+            expect(issuesOf(report, 'start-page')[0].severity).toBe('info');
+            expect(issuesOf(report, 'capability-uri')[0].message).toMatch(/documentsLibrary can't be used with access to remote URIs: https:\/\/example.com\/index.html/);
+            expect(issuesOf(report, 'manifest-length')[0].message).toBe('Identity.Name must be from 3 to 50 characters long, but it is 2.');
+        });
+    });
+});
@@ -130,6 +130,19 @@ describe('getPackageFileInfo method', function () {
     });
 });
 
+describe('getPackageFilePath method', function () {
+    it('should return path which getPackageFileInfo understands', function () {
+        var packageFile = pkg.getPackageFilePath(pkgRoot, 'windows10', '1.0.0.0', 'x86', 'debug');
+        expect(packageFile).toBe(path.join(pkgPath, 'CordovaApp.Windows10_1.0.0.0_x86_debug_Test', 'CordovaApp.Windows10_1.0.0.0_x86_debug.appx'));
+
+        var bundleFile = pkg.getPackageFilePath(pkgRoot, 'windows10', '1.0.0.0', ['x64', 'arm'], 'release', 'appxbundle');
+        var pkgInfo = pkg.getPackageFileInfo(bundleFile);
+        expect(path.basename(bundleFile)).toBe('CordovaApp.Windows10_1.0.0.0_x64_ARM.appxbundle');
+        expect(pkgInfo.archs).toEqual(['x64', 'arm']);
+        expect(pkgInfo.buildtype).toBe('release');
+    });
+});
+
 describe('getAppId method', function () {
     it('spec.11 should properly get Application Id value from manifest', function () {
         expect(pkg.getAppId(pkgRoot)).toBe('$guid1$');
@@ -0,0 +1,168 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var rewire = require('rewire');
+var AdmZip = require('adm-zip');
+var pckage = require('../../template/cordova/lib/package');
+var appxBundler = require('../../template/cordova/lib/appxBundler');
+var appxPackager = require('../../template/cordova/lib/appxPackager');
+var AppxManifest = require('../../template/cordova/lib/AppxManifest');
+var packageStore = require('../../template/cordova/lib/packageStore');
+var ConfigParser = require('../../template/cordova/lib/ConfigParser');
+
+var TEMPLATE = path.resolve(__dirname, '../../template');
+
+describe('packageStore', function () {
+    var projectRoot;
+    var bundlePath;
+
+    function setPreferences (preferences) {
+        var configPath = path.join(projectRoot, 'config.xml');
+        var elements = Object.keys(preferences).map(function (name) {
+            return '<preference name="' + name + '" value="' + preferences[name] + '" />';
+        }).join('');
+        fs.writeFileSync(configPath, fs.readFileSync(configPath, 'utf-8').replace('</widget>', elements + '</widget>'));
+    }
+
+    beforeEach(function () {
+        projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'packageStore-'));
+        ['CordovaApp.Windows10.jsproj', 'CordovaApp.projitems', 'CordovaApp.shproj', 'config.xml', 'package.windows10.appxmanifest',
+            'package.phone.appxmanifest', 'images', 'www', 'Properties'].forEach(function (item) {
+            shell.cp('-R', path.join(TEMPLATE, item), projectRoot);
+        });
+
+        var manifest = AppxManifest.get(path.join(projectRoot, 'package.windows10.appxmanifest'), true);
+        manifest.getIdentity().setName('Contoso.App');
+        manifest.getProperties().setPublisherDisplayName('Contoso');
+        manifest.write();
+
+        var packages = ['x86', 'x64'].map(function (arch) {
+            var packagePath = appxPackager.createPackage(projectRoot, 'release', arch);
+            fs.writeFileSync(packagePath.replace(/\.appx$/, '.appxsym'), 'symbols ' + arch);
+            return packagePath;
+        });
+        bundlePath = pckage.getPackageFilePath(projectRoot, 'windows10', '1.0.0.0', ['x86', 'x64'], 'release', 'appxbundle');
+        appxBundler.createBundle(packages, bundlePath);
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', projectRoot);
+    });
+
+    it('should zip release bundle and its symbols into .appxupload and write summary', function () {
+        setPreferences({ WindowsStoreIdentityName: 'Contoso.App', WindowsStorePublisherName: 'Contoso' });
+
+        return packageStore.run.call({ root: projectRoot }, { argv: ['--appx=uwp'] })
+            .then(function (summary) {
+                expect(summary.upload).toBe(path.join(projectRoot, 'AppPackages', 'CordovaApp.Windows10_1.0.0.0_x86_x64_bundle.appxupload'));
+                expect(summary.package.file).toBe(path.basename(bundlePath));
+                expect(summary.package.type).toBe('bundle');
+                expect(summary.package.identity.name).toBe('Contoso.App');
+                expect(summary.package.packages.map(function (pkg) { return pkg.architecture; })).toEqual(['x86', 'x64']);
+                expect(summary.symbols.map(function (symbols) { return symbols.file; }).sort()).toEqual([
+                    'CordovaApp.Windows10_1.0.0.0_x64.appxsym', 'CordovaApp.Windows10_1.0.0.0_x86.appxsym'
+                ]);
+
+                var upload = new AdmZip(summary.upload);
+                expect(upload.getEntries().map(function (entry) { return entry.entryName; }).sort()).toEqual([
+                    'CordovaApp.Windows10_1.0.0.0_x64.appxsym',
+                    'CordovaApp.Windows10_1.0.0.0_x86.appxsym',
+                    'CordovaApp.Windows10_1.0.0.0_x86_x64.appxbundle'
+                ]);
+
+                var written = JSON.parse(fs.readFileSync(summary.summaryJson, 'utf-8'));
+                expect(path.basename(summary.summaryJson)).toBe('CordovaApp.Windows10_1.0.0.0_x86_x64_bundle.summary.json');
+                expect(written.package.sha256).toBe(summary.package.sha256);
+            });
+    });
+
+    it('should use package and output specified', function () {
+        var packagePath = pckage.getPackageFilePath(projectRoot, 'windows10', '1.0.0.0', 'x86', 'release');
+        var output = path.join(projectRoot, 'out', 'store.appxupload');
+
+        return packageStore.run.call({ root: projectRoot }, { argv: ['--package', packagePath, '--output', output] })
+            .then(function (summary) {
+                expect(summary.upload).toBe(output);
+                expect(summary.package.type).toBe('package');
+                expect(summary.symbols.map(function (symbols) { return symbols.file; })).toEqual(['CordovaApp.Windows10_1.0.0.0_x86.appxsym']);
+                expect(fs.existsSync(path.join(projectRoot, 'out', 'store.summary.json'))).toBe(true);
+            });
+    });
+
+    it('should reject if package identity does not match Store values', function () {
+        setPreferences({ WindowsStoreIdentityName: 'Fabrikam.App' });
+
+        return packageStore.run.call({ root: projectRoot }, { argv: ['--appx=uwp'] })
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toMatch(/Identity.Name is "Contoso.App", but WindowsStoreIdentityName is "Fabrikam.App"/);
+                expect(fs.readdirSync(path.join(projectRoot, 'AppPackages')).filter(function (file) {
+                    return /\.appxupload$/.test(file);
+                })).toEqual([]);
+            });
+    });
+
+    it('should resolve localized PublisherDisplayName from default language strings', function () {
+        var configPath = path.join(projectRoot, 'config.xml');
+        var manifestPath = path.join(projectRoot, 'package.windows10.appxmanifest');
+        setPreferences({ WindowsStorePublisherName: 'Contoso' });
+        fs.writeFileSync(configPath, fs.readFileSync(configPath, 'utf-8').replace('</widget>',
+            '<preference name="WindowsStorePublisherName" xml:lang="de" value="Contoso DE" /></widget>'));
+
+        var manifest = AppxManifest.get(manifestPath, true);
+        rewire('../../template/cordova/lib/prepare').__get__('applyLocalizedStrings')(new ConfigParser(configPath), manifest);
+        manifest.write();
+        expect(manifest.getProperties().getPublisherDisplayName()).toBe('ms-resource:PublisherDisplayName');
+
+        // msbuild leaves references in package manifest, they are resolved with resources.pri
+        var packagePath = appxPackager.createPackage(projectRoot, 'release', 'x86');
+        var zip = new AdmZip(packagePath);
+        zip.updateFile('AppxManifest.xml', Buffer.from(zip.readAsText('AppxManifest.xml')
+            .replace(/<PublisherDisplayName>[^<]*</, '<PublisherDisplayName>ms-resource:PublisherDisplayName<')));
+        zip.writeZip(packagePath);
+
+        return packageStore.run.call({ root: projectRoot }, { argv: ['--package', packagePath] })
+            .then(function (summary) {
+                expect(fs.existsSync(summary.upload)).toBe(true);
+
+                var stringsFile = path.join(projectRoot, 'strings', 'en-US', 'resources.resjson');
+                fs.writeFileSync(stringsFile, JSON.stringify({ PublisherDisplayName: 'Fabrikam' }));
+                return packageStore.run.call({ root: projectRoot }, { argv: ['--package', packagePath] });
+            })
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toMatch(/PublisherDisplayName is "Fabrikam", but WindowsStorePublisherName is "Contoso"/);
+            });
+    });
+
+    it('should reject debug packages', function () {
+        return packageStore.run.call({ root: projectRoot }, { debug: true })
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toMatch(/only packages built in release mode/);
+            });
+    });
+});
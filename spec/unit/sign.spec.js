@@ -0,0 +1,160 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var rewire = require('rewire');
+var shell = require('shelljs');
+var utils = require('../../template/cordova/lib/utils');
+var signtool = require('../../template/cordova/lib/signtool');
+var certificate = require('../../template/cordova/lib/certificate');
+var AppxManifest = require('../../template/cordova/lib/AppxManifest');
+
+var MANIFEST = path.resolve(__dirname, '../../template/package.windows10.appxmanifest');
+
+describe('sign', function () {
+    var sign;
+    var tempDir;
+    var commands;
+    var publishers;
+    var signtoolArgs;
+
+    function getArg (args, name) {
+        return args[args.indexOf(name) + 1];
+    }
+
+    beforeEach(function () {
+        sign = rewire('../../template/cordova/lib/sign');
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sign-'));
+        commands = [];
+        publishers = {};
+        signtoolArgs = [];
+
+        spyOn(utils, 'isCordovaProject').and.returnValue(true);
+        spyOn(certificate, 'readPfx').and.returnValue({ subject: 'CN=Customer', thumbprint: 'ABCDEF' });
+
+        // Emulates makeappx by creating package content on unpack and recording
+        // manifest Publisher on pack
+        sign.__set__('spawn', function (tool, args) {
+            commands.push(args[0]);
+            var dir = getArg(args, '/d');
+            var pkg = getArg(args, '/p');
+
+            if (args[0] === 'unpack') {
+                shell.mkdir('-p', path.join(dir, 'AppxMetadata'));
+                shell.cp(MANIFEST, path.join(dir, 'AppxManifest.xml'));
+                fs.writeFileSync(path.join(dir, 'AppxSignature.p7x'), '');
+            } else if (args[0] === 'unbundle') {
+                shell.mkdir('-p', path.join(dir, 'AppxMetadata'));
+                fs.writeFileSync(path.join(dir, 'AppxMetadata', 'AppxBundleManifest.xml'),
+                    '<Bundle><Identity Name="App" Publisher="CN=Old" Version="1.2.3.0" /></Bundle>');
+                fs.writeFileSync(path.join(dir, 'App_x86.appx'), 'x86');
+                fs.writeFileSync(path.join(dir, 'App_arm.appx'), 'arm');
+            } else if (args[0] === 'pack') {
+                expect(fs.existsSync(path.join(dir, 'AppxSignature.p7x'))).toBe(false);
+                expect(fs.existsSync(path.join(dir, 'AppxMetadata'))).toBe(false);
+                publishers[path.basename(pkg)] = AppxManifest.get(path.join(dir, 'AppxManifest.xml'), true).getIdentity().getPublisher();
+                fs.writeFileSync(pkg, 'signed');
+            } else if (args[0] === 'bundle') {
+                expect(getArg(args, '/bv')).toBe('1.2.3.0');
+                fs.writeFileSync(pkg, 'signed bundle');
+            }
+
+            return Q();
+        });
+
+        spyOn(signtool, 'signFile').and.callFake(function (file, keyFile, password) {
+            signtoolArgs.push({ file: file, keyFile: keyFile, password: password });
+            return Q();
+        });
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', tempDir);
+    });
+
+    it('should replace Publisher, repack and sign package with certificate from build config', function () {
+        var packagePath = path.join(tempDir, 'App.appx');
+        var outputPath = path.join(tempDir, 'out', 'Customer.appx');
+        var buildConfigPath = path.join(tempDir, 'build.json');
+        fs.writeFileSync(packagePath, 'unsigned');
+        fs.writeFileSync(buildConfigPath, JSON.stringify({
+            windows: { release: { packageCertificateKeyFile: 'customer.pfx', packageCertificatePasswordEnv: 'CORDOVA_TEST_SIGN_PASSWORD' } }
+        }));
+        process.env.CORDOVA_TEST_SIGN_PASSWORD = 'secret';
+
+        return sign.run.call({ root: tempDir }, {
+            release: true,
+            argv: ['--buildConfig', buildConfigPath, '--package', packagePath, '--output', outputPath]
+        }).then(function (result) {
+            expect(result).toEqual({ appx: outputPath, publisher: 'CN=Customer', thumbprint: 'ABCDEF' });
+            expect(certificate.readPfx).toHaveBeenCalledWith(path.join(fs.realpathSync(tempDir), 'customer.pfx'), 'secret');
+            expect(commands).toEqual(['unpack', 'pack']);
+            expect(publishers['Customer.appx']).toBe('CN=Customer');
+            expect(signtoolArgs.length).toBe(1);
+            expect(signtoolArgs[0].password).toBe('secret');
+            expect(fs.readFileSync(outputPath, 'utf-8')).toBe('signed');
+            // Original package is left intact when output is specified
+            expect(fs.readFileSync(packagePath, 'utf-8')).toBe('unsigned');
+        }).finally(function () {
+            delete process.env.CORDOVA_TEST_SIGN_PASSWORD;
+        });
+    });
+
+    it('should re-sign all packages in bundle keeping bundle version', function () {
+        var bundlePath = path.join(tempDir, 'App.appxbundle');
+        fs.writeFileSync(bundlePath, 'unsigned bundle');
+
+        return sign.run.call({ root: tempDir }, {
+            argv: ['--package', bundlePath, '--packageCertificateKeyFile', path.join(tempDir, 'customer.pfx')]
+        }).then(function (result) {
+            expect(result.appx).toBe(bundlePath);
+            expect(commands).toEqual(['unbundle', 'unpack', 'pack', 'unpack', 'pack', 'bundle']);
+            expect(publishers['App_x86.appx']).toBe('CN=Customer');
+            expect(publishers['App_arm.appx']).toBe('CN=Customer');
+            // Both packages and bundle itself are signed
+            expect(signtoolArgs.length).toBe(3);
+            expect(signtoolArgs[0].password).toBeUndefined();
+            expect(fs.readFileSync(bundlePath, 'utf-8')).toBe('signed bundle');
+        });
+    });
+
+    it('should reject if there is no certificate or package', function () {
+        var packagePath = path.join(tempDir, 'App.appx');
+
+        return sign.run.call({ root: tempDir }, { argv: ['--package', packagePath] })
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toMatch(/No certificate to sign the package with/);
+
+                return sign.run.call({ root: tempDir }, {
+                    argv: ['--package', packagePath, '--packageCertificateKeyFile', 'customer.pfx']
+                });
+            })
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toMatch(/Package to sign does not exist/);
+                expect(commands).toEqual([]);
+            });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var rewire = require('rewire');
+var events = require('cordova-common').events;
+var utils = require('../../template/cordova/lib/utils');
+
+describe('signtool', function () {
+    var signtool;
+    var execFileArgs;
+    var messages;
+    var onVerbose = function (message) { messages.push(message); };
+
+    beforeEach(function () {
+        signtool = rewire('../../template/cordova/lib/signtool');
+        execFileArgs = null;
+        messages = [];
+        events.on('verbose', onVerbose);
+
+        spyOn(utils, 'getSdkToolPath').and.returnValue('signtool.exe');
+        signtool.__set__('execFile', function (tool, args, callback) {
+            execFileArgs = args;
+            callback(null, '', '');
+        });
+    });
+
+    afterEach(function () {
+        events.removeListener('verbose', onVerbose);
+    });
+
+    it('should pass password to signtool, but mask it in the logged command', function () {
+        return signtool.signFile('App.appx', 'customer.pfx', 'secret')
+            .then(function () {
+                expect(execFileArgs).toEqual(['sign', '/fd', 'SHA256', '/a', '/f', 'customer.pfx', '/p', 'secret', 'App.appx']);
+                expect(messages).toContain('Running command: signtool.exe sign /fd SHA256 /a /f customer.pfx /p ******** App.appx');
+                messages.forEach(function (message) {
+                    expect(message).not.toContain('secret');
+                });
+            });
+    });
+
+    it('should not pass password if it is not specified', function () {
+        return signtool.signFile('App.appx', 'customer.pfx')
+            .then(function () {
+                expect(execFileArgs).not.toContain('/p');
+            });
+    });
+
+    it('should reject with signtool output if signing fails', function () {
+        signtool.__set__('execFile', function (tool, args, callback) {
+            callback(new Error('exit code 1'), '', 'SignTool Error: invalid password');
+        });
+
+        return signtool.signFile('App.appx', 'customer.pfx', 'secret')
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (error) {
+                expect(error.message).toBe('Failed to sign App.appx: SignTool Error: invalid password');
+            });
+    });
+});
@@ -284,6 +284,10 @@ Api.prototype.removePlugin = function (plugin, uninstallOptions) {
  *   used to run built application.
  * @param   {Boolean}  buildOptions.nobuild  Indicates that this should be a
  *   dry-run call, so no build artifacts will be produced.
+ * @param   {Boolean}  buildOptions.dryRun  Windows-specific. Indicates that
+ *   msbuild should not be called and the build plan (projects, architectures
+ *   and MSBuild properties) should be returned instead of build artifacts.
+ *   Can also be passed as `--dry-run` in argv.
  * @param   {String[]}  buildOptions.archs  Specifies chip architectures which
  *   app packages should be built for. List of valid architectures is depends on
  *   platform.
@@ -336,6 +340,63 @@ Api.prototype.run = function (runOptions) {
     return require('./lib/run').run.call(this, runOptions);
 };
 
+/**
+ * Signs an already built application package with certificate from build
+ *   configuration file or command line, so the package can be signed for
+ *   different publishers without rebuilding the project. Identity.Publisher in
+ *   package manifest is replaced with certificate subject.
+ *
+ * @param   {Object}  signOptions  An options object. The structure is the same
+ *   as for build options.
+ * @param   {String}  [signOptions.package]  The path to .appx or .appxbundle
+ *   file to sign. If not specified, the package matching build type and
+ *   architecture is looked up in AppPackages folder. Can also be passed as
+ *   `--package` in argv. `--output` in argv specifies where to write signed
+ *   package to, otherwise the package is signed in place.
+ *
+ * @return  {Promise<Object>}  A promise either fulfilled with signed package
+ *   info (path to package, publisher and certificate thumbprint), or rejected
+ *   with CordovaError.
+ */
+Api.prototype.sign = function (signOptions) {
+    return require('./lib/sign').run.call(this, signOptions);
+};
+
+/**
+ * Zips release package or bundle along with its symbol files into .appxupload
+ *   for Store submission. Package identity is checked against Store values
+ *   from config.xml preferences and build config file.
+ *
+ * @param   {Object}  storeOptions  An options object. The structure is the
+ *   same as for build options. `--package`, `--output` and `--summary-json`
+ *   in argv specify the package to use and where to write the upload and its
+ *   JSON summary to.
+ *
+ * @return  {Promise<Object>}  A promise either fulfilled with the upload
+ *   summary (paths and hashes of files put into the upload), or rejected with
+ *   CordovaError.
+ */
+Api.prototype.packageStore = function (storeOptions) {
+    return require('./lib/packageStore').run.call(this, storeOptions);
+};
+
+/**
+ * Checks prepared project for issues Windows App Certification Kit reports:
+ *   missing BOMs, images of wrong size, missing start page, banned APIs,
+ *   restricted capabilities and manifest values length. Doesn't require
+ *   Windows SDK.
+ *
+ * @param   {Object}  lintOptions  An options object. `--appx`, `--win` and
+ *   `--phone` in argv specify manifests to check, the same way as for build.
+ *
+ * @return  {Promise<Object>}  A promise either fulfilled with the report
+ *   (issues along with their severity and error, warning and info counts), or
+ *   rejected with CordovaError.
+ */
+Api.prototype.lint = function (lintOptions) {
+    return require('./lib/lint').run.call(this, lintOptions);
+};
+
 /**
  * Cleans out the build artifacts from platform's directory.
  *
@@ -56,6 +56,20 @@ var MANIFESTS = {
     }
 };
 
+// Categories of extensions, managed by setProtocols and setFileTypeAssociations
+var PROTOCOL_CATEGORY = 'windows.protocol';
+var FILE_TYPE_ASSOCIATION_CATEGORY = 'windows.fileTypeAssociation';
+// Category of background tasks, managed by setBackgroundTasks
+var BACKGROUND_TASKS_CATEGORY = 'windows.backgroundTasks';
+// Categories managed by setShareTarget and setAppServices
+var SHARE_TARGET_CATEGORY = 'windows.shareTarget';
+var APP_SERVICE_CATEGORY = 'windows.appService';
+
+// Background task trigger types, supported by Windows 10 manifests
+var BACKGROUND_TASK_TYPES = ['audio', 'controlChannel', 'general', 'location', 'pushNotification', 'systemEvent', 'timer'];
+var UAP_BACKGROUND_TASK_TYPES = ['bluetooth', 'chatMessageNotification', 'deviceConnectionChange', 'deviceServicing',
+    'deviceUse', 'gattCharacteristicNotification', 'mediaProcessing', 'rfcommConnection'];
+
 var SUBSTS = ['package.phone.appxmanifest', 'package.windows.appxmanifest', 'package.windows10.appxmanifest'];
 var TARGETS = ['windows', 'phone', 'all'];
 
@@ -598,6 +612,78 @@ AppxManifest.prototype.setAppName = function (name) {
     return this;
 };
 
+/**
+ * Sets languages app resources are available in. Resource elements without
+ *   Language attribute (e.g. Scale or DXFeatureLevel) are kept as is.
+ *
+ * @param   {String[]}  languages  Languages, default one goes first. If empty,
+ *   'x-generate' is used, so msbuild fills languages from resources.pri
+ *
+ * @return  {AppxManifest}  Current instance
+ */
+AppxManifest.prototype.setLanguages = function (languages) {
+    var resources = this.doc.getroot().find('./Resources');
+    if (!resources) { throw new Error('Failed to find "Resources" node. The appxmanifest at ' + this.path + ' is invalid'); }
+
+    var existing = resources.findall('./Resource');
+    // Resources other than languages, e.g. scales, are kept after the languages
+    var others = existing.filter(function (resource) {
+        return !resource.attrib.Language;
+    });
+
+    existing.forEach(function (resource) {
+        resources.remove(resource);
+    });
+
+    (languages.length > 0 ? languages : ['x-generate']).forEach(function (language) {
+        resources.append(new et.Element('Resource', { Language: language }));
+    });
+
+    others.forEach(function (resource) {
+        resources.append(resource);
+    });
+
+    return this;
+};
+
+AppxManifest.processDescription = processDescription;
+
+// Trigger types Win10AppxManifest's setBackgroundTasks accepts
+AppxManifest.BACKGROUND_TASK_TYPES = BACKGROUND_TASK_TYPES.concat(UAP_BACKGROUND_TASK_TYPES);
+
+/**
+ * Returns images referenced by manifest along with the slots they are
+ *   referenced from. Slot is the attribute name (e.g. 'Square44x44Logo'),
+ *   except for package logo, which is 'StoreLogo', and for splash screen
+ *   image, which is 'SplashScreen'.
+ *
+ * @return  {Object[]}  Array of { slot, src } objects, where src is a path
+ *   relative to the project root, as specified in manifest
+ */
+AppxManifest.prototype.getImages = function () {
+    var images = [];
+
+    this.doc.iter('*', function (element) {
+        var tag = element.tag.split(':').pop();
+
+        Object.keys(element.attrib).forEach(function (name) {
+            if (isImageReference(element.attrib[name])) {
+                images.push({ slot: name === 'Image' ? tag : name, src: element.attrib[name].trim() });
+            }
+        });
+
+        if (isImageReference(element.text)) {
+            images.push({ slot: tag === 'Logo' ? 'StoreLogo' : tag, src: element.text.trim() });
+        }
+    });
+
+    return images;
+};
+
+function isImageReference (value) {
+    return typeof value === 'string' && /\.(png|jpe?g|gif)\s*$/i.test(value) && !/^\s*[a-z-]+:/i.test(value);
+}
+
 /**
  * Writes manifest to disk syncronously. If filename is specified, then manifest
  *   will be written to that file
@@ -673,6 +759,13 @@ Win10AppxManifest.prototype.getApplication = function () {
         appUriRules = new et.Element('uap:ApplicationContentUriRules');
         application.append(appUriRules);
 
+        // Extensions element, if any, must go after content URI rules
+        var extensions = application.find('./Extensions');
+        if (extensions) {
+            application.remove(extensions);
+            application.append(extensions);
+        }
+
         rules.forEach(function (rule) {
             appUriRules.append(new et.Element('uap:Rule', { Match: rule, Type: 'include', WindowsRuntimeAccess: 'all' }));
         });
@@ -766,6 +859,284 @@ Win10AppxManifest.prototype.setDependencies = function (dependencies) {
     });
 };
 
+/**
+ * Lists application extensions, declared in manifest.
+ *
+ * @return  {Object[]}  Array of { category, name } objects. Protocol and file
+ *   type association extensions have the fields setProtocols and
+ *   setFileTypeAssociations accept as well.
+ */
+Win10AppxManifest.prototype.getExtensions = function () {
+    return getExtensionElements(this.doc).map(function (extension) {
+        var result = { category: extension.attrib.Category };
+        var protocol = extension.find('./uap:Protocol');
+        var association = extension.find('./uap:FileTypeAssociation');
+
+        if (protocol) {
+            result.name = protocol.attrib.Name;
+            setOptionalFields(result, protocol);
+        } else if (association) {
+            result.name = association.attrib.Name;
+            setOptionalFields(result, association);
+            result.fileTypes = association.findall('./uap:SupportedFileTypes/uap:FileType').map(function (fileType) {
+                var type = { fileType: fileType.text };
+                if (fileType.attrib.ContentType) type.contentType = fileType.attrib.ContentType;
+                return type;
+            });
+        } else if (extension.find('./uap:AppService')) {
+            result.name = extension.find('./uap:AppService').attrib.Name;
+            if (extension.attrib.StartPage) result.startPage = extension.attrib.StartPage;
+        } else if (extension.find('./uap:ShareTarget')) {
+            var shareTarget = extension.find('./uap:ShareTarget');
+            result.dataFormats = shareTarget.findall('./uap:DataFormat').map(function (format) { return format.text; });
+            result.fileTypes = shareTarget.findall('./uap:SupportedFileTypes/uap:FileType').map(function (fileType) {
+                return { fileType: fileType.text };
+            });
+            if (shareTarget.find('./uap:SupportedFileTypes/uap:SupportsAnyFileType')) result.supportsAnyFileType = true;
+        } else if (extension.attrib.EntryPoint || extension.attrib.StartPage) {
+            result.name = extension.attrib.EntryPoint || extension.attrib.StartPage;
+        }
+
+        return result;
+    });
+};
+
+/**
+ * Replaces protocol extensions (windows.protocol category), app is activated
+ *   for, with the specified ones. Other extensions are kept as is.
+ *
+ * @param   {Object[]}  protocols  Array of { name, displayName, logo } objects,
+ *   where name is a URI scheme, e.g. 'myapp' for myapp:// URIs
+ *
+ * @return  {Win10AppxManifest}  Current instance
+ */
+Win10AppxManifest.prototype.setProtocols = function (protocols) {
+    setExtensions(this, isOfCategory(PROTOCOL_CATEGORY), protocols.map(function (protocol) {
+        if (!protocol.name) throw new TypeError('Protocol name must be defined in appxmanifest at ' + this.path);
+
+        var element = new et.Element('uap:Protocol', { Name: protocol.name });
+        if (protocol.logo) element.append(createTextElement('uap:Logo', protocol.logo));
+        if (protocol.displayName) element.append(createTextElement('uap:DisplayName', protocol.displayName));
+
+        return createUapExtension(PROTOCOL_CATEGORY, element);
+    }, this));
+
+    return this;
+};
+
+/**
+ * Replaces file type associations (windows.fileTypeAssociation category)
+ *   with the specified ones. Other extensions are kept as is.
+ *
+ * @param   {Object[]}  associations  Array of { name, displayName, logo,
+ *   fileTypes } objects, where fileTypes is an array of { fileType,
+ *   contentType } objects, e.g. { fileType: '.csv', contentType: 'text/csv' }
+ *
+ * @return  {Win10AppxManifest}  Current instance
+ */
+Win10AppxManifest.prototype.setFileTypeAssociations = function (associations) {
+    setExtensions(this, isOfCategory(FILE_TYPE_ASSOCIATION_CATEGORY), associations.map(function (association) {
+        if (!association.name) throw new TypeError('File type association name must be defined in appxmanifest at ' + this.path);
+        if (!association.fileTypes || association.fileTypes.length === 0) {
+            throw new TypeError('File type association ' + association.name + ' must have file types in appxmanifest at ' + this.path);
+        }
+
+        var element = new et.Element('uap:FileTypeAssociation', { Name: association.name });
+        if (association.displayName) element.append(createTextElement('uap:DisplayName', association.displayName));
+        if (association.logo) element.append(createTextElement('uap:Logo', association.logo));
+
+        var fileTypes = new et.Element('uap:SupportedFileTypes');
+        association.fileTypes.forEach(function (type) {
+            var fileType = createTextElement('uap:FileType', type.fileType);
+            if (type.contentType) fileType.attrib.ContentType = type.contentType;
+            fileTypes.append(fileType);
+        });
+        element.append(fileTypes);
+
+        return createUapExtension(FILE_TYPE_ASSOCIATION_CATEGORY, element);
+    }, this));
+
+    return this;
+};
+
+/**
+ * Lists background tasks, declared in manifest.
+ *
+ * @return  {Object[]}  Array of { startPage, types } objects for JavaScript
+ *   tasks and { entryPoint, types } objects for native ones, where types are
+ *   trigger types, e.g. 'timer' or 'pushNotification'
+ */
+Win10AppxManifest.prototype.getBackgroundTasks = function () {
+    return getExtensionElements(this.doc).filter(isOfCategory(BACKGROUND_TASKS_CATEGORY)).map(function (extension) {
+        var task = extension.attrib.StartPage ? { startPage: extension.attrib.StartPage } : { entryPoint: extension.attrib.EntryPoint };
+        task.types = extension.findall('./BackgroundTasks/*').map(function (element) {
+            return element.attrib.Type;
+        });
+
+        return task;
+    });
+};
+
+/**
+ * Replaces JavaScript background tasks with the specified ones. Native tasks,
+ *   which have EntryPoint instead of StartPage, are kept as is.
+ *
+ * @param   {Object[]}  tasks  Array of { startPage, types } objects, where
+ *   startPage is the task script (e.g. 'www/tasks/sync.js') and types are
+ *   trigger types, e.g. 'timer' or 'pushNotification'
+ *
+ * @return  {Win10AppxManifest}  Current instance
+ */
+Win10AppxManifest.prototype.setBackgroundTasks = function (tasks) {
+    setExtensions(this, function (extension) {
+        return isOfCategory(BACKGROUND_TASKS_CATEGORY)(extension) && !!extension.attrib.StartPage;
+    }, tasks.map(function (task) {
+        if (!task.startPage) throw new TypeError('Background task start page must be defined in appxmanifest at ' + this.path);
+        if (!task.types || task.types.length === 0) {
+            throw new TypeError('Background task ' + task.startPage + ' must have trigger types in appxmanifest at ' + this.path);
+        }
+
+        var extension = new et.Element('Extension', { Category: BACKGROUND_TASKS_CATEGORY, StartPage: task.startPage });
+        var backgroundTasks = new et.Element('BackgroundTasks');
+        // Task types introduced in Windows 10 are declared in uap namespace
+        task.types.filter(function (type) {
+            return UAP_BACKGROUND_TASK_TYPES.indexOf(type) < 0;
+        }).concat(task.types.filter(function (type) {
+            return UAP_BACKGROUND_TASK_TYPES.indexOf(type) >= 0;
+        })).forEach(function (type) {
+            var isUap = UAP_BACKGROUND_TASK_TYPES.indexOf(type) >= 0;
+            backgroundTasks.append(new et.Element(isUap ? 'uap:Task' : 'Task', { Type: type }));
+        });
+        extension.append(backgroundTasks);
+
+        return extension;
+    }, this));
+
+    return this;
+};
+
+/**
+ * Declares app as a share target (windows.shareTarget extension), replacing
+ *   the existing declaration, if any.
+ *
+ * @param   {Object}  [shareTarget]  { dataFormats, fileTypes,
+ *   supportsAnyFileType } object, where dataFormats are formats of shared
+ *   data, e.g. 'Text' or 'URI', and fileTypes are { fileType } objects.
+ *   If omitted, share target declaration is removed.
+ *
+ * @return  {Win10AppxManifest}  Current instance
+ */
+Win10AppxManifest.prototype.setShareTarget = function (shareTarget) {
+    var extensions = [];
+
+    if (shareTarget) {
+        var dataFormats = shareTarget.dataFormats || [];
+        var fileTypes = shareTarget.fileTypes || [];
+        if (dataFormats.length === 0 && fileTypes.length === 0 && !shareTarget.supportsAnyFileType) {
+            throw new TypeError('Share target must have data formats or file types in appxmanifest at ' + this.path);
+        }
+
+        var element = new et.Element('uap:ShareTarget');
+        if (fileTypes.length > 0 || shareTarget.supportsAnyFileType) {
+            var supportedFileTypes = et.SubElement(element, 'uap:SupportedFileTypes');
+            fileTypes.forEach(function (type) {
+                supportedFileTypes.append(createTextElement('uap:FileType', type.fileType));
+            });
+            if (shareTarget.supportsAnyFileType) et.SubElement(supportedFileTypes, 'uap:SupportsAnyFileType');
+        }
+        dataFormats.forEach(function (format) {
+            element.append(createTextElement('uap:DataFormat', format));
+        });
+
+        extensions.push(createUapExtension(SHARE_TARGET_CATEGORY, element));
+    }
+
+    setExtensions(this, isOfCategory(SHARE_TARGET_CATEGORY), extensions);
+    return this;
+};
+
+/**
+ * Replaces app services (windows.appService extensions) with the specified ones.
+ *
+ * @param   {Object[]}  services  Array of { name, startPage } objects. Services
+ *   without startPage run in app process, others - in background task script.
+ *
+ * @return  {Win10AppxManifest}  Current instance
+ */
+Win10AppxManifest.prototype.setAppServices = function (services) {
+    setExtensions(this, isOfCategory(APP_SERVICE_CATEGORY), services.map(function (service) {
+        if (!service.name) throw new TypeError('App service name must be defined in appxmanifest at ' + this.path);
+
+        var extension = createUapExtension(APP_SERVICE_CATEGORY, new et.Element('uap:AppService', { Name: service.name }));
+        if (service.startPage) extension.attrib.StartPage = service.startPage;
+
+        return extension;
+    }, this));
+
+    return this;
+};
+
+function isOfCategory (category) {
+    return function (extension) {
+        return extension.attrib.Category === category;
+    };
+}
+
+// Extension elements of the app. Background tasks in Windows 10 use Extension element without prefix.
+function getExtensionElements (doc) {
+    var extensions = doc.find('./Applications/Application/Extensions');
+    if (!extensions) return [];
+
+    return extensions.getchildren().filter(function (element) {
+        return element.tag === 'uap:Extension' || element.tag === 'Extension';
+    });
+}
+
+function setOptionalFields (result, element) {
+    var displayName = element.find('./uap:DisplayName');
+    var logo = element.find('./uap:Logo');
+    if (displayName) result.displayName = displayName.text;
+    if (logo) result.logo = logo.text;
+}
+
+function createTextElement (tag, text) {
+    var element = new et.Element(tag);
+    element.text = text;
+    return element;
+}
+
+function createUapExtension (category, element) {
+    var extension = new et.Element('uap:Extension', { Category: category });
+    extension.append(element);
+    return extension;
+}
+
+/**
+ * Replaces extensions matching the predicate with new ones. Extensions
+ *   element is removed if there are no extensions left.
+ */
+function setExtensions (manifest, isReplaced, newExtensions) {
+    var application = manifest.doc.find('./Applications/Application');
+    var extensions = application.find('./Extensions');
+
+    if (!extensions) {
+        extensions = new et.Element('Extensions');
+        application.append(extensions);
+    }
+
+    getExtensionElements(manifest.doc).filter(isReplaced).forEach(function (extension) {
+        extensions.remove(extension);
+    });
+
+    newExtensions.forEach(function (extension) {
+        extensions.append(extension);
+    });
+
+    if (extensions.len() === 0) {
+        application.remove(extensions);
+    }
+}
+
 /**
  * Writes manifest to disk syncronously. If filename is specified, then manifest
  *   will be written to that file
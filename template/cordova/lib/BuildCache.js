@@ -0,0 +1,154 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var shell = require('shelljs');
+var events = require('cordova-common').events;
+
+var CACHE_FILE = 'buildcache.json';
+var BUILD_CONFIG_FILES = ['CordovaAppDebug.projitems', 'CordovaAppRelease.projitems'];
+// Directories with files packaged into the app: web content, images and localized strings
+var INPUT_DIRS = ['www', 'images', 'strings'];
+
+/**
+ * @constructor
+ *
+ * Keeps content hashes of the project inputs (www, images, strings,
+ *   appxmanifests, .jsproj and .projitems files) for the last successful build of each build
+ *   configuration, so the build can be skipped if nothing has changed since.
+ *   The cache is stored in the platform's 'build' directory.
+ *
+ * @param  {String}  projectRoot  Platform project root
+ */
+function BuildCache (projectRoot) {
+    this.root = projectRoot;
+    this.path = path.join(projectRoot, 'build', CACHE_FILE);
+    this.entries = {};
+
+    if (fs.existsSync(this.path)) {
+        try {
+            this.entries = JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+        } catch (e) {
+            events.emit('verbose', 'Ignoring invalid build cache at ' + this.path);
+        }
+    }
+}
+
+/**
+ * Generates a cache key for build configuration
+ *
+ * @param   {Object}    config   Build configuration, returned by parseAndValidateArgs
+ * @param   {String[]}  targets  List of .jsproj files to build
+ *
+ * @return  {String}             Cache key
+ */
+BuildCache.getKey = function (config, targets) {
+    return JSON.stringify({
+        buildType: config.buildType,
+        archs: config.buildArchs,
+        bundle: !!config.bundle,
+        targets: targets,
+        buildFlags: config.buildFlags
+    });
+};
+
+/**
+ * Lists all files which are taken into account when calculating the hash
+ *
+ * @return  {String[]}  List of paths relative to project root
+ */
+BuildCache.prototype.getInputFiles = function () {
+    var root = this.root;
+    var files = fs.readdirSync(root).filter(function (file) {
+        return /\.(appxmanifest|jsproj)$/i.test(file) || BUILD_CONFIG_FILES.indexOf(file) >= 0;
+    });
+
+    INPUT_DIRS.forEach(function (dir) {
+        var fullDir = path.join(root, dir);
+        if (!fs.existsSync(fullDir)) return;
+
+        shell.ls('-RA', fullDir).forEach(function (file) {
+            if (fs.statSync(path.join(fullDir, file)).isFile()) {
+                files.push(path.join(dir, file));
+            }
+        });
+    });
+
+    return files.sort();
+};
+
+/**
+ * Calculates the hash of all project inputs
+ *
+ * @return  {String}  sha256 hash in hex format
+ */
+BuildCache.prototype.computeHash = function () {
+    var root = this.root;
+    var hash = crypto.createHash('sha256');
+
+    this.getInputFiles().forEach(function (file) {
+        // use forward slashes so the hash doesn't depend on the host OS
+        hash.update(file.replace(/\\/g, '/') + '\0');
+        hash.update(crypto.createHash('sha256').update(fs.readFileSync(path.join(root, file))).digest('hex') + '\0');
+    });
+
+    return hash.digest('hex');
+};
+
+/**
+ * Checks whether the last successful build for the key specified was done
+ *   with the same inputs and its package still exists
+ *
+ * @param   {String}   key   Cache key, returned by BuildCache.getKey
+ * @param   {String}   hash  Current inputs hash
+ *
+ * @return  {Boolean}        True if build could be skipped
+ */
+BuildCache.prototype.isUpToDate = function (key, hash) {
+    var entry = this.entries[key];
+    return !!entry && entry.hash === hash && !!entry.package && fs.existsSync(entry.package);
+};
+
+/**
+ * @param   {String}  key  Cache key, returned by BuildCache.getKey
+ *
+ * @return  {String|null}  Path to the package of the last successful build
+ *   for the key or null if there is no such build
+ */
+BuildCache.prototype.getPackage = function (key) {
+    var entry = this.entries[key];
+    return (entry && entry.package) || null;
+};
+
+/**
+ * Saves the result of successful build into the cache
+ *
+ * @param   {String}  key          Cache key, returned by BuildCache.getKey
+ * @param   {String}  hash         Inputs hash the package was built from
+ * @param   {String}  packagePath  Path to the built package
+ */
+BuildCache.prototype.update = function (key, hash, packagePath) {
+    this.entries[key] = { hash: hash, package: packagePath };
+    shell.mkdir('-p', path.dirname(this.path));
+    fs.writeFileSync(this.path, JSON.stringify(this.entries, null, 2), 'utf-8');
+};
+
+module.exports = BuildCache;
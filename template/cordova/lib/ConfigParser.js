@@ -24,6 +24,40 @@ var AppxManifest = require('./AppxManifest');
 
 var BASE_UAP_VERSION = new Version(10, 0, 10240, 0);
 
+// Preferences which could have translations, see getLocalizedStrings
+var LOCALIZABLE_PREFERENCES = ['WindowsStoreDisplayName', 'WindowsStorePublisherName'];
+
+/**
+ * Gets language of localized <name>, <description> or <preference> element,
+ *   specified with either xml:lang or lang attribute.
+ *
+ * @param   {ElementTree.Element}  element  Element to check
+ *
+ * @return  {String|undefined}     Language or undefined if element is not localized
+ */
+function getLanguage (element) {
+    return element.attrib['xml:lang'] || element.attrib.lang;
+}
+
+function isNotLocalized (element) {
+    return !getLanguage(element);
+}
+
+function getText (element) {
+    return element && element.text && element.text.trim();
+}
+
+// Same as cordova-common's findElementAttributeValue: last matching preference wins
+function findPreferenceValue (name, preferences) {
+    var value = preferences.filter(function (preference) {
+        return isNotLocalized(preference) && preference.attrib.name.toLowerCase() === name.toLowerCase();
+    }).map(function (preference) {
+        return preference.attrib.value;
+    }).pop();
+
+    return value || '';
+}
+
 /**
  * A wrapper arount config.xml file, based on cordova-common implementation,
  *   extended with some windows-specific methods.
@@ -47,6 +81,200 @@ WindowsConfigParser.prototype.startPage = function () {
     return null;
 };
 
+// Localized elements are handled by getLocalizedStrings, so default
+// values below are taken from elements without language specified
+
+WindowsConfigParser.prototype.name = function () {
+    return getText(this.doc.findall('name').filter(isNotLocalized)[0]);
+};
+
+WindowsConfigParser.prototype.description = function () {
+    return getText(this.doc.findall('description').filter(isNotLocalized)[0]);
+};
+
+WindowsConfigParser.prototype.getGlobalPreference = function (name) {
+    return findPreferenceValue(name, this.doc.findall('preference'));
+};
+
+WindowsConfigParser.prototype.getPlatformPreference = function (name, platform) {
+    return findPreferenceValue(name, this.doc.findall('./platform[@name="' + platform + '"]/preference'));
+};
+
+/**
+ * Gets translations of app name, description and Store preferences, specified
+ *   in config.xml with xml:lang or lang attribute, e.g.
+ *   <name xml:lang="de-DE">...</name> or
+ *   <preference name="WindowsStoreDisplayName" lang="de-DE" value="..." />
+ *
+ * @return  {Object}  Map of language to translated values, e.g.
+ *   { 'de-DE': { name: '...', description: '...', WindowsStoreDisplayName: '...' } }
+ */
+WindowsConfigParser.prototype.getLocalizedStrings = function () {
+    var result = {};
+    var add = function (element, key, value) {
+        var language = getLanguage(element);
+        if (!language || !value) return;
+
+        result[language] = result[language] || {};
+        result[language][key] = value;
+    };
+
+    ['name', 'description'].forEach(function (tag) {
+        this.doc.findall(tag).forEach(function (element) {
+            add(element, tag, getText(element));
+        });
+    }, this);
+
+    // Windows-specific preferences go last, so they override global ones
+    this.doc.findall('preference')
+        .concat(this.doc.findall('./platform[@name="windows"]/preference'))
+        .forEach(function (preference) {
+            var key = LOCALIZABLE_PREFERENCES.filter(function (name) {
+                return name.toLowerCase() === (preference.attrib.name || '').toLowerCase();
+            })[0];
+            if (key) add(preference, key, preference.attrib.value);
+        });
+
+    return result;
+};
+
+/**
+ * Finds windows-specific elements, which could be placed either in config.xml
+ *   root or in <platform name="windows"> element. If several elements have
+ *   the same key attribute ('name' by default), the last one wins.
+ */
+function findWindowsElements (doc, tag, keyAttribute) {
+    var elements = {};
+    doc.findall(tag).concat(doc.findall('./platform[@name="windows"]/' + tag)).forEach(function (element) {
+        elements[(element.attrib[keyAttribute || 'name'] || '').toLowerCase()] = element;
+    });
+
+    return Object.keys(elements).map(function (name) {
+        return elements[name];
+    });
+}
+
+function getOptionalAttributes (element, result) {
+    if (element.attrib['display-name']) result.displayName = element.attrib['display-name'];
+    if (element.attrib.logo) result.logo = element.attrib.logo;
+
+    return result;
+}
+
+/**
+ * Gets URI schemes app handles, e.g.
+ *   <windows-protocol name="myapp" display-name="My App" />
+ *
+ * @return  {Object[]}  Array of { name, displayName, logo } objects, as
+ *   accepted by AppxManifest's setProtocols
+ */
+WindowsConfigParser.prototype.getProtocols = function () {
+    return findWindowsElements(this.doc, 'windows-protocol').map(function (element) {
+        return getOptionalAttributes(element, { name: element.attrib.name });
+    });
+};
+
+/**
+ * Gets file types app opens, e.g.
+ *   <windows-file-type name="csv" display-name="CSV file">
+ *       <file-type content-type="text/csv">.csv</file-type>
+ *   </windows-file-type>
+ *
+ * @return  {Object[]}  Array of { name, displayName, logo, fileTypes } objects,
+ *   as accepted by AppxManifest's setFileTypeAssociations
+ */
+WindowsConfigParser.prototype.getFileTypeAssociations = function () {
+    return findWindowsElements(this.doc, 'windows-file-type').map(function (element) {
+        return getOptionalAttributes(element, {
+            name: element.attrib.name,
+            fileTypes: element.findall('file-type').map(function (fileType) {
+                var type = { fileType: (fileType.text || '').trim() };
+                if (fileType.attrib['content-type']) type.contentType = fileType.attrib['content-type'];
+                return type;
+            })
+        });
+    });
+};
+
+/**
+ * Gets background tasks, implemented as JavaScript files, e.g.
+ *   <windows-background-task src="www/tasks/sync.js">
+ *       <trigger type="timer" />
+ *   </windows-background-task>
+ *
+ * @return  {Object[]}  Array of { src, types } objects, where types are
+ *   trigger types
+ */
+WindowsConfigParser.prototype.getBackgroundTasks = function () {
+    return findWindowsElements(this.doc, 'windows-background-task', 'src').map(function (element) {
+        return {
+            src: element.attrib.src,
+            types: element.findall('trigger').map(function (trigger) {
+                return trigger.attrib.type;
+            })
+        };
+    });
+};
+
+/**
+ * Gets share target declaration, e.g.
+ *   <windows-share-target any-file-type="false">
+ *       <data-format>Text</data-format>
+ *       <file-type>.jpg</file-type>
+ *   </windows-share-target>
+ *
+ * @return  {Object|null}  { dataFormats, fileTypes, supportsAnyFileType }
+ *   object, as accepted by AppxManifest's setShareTarget, or null if app is
+ *   not a share target
+ */
+WindowsConfigParser.prototype.getShareTarget = function () {
+    var element = this.doc.findall('windows-share-target')
+        .concat(this.doc.findall('./platform[@name="windows"]/windows-share-target'))
+        .pop();
+    if (!element) return null;
+
+    var getTexts = function (tag) {
+        return element.findall(tag).map(function (child) {
+            return (child.text || '').trim();
+        }).filter(Boolean);
+    };
+
+    return {
+        dataFormats: getTexts('data-format'),
+        fileTypes: getTexts('file-type').map(function (fileType) {
+            return { fileType: fileType };
+        }),
+        supportsAnyFileType: element.attrib['any-file-type'] === 'true'
+    };
+};
+
+/**
+ * Gets app services app provides, e.g.
+ *   <windows-app-service name="com.contoso.sync" src="www/services/sync.js" />
+ *   Services without src are handled by app itself.
+ *
+ * @return  {Object[]}  Array of { name, src } objects
+ */
+WindowsConfigParser.prototype.getAppServices = function () {
+    return findWindowsElements(this.doc, 'windows-app-service').map(function (element) {
+        var service = { name: element.attrib.name };
+        if (element.attrib.src) service.src = element.attrib.src;
+        return service;
+    });
+};
+
+/**
+ * Checks whether element is a translation of another config.xml element,
+ *   i.e. has xml:lang or lang attribute.
+ *
+ * @param   {ElementTree.Element}  element  Element to check
+ *
+ * @return  {Boolean}
+ */
+WindowsConfigParser.isLocalizedElement = function (element) {
+    return !!getLanguage(element);
+};
+
 WindowsConfigParser.prototype.windows_packageVersion = function () {
     return this.doc.getroot().attrib['windows-packageVersion'];
 };
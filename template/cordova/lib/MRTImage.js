@@ -19,24 +19,137 @@
 
 var path = require('path');
 
+// Qualifiers MRT supports along with their valid values. Names are case-insensitive.
+// See https://docs.microsoft.com/en-us/windows/uwp/app-resources/tailor-resources-lang-scale-contrast
+var QUALIFIERS = {
+    'language': /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i,
+    'scale': /^[1-9]\d*$/,
+    'targetsize': /^[1-9]\d*$/,
+    'contrast': /^(standard|high|black|white)$/i,
+    'theme': /^(dark|light)$/i,
+    'altform': /^[a-z0-9]+$/i,
+    'layoutdirection': /^(ltr|rtl|ttblr|ttbrl)$/i,
+    'dxfeaturelevel': /^(dx9|dx10|dx11)$/i,
+    'devicefamily': /^(desktop|mobile|team|iot|xbox|holographic)$/i,
+    'homeregion': /^([a-z]{2}|\d{3})$/i,
+    'configuration': /^[a-z0-9]+$/i
+};
+
+// Alternative qualifier names
+var ALIASES = {
+    'lang': 'language',
+    'alternateform': 'altform'
+};
+
+/**
+ * Parses qualifiers string, like 'scale-200_contrast-high' or 'lang-en-US'
+ *
+ * @param   {String}  qualifiers  Qualifiers separated by underscores
+ *
+ * @return  {Object[]}  Array of { name, value, token, error, warning } objects
+ *   where name is the canonical qualifier name and token is the original
+ *   string. Unknown qualifiers are reported as warnings, as they used to be
+ *   copied along with the image before qualifiers were validated.
+ */
+function parseQualifiers (qualifiers) {
+    return qualifiers.split('_').map(function (token) {
+        var separator = token.indexOf('-');
+        var name = separator > 0 ? token.substring(0, separator).toLowerCase() : token.toLowerCase();
+        var value = separator > 0 ? token.substring(separator + 1) : '';
+        var result = { name: ALIASES[name] || name, value: value, token: token };
+
+        if (!QUALIFIERS[result.name]) {
+            result.warning = 'Unknown qualifier "' + token + '"';
+        } else if (!QUALIFIERS[result.name].test(value)) {
+            result.error = 'Invalid value of "' + result.name + '" qualifier: "' + value + '"';
+        }
+
+        return result;
+    });
+}
+
 function MRTImage (filePath) {
     this.path = filePath;
     this.location = path.dirname(filePath);
     this.extension = path.extname(filePath);
     this.basename = path.basename(filePath, this.extension);
-    // 'scale-100' is the default qualifier
-    this.qualifiers = 'scale-100';
 
+    var fileQualifiers = [];
     var nameParts = this.basename.split('.');
     if (nameParts.length > 1) {
         // Qualifiers is the dotted segment in the file just before the file extension
-        // If no such segment in filename, then qualifiers is empty string
-        this.qualifiers = nameParts[nameParts.length - 1];
+        fileQualifiers = parseQualifiers(nameParts[nameParts.length - 1]);
         // Basename it everything before that segment
         this.basename = nameParts.slice(0, -1).join('.');
     }
+
+    // Folders named after qualifiers, e.g. 'contrast-high/scale-200' in
+    // 'res/contrast-high/scale-200/Logo.png', apply to the image as well
+    var folderQualifiers = [];
+    this.baseLocation = this.location;
+    while (MRTImage.isQualifierFolder(path.basename(this.baseLocation))) {
+        folderQualifiers = parseQualifiers(path.basename(this.baseLocation)).concat(folderQualifiers);
+        this.baseLocation = path.dirname(this.baseLocation);
+    }
+
+    var parsed = folderQualifiers.concat(fileQualifiers);
+    // 'scale-100' is the default qualifier
+    this.qualifiers = parsed.length > 0 ?
+        parsed.map(function (qualifier) { return qualifier.token; }).join('_') :
+        'scale-100';
+
+    this.errors = [];
+    this.warnings = [];
+    this.qualifierValues = {};
+    parsed.forEach(function (qualifier) {
+        if (qualifier.error) {
+            this.errors.push(qualifier.error);
+        } else if (qualifier.warning) {
+            this.warnings.push(qualifier.warning);
+        } else if (this.qualifierValues[qualifier.name] !== undefined) {
+            this.errors.push('Qualifier "' + qualifier.name + '" is specified more than once');
+        } else {
+            this.qualifierValues[qualifier.name] = qualifier.value.toLowerCase();
+        }
+    }, this);
+
+    if (parsed.length === 0) {
+        this.qualifierValues.scale = '100';
+    }
+
+    var values = this.qualifierValues;
+    this.scale = values.scale && Number(values.scale);
+    this.targetSize = values.targetsize && Number(values.targetsize);
+    this.contrast = values.contrast;
+    this.theme = values.theme;
+    this.altform = values.altform;
+    this.language = values.language;
 }
 
+/**
+ * Checks whether folder name consists of MRT qualifiers only, like
+ *   'contrast-high' or 'scale-200_theme-dark'
+ *
+ * @param   {String}  name  Folder name
+ * @return  {Boolean}       True if folder name specifies qualifiers
+ */
+MRTImage.isQualifierFolder = function (name) {
+    return !!name && /^[a-z]+-/i.test(name) && parseQualifiers(name).every(function (qualifier) {
+        return !qualifier.error && !qualifier.warning;
+    });
+};
+
+/**
+ * Indicates whether values of the image qualifiers are valid. Qualifiers
+ *   unknown to MRT, like 'windows' in 'icon.windows.png', are listed in
+ *   warnings and don't make the image invalid.
+ *
+ * @returns {Boolean} True if there are no errors in qualifiers
+ */
+MRTImage.prototype.isValid = function () {
+    return this.errors.length === 0;
+};
+
 /**
  * Indicates whether the current instance is matches to another one
  *     (base names and extensions are equal)
@@ -54,6 +167,9 @@ MRTImage.prototype.matchesTo = function (anotherImage) {
  * Generates a new filename based on new base name for the file. for example
  *     new MRTImage('myFileName.scale-400.png').replaceBaseName('otherFileName')
  *            -> 'otherFileName.scale-400.png'
+ *     Folder qualifiers are moved to the filename:
+ *     new MRTImage('contrast-high/myFileName.png').replaceBaseName('otherFileName')
+ *            -> 'otherFileName.contrast-high.png'
  *
  * @param {String} baseName A new base name to use
  * @returns {String} A new filename
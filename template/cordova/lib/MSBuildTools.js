@@ -30,7 +30,25 @@ function MSBuildTools (version, path) {
     this.path = path;
 }
 
-MSBuildTools.prototype.buildProject = function (projFile, buildType, buildarch, buildFlags) {
+/**
+ * Builds the project using msbuild from this tools' location
+ *
+ * @param   {String}    projFile    Path to .jsproj file to build
+ * @param   {String}    buildType   Build configuration, 'debug' or 'release'
+ * @param   {String}    buildarch   Target architecture
+ * @param   {String[]}  [buildFlags]  Additional arguments passed to msbuild
+ * @param   {Object}    [options]   Additional options:
+ * @param   {String}    [options.outputPrefix]  If specified, each line of
+ *   msbuild output is prefixed with this string. Used to tell apart output
+ *   from several builds running at the same time.
+ *
+ * @return  {Promise<Object[]>}     Promise either fulfilled with the list of
+ *   diagnostics (see parseDiagnostics) reported by msbuild or rejected with an
+ *   error which has the same list attached as 'diagnostics' property
+ */
+MSBuildTools.prototype.buildProject = function (projFile, buildType, buildarch, buildFlags, options) {
+    options = options || {};
+
     events.emit('log', 'Building project: ' + projFile);
     events.emit('log', '\tConfiguration : ' + buildType);
     events.emit('log', '\tPlatform      : ' + buildarch);
@@ -68,11 +86,102 @@ MSBuildTools.prototype.buildProject = function (projFile, buildType, buildarch,
     }
 
     return promise.then(function () {
-        console.log('buildProject spawn:', path.join(that.path, 'msbuild'), [projFile].concat(args), { stdio: 'inherit' });
-        return spawn(path.join(that.path, 'msbuild'), [projFile].concat(args), { stdio: 'inherit' });
+        // msbuild output is captured to parse errors and warnings from it, so we need to echo it
+        var stdout = createPrefixedWriter(options.outputPrefix || '', process.stdout);
+        var stderr = createPrefixedWriter(options.outputPrefix || '', process.stderr);
+        return spawn(path.join(that.path, 'msbuild'), [projFile].concat(args))
+            .progress(function (data) {
+                if (data.stdout) stdout.write(data.stdout);
+                if (data.stderr) stderr.write(data.stderr);
+            })
+            .finally(function () {
+                stdout.flush();
+                stderr.flush();
+            });
+    }).then(function (output) {
+        return module.exports.parseDiagnostics(output);
+    }, function (error) {
+        error.diagnostics = module.exports.parseDiagnostics([error.stdout, error.stderr].join('\n'));
+        throw error;
     });
 };
 
+// Canonical format of errors and warnings, see
+// https://docs.microsoft.com/en-us/visualstudio/msbuild/msbuild-diagnostic-format-for-tasks
+// origin(line,col): [subcategory] error|warning CODE: message [project]
+var DIAGNOSTIC_REGEX = new RegExp('^\\s*(.*?)' + // origin
+    '(?:\\((\\d+)(?:,(\\d+))?(?:,(\\d+),(\\d+))?\\))?' + // position
+    '\\s*:\\s*(?:([^:]*?)\\s+)?' + // subcategory
+    '(error|warning)(?:\\s+([A-Za-z]*\\d+))?\\s*:\\s*' + // category and code
+    '(.*?)(?:\\s+\\[([^\\]]+)\\])?\\s*$', 'i'); // message and project
+
+/**
+ * Parses errors and warnings from msbuild output
+ *
+ * @param   {String}  output  msbuild output
+ *
+ * @return  {Object[]}        List of diagnostics, in the shape of
+ *   { severity: 'error'|'warning', code: 'APPX0101', message: String,
+ *     file: String, line: Number, column: Number, project: String }
+ *   Fields which are not present in msbuild output are set to null.
+ */
+module.exports.parseDiagnostics = function (output) {
+    return (output || '').split(/\r?\n/)
+        .map(function (line) {
+            return DIAGNOSTIC_REGEX.exec(line);
+        })
+        .filter(function (match) {
+            return !!match;
+        })
+        .map(function (match) {
+            function toNumber (value) {
+                return value ? parseInt(value, 10) : null;
+            }
+
+            return {
+                severity: match[7].toLowerCase(),
+                code: match[8] || null,
+                message: match[9],
+                file: match[1] || null,
+                line: toNumber(match[2]),
+                column: toNumber(match[3]),
+                endLine: toNumber(match[4]),
+                endColumn: toNumber(match[5]),
+                project: match[10] || null
+            };
+        });
+};
+
+/**
+ * Creates a writer that splits incoming data into lines and writes them into
+ *   the stream with the prefix specified
+ *
+ * @param   {String}  prefix  A string to prepend each line with
+ * @param   {Stream}  stream  A stream to write lines to
+ *
+ * @return  {Object}          Writer with 'write' and 'flush' methods
+ */
+function createPrefixedWriter (prefix, stream) {
+    var pending = '';
+
+    return {
+        write: function (data) {
+            var lines = (pending + data).split(/\r?\n/);
+            // last item is an incomplete line, keep it until the next chunk arrives
+            pending = lines.pop();
+            lines.forEach(function (line) {
+                stream.write(prefix + line + '\n');
+            });
+        },
+        flush: function () {
+            if (pending) {
+                stream.write(prefix + pending + '\n');
+                pending = '';
+            }
+        }
+    };
+}
+
 // check_reqs.js -> checkMSBuild()
 module.exports.findAllAvailableVersions = function () {
     // console.log('findAllAvailableVersions');
@@ -0,0 +1,250 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var et = require('elementtree');
+var shell = require('shelljs');
+
+var BLOCK_SIZE = 64 * 1024;
+var LOCAL_HEADER_SIZE = 30;
+var CENTRAL_HEADER_SIZE = 46;
+var END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+// 1980-01-01 00:00, the earliest date zip format can hold, so the output doesn't depend on build time
+var DOS_DATE = (0 << 9) | (1 << 5) | 1;
+var DOS_TIME = 0;
+
+var BLOCKMAP_NAME = 'AppxBlockMap.xml';
+var CONTENT_TYPES_NAME = '[Content_Types].xml';
+
+var CONTENT_TYPES = {
+    'appx': 'application/vnd.ms-appx',
+    'css': 'text/css',
+    'gif': 'image/gif',
+    'htm': 'text/html',
+    'html': 'text/html',
+    'ico': 'image/vnd.microsoft.icon',
+    'jpeg': 'image/jpeg',
+    'jpg': 'image/jpeg',
+    'js': 'application/x-javascript',
+    'json': 'application/json',
+    'map': 'application/json',
+    'mp3': 'audio/mpeg',
+    'mp4': 'video/mp4',
+    'png': 'image/png',
+    'svg': 'image/svg+xml',
+    'ttf': 'application/x-font-ttf',
+    'txt': 'text/plain',
+    'wav': 'audio/wav',
+    'winmd': 'application/x-ms-winmd',
+    'woff': 'application/font-woff',
+    'woff2': 'font/woff2',
+    'xml': 'text/xml'
+};
+var DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+var CRC_TABLE = (function () {
+    var table = [];
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32 (buffer) {
+    var crc = 0xFFFFFFFF;
+    for (var i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts package path to zip entry name. Names of package parts are
+ *   percent-encoded as required by Open Packaging Conventions.
+ *
+ * @param   {String}  name  Path inside package, e.g. 'www/my page.html'
+ *
+ * @return  {String}        Zip entry name, e.g. 'www/my%20page.html'
+ */
+function toPartName (name) {
+    return name.split('/').map(encodeURIComponent).join('/');
+}
+
+function getExtension (name) {
+    var extension = path.extname(name);
+    return extension ? extension.substring(1).toLowerCase() : '';
+}
+
+function createBlockMap (files) {
+    var root = new et.Element('BlockMap', {
+        'xmlns': 'http://schemas.microsoft.com/appx/2010/blockmap',
+        'HashMethod': 'http://www.w3.org/2001/04/xmlenc#sha256'
+    });
+
+    files.forEach(function (file) {
+        var fileElement = et.SubElement(root, 'File', {
+            'Name': file.name.replace(/\//g, '\\'),
+            'Size': String(file.data.length),
+            'LfhSize': String(LOCAL_HEADER_SIZE + Buffer.byteLength(toPartName(file.name)))
+        });
+
+        // Files are stored uncompressed, so blocks don't have Size attribute
+        for (var offset = 0; offset < file.data.length; offset += BLOCK_SIZE) {
+            var block = file.data.slice(offset, offset + BLOCK_SIZE);
+            et.SubElement(fileElement, 'Block', {
+                'Hash': crypto.createHash('sha256').update(block).digest('base64')
+            });
+        }
+    });
+
+    return Buffer.from(new et.ElementTree(root).write({ xml_declaration: true, encoding: 'utf-8' }), 'utf-8');
+}
+
+function createContentTypes (files, overrides) {
+    var root = new et.Element('Types', {
+        'xmlns': 'http://schemas.openxmlformats.org/package/2006/content-types'
+    });
+
+    var extensions = {};
+    files.forEach(function (file) {
+        if (overrides[file.name]) return;
+
+        var extension = getExtension(file.name);
+        if (!extension) {
+            overrides[file.name] = DEFAULT_CONTENT_TYPE;
+        } else if (!extensions[extension]) {
+            extensions[extension] = CONTENT_TYPES[extension] || DEFAULT_CONTENT_TYPE;
+            et.SubElement(root, 'Default', { 'Extension': extension, 'ContentType': extensions[extension] });
+        }
+    });
+
+    Object.keys(overrides).forEach(function (name) {
+        et.SubElement(root, 'Override', { 'PartName': '/' + toPartName(name), 'ContentType': overrides[name] });
+    });
+
+    return Buffer.from(new et.ElementTree(root).write({ xml_declaration: true, encoding: 'utf-8' }), 'utf-8');
+}
+
+function writeZip (outputPath, entries) {
+    var chunks = [];
+    var centralDirectory = [];
+    var offset = 0;
+
+    entries.forEach(function (entry) {
+        var name = Buffer.from(entry.name, 'utf-8');
+        var crc = crc32(entry.data);
+
+        var local = Buffer.alloc(LOCAL_HEADER_SIZE);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed to extract
+        local.writeUInt16LE(0, 6); // flags
+        local.writeUInt16LE(0, 8); // method: stored
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(entry.data.length, 18);
+        local.writeUInt32LE(entry.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28); // extra field length
+        chunks.push(local, name, entry.data);
+
+        var central = Buffer.alloc(CENTRAL_HEADER_SIZE);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6); // version needed to extract
+        central.writeUInt16LE(0, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(entry.data.length, 20);
+        central.writeUInt32LE(entry.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralDirectory.push(central, name);
+
+        offset += local.length + name.length + entry.data.length;
+    });
+
+    var centralDirectorySize = centralDirectory.reduce(function (size, chunk) { return size + chunk.length; }, 0);
+    var end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    shell.mkdir('-p', path.dirname(outputPath));
+    fs.writeFileSync(outputPath, Buffer.concat(chunks.concat(centralDirectory, end)));
+}
+
+/**
+ * Writes unsigned appx package (or bundle) with AppxBlockMap.xml and
+ *   [Content_Types].xml generated for the files specified. Files are stored
+ *   without compression.
+ *
+ * @param   {String}    outputPath  Path to write package to
+ * @param   {Object[]}  files       Package contents, each item is an object
+ *   with 'name' (path inside package, using forward slashes) and 'data'
+ *   (Buffer) fields. Manifest should be included as well.
+ * @param   {Object}    overrides   Content types for specific files, e.g.
+ *   { 'AppxManifest.xml': 'application/vnd.ms-appx.manifest+xml' }
+ */
+module.exports.write = function (outputPath, files, overrides) {
+    overrides = overrides || {};
+    var contentTypeOverrides = {};
+    Object.keys(overrides).forEach(function (name) {
+        contentTypeOverrides[name] = overrides[name];
+    });
+    contentTypeOverrides[BLOCKMAP_NAME] = 'application/vnd.ms-appx.blockmap+xml';
+
+    var entries = files.map(function (file) {
+        return { name: toPartName(file.name), data: file.data };
+    });
+    entries.push({ name: BLOCKMAP_NAME, data: createBlockMap(files) });
+    entries.push({ name: CONTENT_TYPES_NAME, data: createContentTypes(files, contentTypeOverrides) });
+
+    writeZip(outputPath, entries);
+};
+
+/**
+ * Returns offsets of files data in the archive written by 'write', which
+ *   bundle manifest has to specify for packages in the bundle. Offset of a
+ *   file only depends on the files preceding it.
+ *
+ * @param   {Object[]}  files  Files in the same order they are passed to 'write'
+ *
+ * @return  {Number[]}         Offsets of files data from the archive start
+ */
+module.exports.getDataOffsets = function (files) {
+    var offset = 0;
+    return files.map(function (file) {
+        var dataOffset = offset + LOCAL_HEADER_SIZE + Buffer.byteLength(toPartName(file.name));
+        offset = dataOffset + file.data.length;
+        return dataOffset;
+    });
+};
+
+module.exports.toPartName = toPartName;
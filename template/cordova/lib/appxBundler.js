@@ -0,0 +1,179 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var et = require('elementtree');
+var AdmZip = require('adm-zip');
+var appxArchive = require('./appxArchive');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+var BUNDLE_MANIFEST_NAME = 'AppxMetadata/AppxBundleManifest.xml';
+var BUNDLE_MANIFEST_CONTENT_TYPE = 'application/vnd.ms-appx.bundlemanifest+xml';
+// Resource attributes which are copied from package manifests to bundle manifest
+var RESOURCE_ATTRIBUTES = ['Language', 'Scale', 'DXFeatureLevel'];
+
+/**
+ * Reads identity and resources of .appx package
+ *
+ * @param   {String}  packagePath  Path to .appx file
+ *
+ * @return  {Object}               Package info along with package contents
+ */
+function readPackage (packagePath) {
+    if (!fs.existsSync(packagePath)) {
+        throw new CordovaError('Package does not exist: ' + packagePath);
+    }
+
+    var data = fs.readFileSync(packagePath);
+    var manifest;
+    try {
+        manifest = new AdmZip(data).readAsText('AppxManifest.xml');
+    } catch (e) {
+        throw new CordovaError('Failed to open package ' + packagePath + ': ' + e.message);
+    }
+
+    if (!manifest) {
+        throw new CordovaError(path.basename(packagePath) + ' is not a valid package: AppxManifest.xml is missing');
+    }
+
+    var root = et.parse(manifest.replace(/^\ufeff/, '')).getroot();
+    var identity = root.find('./Identity');
+
+    return {
+        path: packagePath,
+        fileName: path.basename(packagePath),
+        data: data,
+        name: identity.attrib.Name,
+        publisher: identity.attrib.Publisher,
+        version: identity.attrib.Version,
+        architecture: identity.attrib.ProcessorArchitecture || 'neutral',
+        resourceId: identity.attrib.ResourceId || null,
+        resources: root.findall('./Resources/Resource').filter(function (resource) {
+            return resource.attrib.Language !== 'x-generate';
+        }).map(function (resource) {
+            return RESOURCE_ATTRIBUTES.reduce(function (result, name) {
+                if (resource.attrib[name]) result[name] = resource.attrib[name];
+                return result;
+            }, {});
+        })
+    };
+}
+
+/**
+ * Checks that packages could be put into the same bundle: all of them belong
+ *   to the same app and version and there are no two application packages
+ *   for the same architecture
+ */
+function validatePackages (packages) {
+    var first = packages[0];
+    var seen = {};
+
+    packages.forEach(function (pkg) {
+        ['name', 'publisher', 'version'].forEach(function (field) {
+            if (pkg[field] !== first[field]) {
+                throw new CordovaError('Packages ' + first.fileName + ' and ' + pkg.fileName + ' can\'t be bundled together: ' +
+                    'Identity ' + field + ' is "' + first[field] + '" and "' + pkg[field] + '" respectively.');
+            }
+        });
+
+        var key = pkg.resourceId ? 'resource ' + pkg.resourceId : pkg.architecture;
+        if (seen[key]) {
+            throw new CordovaError('Packages ' + seen[key] + ' and ' + pkg.fileName + ' are both for ' + key + '. ' +
+                'Only one package per architecture or resource could be bundled.');
+        }
+        seen[key] = pkg.fileName;
+    });
+
+    if (packages.filter(function (pkg) { return !pkg.resourceId; }).length === 0) {
+        throw new CordovaError('Bundle must contain at least one application package');
+    }
+}
+
+function createBundleManifest (packages, offsets) {
+    var root = new et.Element('Bundle', {
+        'xmlns': 'http://schemas.microsoft.com/appx/2013/bundle',
+        'SchemaVersion': '1.0'
+    });
+
+    et.SubElement(root, 'Identity', {
+        'Name': packages[0].name,
+        'Publisher': packages[0].publisher,
+        'Version': packages[0].version
+    });
+
+    var packagesElement = et.SubElement(root, 'Packages');
+    packages.forEach(function (pkg, index) {
+        var attributes = {
+            'Type': pkg.resourceId ? 'resource' : 'application',
+            'Version': pkg.version
+        };
+        if (pkg.resourceId) {
+            attributes.ResourceId = pkg.resourceId;
+        } else {
+            attributes.Architecture = pkg.architecture;
+        }
+        attributes.FileName = pkg.fileName;
+        attributes.Offset = String(offsets[index]);
+        attributes.Size = String(pkg.data.length);
+
+        var packageElement = et.SubElement(packagesElement, 'Package', attributes);
+        if (pkg.resources.length > 0) {
+            var resources = et.SubElement(packageElement, 'Resources');
+            pkg.resources.forEach(function (resource) {
+                et.SubElement(resources, 'Resource', resource);
+            });
+        }
+    });
+
+    return Buffer.from(new et.ElementTree(root).write({ xml_declaration: true, encoding: 'utf-8', indent: 2 }), 'utf-8');
+}
+
+/**
+ * Writes unsigned .appxbundle containing the packages specified. Packages
+ *   don't need to be built at the same time or on the same machine, but they
+ *   must have the same identity and version.
+ *
+ * @param   {String[]}  packagePaths  Paths to .appx files to put into bundle
+ * @param   {String}    outputPath    Path to write bundle to
+ *
+ * @return  {String}                  Path to the bundle
+ */
+module.exports.createBundle = function (packagePaths, outputPath) {
+    if (!packagePaths || packagePaths.length === 0) {
+        throw new CordovaError('No packages to bundle');
+    }
+
+    var packages = packagePaths.map(readPackage);
+    validatePackages(packages);
+
+    var files = packages.map(function (pkg) {
+        return { name: pkg.fileName, data: pkg.data };
+    });
+    var manifest = createBundleManifest(packages, appxArchive.getDataOffsets(files));
+    files.push({ name: BUNDLE_MANIFEST_NAME, data: manifest });
+
+    var overrides = {};
+    overrides[BUNDLE_MANIFEST_NAME] = BUNDLE_MANIFEST_CONTENT_TYPE;
+    appxArchive.write(outputPath, files, overrides);
+
+    events.emit('log', 'Created unsigned bundle: ' + outputPath);
+    return outputPath;
+};
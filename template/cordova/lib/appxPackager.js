@@ -0,0 +1,303 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var pckage = require('./package');
+var appxArchive = require('./appxArchive');
+var ConfigParser = require('./ConfigParser');
+var xml = require('cordova-common').xmlHelpers;
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+var PROJECT_FILES = ['CordovaApp.Windows10.jsproj', 'CordovaApp.projitems'];
+var MANIFEST_FILE = 'package.windows10.appxmanifest';
+var MANIFEST_NAME = 'AppxManifest.xml';
+var MANIFEST_CONTENT_TYPE = 'application/vnd.ms-appx.manifest+xml';
+var NATIVE_REFERENCES = ['Reference', 'ProjectReference', 'SDKReference'];
+var IMAGE_REGEX = /\.(png|jpe?g|gif)$/i;
+
+// Values of ProcessorArchitecture attribute for build architectures
+var ARCHITECTURES = {
+    'anycpu': 'neutral',
+    'x86': 'x86',
+    'x64': 'x64',
+    'arm': 'arm'
+};
+
+function toPackagePath (file) {
+    return file.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+// Converts MSBuild wildcard (e.g. 'www\**' or 'images\*.png') to regular expression
+function wildcardToRegExp (pattern) {
+    var source = toPackagePath(pattern).split(/(\*\*\/?|\*|\?)/).map(function (part) {
+        if (part === '**' || part === '**/') return '(?:.*/)?' + (part === '**' ? '.*' : '');
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp('^' + source + '$', 'i');
+}
+
+function expandItem (projectRoot, include) {
+    include = toPackagePath(include.replace(/\$\(MSBuildThisFileDirectory\)/g, ''));
+    if (!/[*?]/.test(include)) {
+        return fs.existsSync(path.join(projectRoot, include)) ? [include] : [];
+    }
+
+    // List files starting from the part of pattern without wildcards
+    var baseDir = include.split(/[*?]/)[0].replace(/[^/]*$/, '');
+    var fullBaseDir = path.join(projectRoot, baseDir);
+    if (!fs.existsSync(fullBaseDir)) return [];
+
+    var regex = wildcardToRegExp(include);
+    return shell.ls('-RA', fullBaseDir).map(function (file) {
+        return baseDir + toPackagePath(file);
+    }).filter(function (file) {
+        return regex.test(file) && fs.statSync(path.join(projectRoot, file)).isFile();
+    });
+}
+
+// Only conditions on $(Platform), which are added by plugins with 'arch' attribute, are supported
+function matchesCondition (condition, arch) {
+    if (!condition) return true;
+
+    var match = /^\s*'\$\(Platform\)'\s*==\s*'([^']*)'\s*$/.exec(condition);
+    if (!match) {
+        events.emit('verbose', 'Skipping project item with unsupported condition: ' + condition);
+        return false;
+    }
+
+    return match[1].toLowerCase() === arch;
+}
+
+/**
+ * Lists files which msbuild would put into the package, based on Content
+ *   items of Windows 10 project and shared project items
+ *
+ * @param   {String}  projectRoot  Platform project root
+ * @param   {String}  arch         Build architecture
+ *
+ * @return  {Object[]}             List of files, each one has 'source' (path
+ *   relative to project root) and 'name' (path inside package) fields
+ */
+function getContentFiles (projectRoot, arch) {
+    var files = {};
+
+    PROJECT_FILES.forEach(function (projectFile) {
+        var project = xml.parseElementtreeSync(path.join(projectRoot, projectFile));
+
+        NATIVE_REFERENCES.forEach(function (reference) {
+            if (project.findall('ItemGroup/' + reference).length > 0) {
+                throw new CordovaError(projectFile + ' contains ' + reference + ' items, which require msbuild. ' +
+                    'Plugins with native components are not supported by JavaScript packager.');
+            }
+        });
+
+        project.findall('ItemGroup').forEach(function (group) {
+            if (!matchesCondition(group.attrib.Condition, arch)) return;
+
+            group.findall('Content').forEach(function (item) {
+                if (!item.attrib.Include || !matchesCondition(item.attrib.Condition, arch)) return;
+
+                var excludes = (item.attrib.Exclude || '').split(';').filter(Boolean).map(wildcardToRegExp);
+                var link = item.find('Link');
+
+                expandItem(projectRoot, item.attrib.Include).forEach(function (source) {
+                    if (excludes.some(function (exclude) { return exclude.test(source); })) return;
+
+                    var name = link ? toPackagePath(link.text) : source;
+                    if (name.indexOf('../') === 0) {
+                        events.emit('warn', 'Skipping ' + source + ', which is outside of the project and has no Link metadata.');
+                        return;
+                    }
+
+                    files[name.toLowerCase()] = { source: source, name: name };
+                });
+            });
+        });
+    });
+
+    return Object.keys(files).sort().map(function (key) {
+        return files[key];
+    });
+}
+
+function getTargetPlatformVersions (projectRoot) {
+    var project = xml.parseElementtreeSync(path.join(projectRoot, 'CordovaApp.Windows10.jsproj'));
+    var propertyGroup = project.findall('PropertyGroup').filter(function (group) {
+        return !group.attrib.Condition && group.find('TargetPlatformVersion');
+    })[0];
+
+    return {
+        version: propertyGroup.find('TargetPlatformVersion').text,
+        minVersion: (propertyGroup.find('TargetPlatformMinVersion') || propertyGroup.find('TargetPlatformVersion')).text
+    };
+}
+
+/**
+ * Makes the changes to the manifest which msbuild does when it generates
+ *   AppxManifest.xml for the package
+ */
+function createManifest (projectRoot, arch) {
+    var manifest = xml.parseElementtreeSync(path.join(projectRoot, MANIFEST_FILE));
+    var root = manifest.getroot();
+
+    root.find('./Identity').attrib.ProcessorArchitecture = ARCHITECTURES[arch];
+
+    var versions = getTargetPlatformVersions(projectRoot);
+    root.findall('./Dependencies/TargetDeviceFamily').forEach(function (family) {
+        family.attrib.MinVersion = versions.minVersion;
+        family.attrib.MaxVersionTested = versions.version;
+    });
+
+    // 'x-generate' is replaced with languages from resources.pri by msbuild,
+    // which is not generated here, so the default language is used instead
+    var config = new ConfigParser(path.join(projectRoot, 'config.xml'));
+    var defaultLanguage = config.defaultLocale() || 'en-US';
+    root.findall('./Resources/Resource').forEach(function (resource) {
+        if (resource.attrib.Language === 'x-generate') {
+            resource.attrib.Language = defaultLanguage;
+        }
+    });
+
+    resolveResourceReferences(manifest, path.join(projectRoot, 'strings', defaultLanguage, 'resources.resjson'));
+
+    return manifest;
+}
+
+/**
+ * Windows resolves ms-resource: references in manifest using resources.pri,
+ *   which is not generated here, so they are replaced with default language
+ *   strings prepare writes to strings/<language>/resources.resjson
+ */
+function resolveResourceReferences (manifest, stringsFile) {
+    var strings;
+    var resolve = function (value) {
+        var match = /^\s*ms-resource:(?:\/{0,2}resources\/)?(.+?)\s*$/i.exec(value);
+        if (!match) return value;
+
+        if (!strings) {
+            strings = fs.existsSync(stringsFile) ?
+                JSON.parse(fs.readFileSync(stringsFile, 'utf-8').replace(/^\ufeff/, '')) : {};
+        }
+
+        if (typeof strings[match[1]] !== 'string') {
+            throw new CordovaError('Resource ' + value + ' referenced in ' + MANIFEST_FILE + ' is not found in ' + stringsFile +
+                '. JavaScript packager can only resolve strings of the default language.');
+        }
+
+        return strings[match[1]];
+    };
+
+    manifest.iter('*', function (element) {
+        Object.keys(element.attrib).forEach(function (name) {
+            element.attrib[name] = resolve(element.attrib[name]);
+        });
+
+        if (typeof element.text === 'string') {
+            element.text = resolve(element.text);
+        }
+    });
+}
+
+function getImageReferences (manifest) {
+    var references = [];
+    manifest.iter('*', function (element) {
+        Object.keys(element.attrib).map(function (name) {
+            return element.attrib[name];
+        }).concat(element.text || []).forEach(function (value) {
+            if (typeof value === 'string' && IMAGE_REGEX.test(value) && !/^[a-z-]+:/i.test(value)) {
+                references.push(toPackagePath(value.trim()));
+            }
+        });
+    });
+
+    return references;
+}
+
+/**
+ * Without resources.pri Windows can't resolve images referenced from manifest
+ *   to their qualified variants (e.g. 'images/StoreLogo.png' to
+ *   'images/StoreLogo.scale-100.png'), so copies of the variants are added to
+ *   the package under the referenced names
+ */
+function addUnqualifiedImages (manifest, files) {
+    var names = files.map(function (file) { return file.name.toLowerCase(); });
+
+    getImageReferences(manifest).forEach(function (reference) {
+        if (names.indexOf(reference.toLowerCase()) >= 0) return;
+
+        var extension = path.extname(reference);
+        var prefix = reference.substring(0, reference.length - extension.length).toLowerCase() + '.';
+        var variants = files.filter(function (file) {
+            var name = file.name.toLowerCase();
+            return name.indexOf(prefix) === 0 && path.extname(name) === extension.toLowerCase();
+        }).sort(function (a, b) {
+            return (/scale-100\./i.test(b.name) ? 1 : 0) - (/scale-100\./i.test(a.name) ? 1 : 0) || (a.name < b.name ? -1 : 1);
+        });
+
+        if (variants.length === 0) {
+            throw new CordovaError('Image ' + reference + ' referenced in ' + MANIFEST_FILE + ' is missing');
+        }
+
+        files.push({ source: variants[0].source, name: reference });
+        names.push(reference.toLowerCase());
+    });
+}
+
+/**
+ * Creates unsigned Windows 10 .appx package from project contents without
+ *   msbuild. Packages are placed into AppPackages folder the same way msbuild
+ *   does it, so they could be found by package.getPackage.
+ *
+ * @param   {String}  projectRoot  Platform project root
+ * @param   {String}  buildType    Either 'debug' or 'release'
+ * @param   {String}  arch         Build architecture: anycpu, x86, x64 or arm
+ *
+ * @return  {String}               Path to created package
+ */
+module.exports.createPackage = function (projectRoot, buildType, arch) {
+    arch = arch.toLowerCase().replace(/\s/g, '');
+    if (!ARCHITECTURES[arch]) {
+        throw new CordovaError('Unsupported architecture for JavaScript packager: ' + arch);
+    }
+
+    var manifest = createManifest(projectRoot, arch);
+    var files = getContentFiles(projectRoot, arch);
+    addUnqualifiedImages(manifest, files);
+
+    var entries = files.map(function (file) {
+        return { name: file.name, data: fs.readFileSync(path.join(projectRoot, file.source)) };
+    });
+    entries.push({ name: MANIFEST_NAME, data: Buffer.from(manifest.write({ xml_declaration: true, indent: 4 }), 'utf-8') });
+
+    var overrides = {};
+    overrides[MANIFEST_NAME] = MANIFEST_CONTENT_TYPE;
+
+    var version = manifest.getroot().find('./Identity').attrib.Version;
+    var outputPath = pckage.getPackageFilePath(projectRoot, 'windows10', version, arch, buildType);
+    appxArchive.write(outputPath, entries, overrides);
+
+    events.emit('log', 'Created unsigned package: ' + outputPath);
+    return outputPath;
+};
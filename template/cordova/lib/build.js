@@ -24,25 +24,37 @@ var shell = require('shelljs');
 var utils = require('./utils');
 var prepare = require('./prepare');
 var pckage = require('./package');
+var BuildCache = require('./BuildCache');
+var buildConfigValidator = require('./buildConfigValidator');
+var certificate = require('./certificate');
+var appxPackager = require('./appxPackager');
 var MSBuildTools = require('./MSBuildTools');
 var AppxManifest = require('./AppxManifest');
-var ConfigParser = require('./ConfigParser');
+var projects = require('./projects');
 var fs = require('fs');
+var prebuild = require('../prebuild');
 
 var events = require('cordova-common').events;
 var CordovaError = require('cordova-common').CordovaError;
 
-var projFiles = {
-    phone: 'CordovaApp.Phone.jsproj',
-    win: 'CordovaApp.Windows.jsproj',
-    win10: 'CordovaApp.Windows10.jsproj'
-};
+var projFiles = projects.projFiles;
 var projFilesToManifests = {
     'CordovaApp.Phone.jsproj': 'package.phone.appxmanifest',
     'CordovaApp.Windows.jsproj': 'package.windows.appxmanifest',
     'CordovaApp.Windows10.jsproj': 'package.windows10.appxmanifest'
 };
 
+// Certificate packages are signed with unless packageCertificateKeyFile is specified
+var TEMPORARY_KEY_FILE = 'CordovaApp_TemporaryKey.pfx';
+// Publisher placeholder which is left in manifests of projects created from template
+var TEMPLATE_PUBLISHER = 'CN=$username$';
+
+// config.xml preferences which could be overridden by build config file
+var MANIFEST_PREFERENCES = ['WindowsStoreIdentityName', 'WindowsStorePublisherName', 'WindowsStoreDisplayName'];
+
+// Tools which could be used to create packages, see --packager option
+var PACKAGERS = ['msbuild', 'js'];
+
 var ROOT = path.resolve(__dirname, '../..');
 
 // builds cordova-windows application with parameters provided.
@@ -60,6 +72,33 @@ module.exports.run = function run (buildOptions) {
     // get build targets
     var selectedBuildTargets = getBuildTargets(buildConfig.win, buildConfig.phone, buildConfig.projVerOverride, buildConfig);
 
+    if (buildConfig.dryRun) {
+        // MSBuild can't be looked up on non-Windows hosts, so the plan is based on the selected
+        // targets as is. Nothing is written to the project and msbuild is not spawned.
+        return Q.fcall(buildConfig.packager === 'js' ? getPackagerPlan : getBuildPlan, buildConfig, selectedBuildTargets)
+            .catch(function (error) {
+                return Q.reject(new CordovaError('Build failed', error));
+            });
+    }
+
+    if (buildConfig.printCertInfo) {
+        return Q.fcall(printCertificateInfo, buildConfig, selectedBuildTargets);
+    }
+
+    if (buildConfig.packager === 'js') {
+        return Q.fcall(createPackagesWithoutMSBuild, buildConfig, selectedBuildTargets)
+            .then(function (pkg) {
+                events.emit('verbose', ' BUILD OUTPUT: ' + pkg.appx);
+                return pkg;
+            }, function (error) {
+                var message = 'Build failed' + (error instanceof CordovaError ? ': ' + error.message : '');
+                return Q.reject(new CordovaError(message, error));
+            });
+    }
+
+    // errors and warnings reported by msbuild for all build steps
+    var diagnostics = [];
+
     return MSBuildTools.getLatestMatchingMSBuild(selectedBuildTargets) // get latest msbuild tools
         .then(function (result) {
 
@@ -73,111 +112,294 @@ module.exports.run = function run (buildOptions) {
                 updateManifestWithPublisher(buildConfig, myBuildTargets);
             }
 
-            cleanIntermediates();
-            // build!
-            return buildTargets(buildConfig, myBuildTargets, msbuild);
+            // Fail before msbuild starts if packages can't be signed with the certificate
+            validateSigningCertificate(buildConfig, myBuildTargets);
+
+            // Inputs are hashed after build configs are applied, so the changes in build.json are taken into account
+            var cache = new BuildCache(ROOT);
+            var cacheKey = BuildCache.getKey(buildConfig, myBuildTargets);
+            var inputsHash = cache.computeHash();
+
+            var fullBuild = function () {
+                cleanIntermediates();
+                // build!
+                return buildTargets(buildConfig, myBuildTargets, msbuild, diagnostics)
+                    .then(function (pkg) {
+                        if (pkg && pkg.appx) {
+                            cache.update(cacheKey, inputsHash, pkg.appx);
+                        }
+                        return pkg;
+                    });
+            };
+
+            if (buildConfig.force || !cache.isUpToDate(cacheKey, inputsHash)) {
+                return fullBuild();
+            }
+
+            // Cached package is the bundle for --bundle builds, so it is returned as is
+            var cachedPackage = pckage.getPackageFileInfo(cache.getPackage(cacheKey));
+            if (!cachedPackage) {
+                events.emit('verbose', 'Could not recognize the package built previously, rebuilding.');
+                return fullBuild();
+            }
+
+            events.emit('log', 'Project has not changed since the last build, skipping. Use --force to rebuild.');
+            return cachedPackage;
         }).then(function (pkg) {
+            writeDiagnostics(buildConfig.diagnosticsJson, diagnostics);
             events.emit('verbose', ' BUILD OUTPUT: ' + pkg.appx);
             return pkg;
-        }).catch(function (error) {
-            return Q.reject(new CordovaError('Build failed', error));
+        }, function (error) {
+            writeDiagnostics(buildConfig.diagnosticsJson, diagnostics);
+
+            var errors = diagnostics.filter(function (diagnostic) {
+                return diagnostic.severity === 'error';
+            });
+            var message = 'Build failed';
+            if (errors.length > 0) {
+                message += ' with ' + errors.length + ' error(s):\n' + errors.map(formatDiagnostic).join('\n');
+            } else if (error instanceof CordovaError) {
+                message += ': ' + error.message;
+            }
+
+            var buildError = new CordovaError(message, error);
+            buildError.diagnostics = diagnostics;
+            return Q.reject(buildError);
         });
 };
 
-// returns list of projects to be built based on config.xml and additional parameters (-appx)
-function getBuildTargets (isWinSwitch, isPhoneSwitch, projOverride, buildConfig) {
-    buildConfig = typeof buildConfig !== 'undefined' ? buildConfig : null;
-
-    var configXML = new ConfigParser(path.join(ROOT, 'config.xml'));
-    var targets = [];
-    var noSwitches = !(isPhoneSwitch || isWinSwitch);
-
-    // Windows
-    if (isWinSwitch || noSwitches) { // if --win or no arg
-        var windowsTargetVersion = configXML.getWindowsTargetVersion();
-        switch (windowsTargetVersion.toLowerCase()) {
-        case '8':
-        case '8.0':
-            throw new CordovaError('windows8 platform is deprecated. To use windows-target-version=8.0 you must downgrade to cordova-windows@4.');
-        case '8.1':
-            targets.push(projFiles.win);
-            break;
-        case '10.0':
-        case 'uap':
-        case 'uwp':
-            targets.push(projFiles.win10);
-            break;
-        default:
-            throw new CordovaError('Unsupported windows-target-version value: ' + windowsTargetVersion);
-        }
+/**
+ * Creates unsigned packages with JavaScript packager, so the project could be
+ *   built on hosts where msbuild is not available. Only Windows 10 projects
+ *   without native components are supported.
+ *
+ * @param   {Object}    config          Build configuration, returned by
+ *   parseAndValidateArgs
+ * @param   {String[]}  myBuildTargets  List of .jsproj files to build
+ *
+ * @return  {Object}                    Info of the bundle or the package built
+ *   for the first architecture, returned by package.getPackageFileInfo
+ */
+function createPackagesWithoutMSBuild (config, myBuildTargets) {
+    validatePackagerTargets(myBuildTargets);
+
+    // Apply build related configs
+    prepare.updateBuildConfig(config);
+    updateManifestWithPublisher(config, myBuildTargets);
+    // msbuild runs this as a pre-build event of Windows 10 project
+    prebuild('10');
+
+    var packages = config.buildArchs.map(function (arch) {
+        return pckage.getPackageFileInfo(appxPackager.createPackage(ROOT, config.buildType, arch));
+    });
+
+    events.emit('warn', 'Packages created with JavaScript packager are not signed. Use cordova/sign on Windows to sign them.');
+    return config.bundle ? bundlePackages(config) : packages[0];
+}
+
+function validatePackagerTargets (myBuildTargets) {
+    if (myBuildTargets.length !== 1 || myBuildTargets[0] !== projFiles.win10) {
+        throw new CordovaError('JavaScript packager only supports Windows 10 projects. Use --appx=uwp to build one.');
     }
+}
 
-    // Windows Phone
-    if (isPhoneSwitch || noSwitches) { // if --phone or no arg
-        var windowsPhoneTargetVersion = configXML.getWindowsPhoneTargetVersion();
-        switch (windowsPhoneTargetVersion.toLowerCase()) {
-        case '8.1':
-            targets.push(projFiles.phone);
-            break;
-        case '10.0':
-        case 'uap':
-        case 'uwp':
-            if (targets.indexOf(projFiles.win10) < 0) {
-                // Already built due to --win or no switches
-                // and since the same thing can be run on Phone as Windows,
-                // we can skip this one.
-                targets.push(projFiles.win10);
-            }
-            break;
-        default:
-            throw new CordovaError('Unsupported windows-phone-target-version value: ' + windowsPhoneTargetVersion);
-        }
+/**
+ * Describes packages JavaScript packager creates with the configuration
+ *   specified, in the same way getBuildPlan describes msbuild invocations.
+ *   Printed by `build --dry-run --packager=js`.
+ *
+ * @param   {Object}    config          Build configuration, returned by
+ *   parseAndValidateArgs
+ * @param   {String[]}  myBuildTargets  List of .jsproj files to build
+ *
+ * @return  {Object}                    The build plan
+ */
+function getPackagerPlan (config, myBuildTargets) {
+    validatePackagerTargets(myBuildTargets);
+
+    return {
+        dryRun: !!config.dryRun,
+        packager: 'js',
+        buildType: config.buildType,
+        targetProject: config.targetProject,
+        targets: myBuildTargets,
+        bundle: !!config.bundle,
+        steps: config.buildArchs.map(function (arch) {
+            return {
+                target: myBuildTargets[0],
+                arch: arch === 'any cpu' ? 'anycpu' : arch,
+                buildType: config.buildType
+            };
+        })
+    };
+}
+
+/**
+ * Reads the certificate packages are going to be signed with, which is either
+ *   packageCertificateKeyFile from build config or the temporary key
+ *
+ * @param   {Object}  config  Build configuration, returned by parseAndValidateArgs
+ *
+ * @return  {Object}          Certificate info, returned by certificate.readPfx,
+ *   with additional 'file' field, or null if there is no certificate file
+ */
+function getSigningCertificate (config) {
+    var file = config.packageCertificateKeyFile || path.join(ROOT, TEMPORARY_KEY_FILE);
+    if (!config.packageCertificateKeyFile && !fs.existsSync(file)) {
+        return null;
     }
 
-    // apply build target override if one was specified
-    if (projOverride) {
-        switch (projOverride.toLowerCase()) {
-        case '8.1':
-            targets = [projFiles.win, projFiles.phone];
-            break;
-        case '8.1-phone':
-            targets = [projFiles.phone];
-            break;
-        case '8.1-win':
-            targets = [projFiles.win];
-            break;
-        case 'uap':
-        case 'uwp':
-            targets = [projFiles.win10];
-            break;
-        default:
-            events.emit('warn', 'Ignoring unrecognized --appx parameter passed to build: "' + projOverride + '"');
-            break;
-        }
+    var password = config.packageCertificatePasswordEnv && process.env[config.packageCertificatePasswordEnv];
+    var info = certificate.readPfx(file, password);
+    info.file = file;
+    return info;
+}
+
+function getManifestPublishers (myBuildTargets) {
+    return myBuildTargets.map(function (proj) {
+        var manifestFile = projFilesToManifests[proj];
+        return {
+            manifest: manifestFile,
+            publisher: AppxManifest.get(path.join(ROOT, manifestFile)).getIdentity().getPublisher()
+        };
+    });
+}
+
+/**
+ * Checks that signing certificate is valid at the moment and its subject
+ *   matches Publisher in manifests of projects being built. Otherwise signing
+ *   fails at the very end of msbuild run. Certificates selected by thumbprint
+ *   from the certificate store and certificate files which can't be read
+ *   without a password are left to msbuild.
+ *
+ * @param   {Object}    config          Build configuration, returned by
+ *   parseAndValidateArgs
+ * @param   {String[]}  myBuildTargets  List of .jsproj files to build
+ */
+function validateSigningCertificate (config, myBuildTargets) {
+    if (config.packageThumbprint) {
+        events.emit('verbose', 'Package is signed with certificate ' + config.packageThumbprint +
+            ' from certificate store, skipping certificate check.');
+        return;
     }
 
-    if (buildConfig !== null) {
-        // As part of reworking how build and package determine the winning project, set the 'target type' project
-        // as part of build configuration.  This will be used for determining the binary to 'run' after build is done.
-        if (targets.length > 0) {
-            switch (targets[0]) {
-            case projFiles.phone:
-                buildConfig.targetProject = 'phone';
-                break;
-            case projFiles.win10:
-                buildConfig.targetProject = 'windows10';
-                break;
-            case projFiles.win:
-                /* falls through */
-            default:
-                buildConfig.targetProject = 'windows';
-                break;
-            }
+    var cert;
+    try {
+        cert = getSigningCertificate(config);
+    } catch (e) {
+        var hasPassword = !!(config.packageCertificatePasswordEnv && process.env[config.packageCertificatePasswordEnv]);
+        if (hasPassword) throw e;
+
+        // File could be protected with a password msbuild gets elsewhere, e.g. from certificate store
+        events.emit('warn', 'Skipping certificate check: ' + e.message + '\nSet packageCertificatePasswordEnv ' +
+            'in build config file to check the certificate before build.');
+        return;
+    }
+    if (!cert) return;
+
+    var now = new Date();
+    if (cert.notAfter < now) {
+        throw new CordovaError('Certificate ' + cert.file + ' has expired on ' + cert.notAfter.toISOString() +
+            '. Use packageCertificateKeyFile in build config file to specify a valid one.');
+    }
+
+    if (cert.notBefore > now) {
+        throw new CordovaError('Certificate ' + cert.file + ' is not valid until ' + cert.notBefore.toISOString());
+    }
+
+    getManifestPublishers(myBuildTargets).forEach(function (item) {
+        if (item.publisher === TEMPLATE_PUBLISHER) {
+            events.emit('verbose', 'Publisher is not set in ' + item.manifest + ', skipping certificate subject check.');
+            return;
         }
+
+        if (item.publisher !== cert.subject) {
+            throw new CordovaError('Certificate subject "' + cert.subject + '" (' + cert.file + ') does not match Publisher "' +
+                item.publisher + '" in ' + item.manifest + '. Set publisherId in build config file or use --publisherId ' +
+                'to make them match.');
+        }
+    });
+}
+
+/**
+ * Prints signing certificate info and whether it matches Publisher in
+ *   manifests, without building the project
+ *
+ * @param   {Object}    config          Build configuration, returned by
+ *   parseAndValidateArgs
+ * @param   {String[]}  myBuildTargets  List of .jsproj files to build
+ *
+ * @return  {Object}                    Certificate info or null if there is
+ *   no certificate file
+ */
+function printCertificateInfo (config, myBuildTargets) {
+    var cert = getSigningCertificate(config);
+    if (!cert) {
+        events.emit('log', 'No certificate file to sign packages with.');
+        return null;
+    }
+
+    events.emit('log', 'Certificate: ' + cert.file);
+    events.emit('log', '  Subject:    ' + cert.subject);
+    events.emit('log', '  Issuer:     ' + cert.issuer);
+    events.emit('log', '  Thumbprint: ' + cert.thumbprint);
+    events.emit('log', '  Valid from: ' + cert.notBefore.toISOString());
+    events.emit('log', '  Valid to:   ' + cert.notAfter.toISOString() + (cert.notAfter < new Date() ? ' (expired)' : ''));
+    getManifestPublishers(myBuildTargets).forEach(function (item) {
+        events.emit('log', '  Publisher in ' + item.manifest + ': ' + item.publisher +
+            (item.publisher === cert.subject ? ' (matches)' : ' (does not match)'));
+    });
+
+    return cert;
+}
+
+/**
+ * Formats msbuild diagnostic back to the canonical form, e.g.
+ *   'www\js\index.js(1,2): error CODE: message'
+ *
+ * @param   {Object}  diagnostic  Diagnostic, returned by MSBuildTools.parseDiagnostics
+ * @return  {String}              Formatted diagnostic
+ */
+function formatDiagnostic (diagnostic) {
+    var position = '';
+    if (diagnostic.line !== null) {
+        position = '(' + [diagnostic.line, diagnostic.column].filter(function (value) {
+            return value !== null;
+        }).join(',') + ')';
     }
 
-    return targets;
+    return (diagnostic.file || '') + position + ': ' + diagnostic.severity +
+        (diagnostic.code ? ' ' + diagnostic.code : '') + ': ' + diagnostic.message;
 }
+
+/**
+ * Writes diagnostics reported by msbuild into JSON file, if one is specified
+ *
+ * @param   {String}    [filePath]   Path to file to write diagnostics to
+ * @param   {Object[]}  diagnostics  List of diagnostics
+ */
+function writeDiagnostics (filePath, diagnostics) {
+    if (!filePath) return;
+
+    var count = function (severity) {
+        return diagnostics.filter(function (diagnostic) {
+            return diagnostic.severity === severity;
+        }).length;
+    };
+
+    events.emit('verbose', 'Writing build diagnostics to ' + filePath);
+    fs.writeFileSync(filePath, JSON.stringify({
+        errorCount: count('error'),
+        warningCount: count('warning'),
+        diagnostics: diagnostics
+    }, null, 2), 'utf-8');
+}
+
+// returns list of projects to be built based on config.xml and additional parameters (-appx)
+function getBuildTargets (isWinSwitch, isPhoneSwitch, projOverride, buildConfig) {
+    return projects.getBuildTargets(ROOT, isWinSwitch, isPhoneSwitch, projOverride, buildConfig);
+}
+
 module.exports.getBuildTargets = getBuildTargets;
 
 /**
@@ -201,7 +423,14 @@ function parseAndValidateArgs (options) {
         'packageThumbprint': String,
         'publisherId': String,
         'buildConfig': String,
-        'buildFlag': [String, Array]
+        'buildFlag': [String, Array],
+        'parallel': Number,
+        'diagnostics-json': String,
+        'force': Boolean,
+        'profile': String,
+        'dry-run': Boolean,
+        'print-cert-info': Boolean,
+        'packager': String
     }, {}, options.argv, 0);
 
     var config = {};
@@ -217,7 +446,8 @@ function parseAndValidateArgs (options) {
     }
 
     // get build options/defaults
-    config.buildType = options.release ? 'release' : 'debug';
+    var explicitBuildType = options.release ? 'release' : (options.debug ? 'debug' : null);
+    config.buildType = explicitBuildType || 'debug';
 
     var archs = options.archs || args.archs;
     config.buildArchs = archs ? archs.toLowerCase().split(' ') : ['anycpu'];
@@ -225,6 +455,18 @@ function parseAndValidateArgs (options) {
     config.phone = !!args.phone;
     config.win = !!args.win;
     config.projVerOverride = args.appx;
+    config.dryRun = !!(options.dryRun || args['dry-run']);
+    config.force = !!(options.force || args.force);
+    config.printCertInfo = !!args['print-cert-info'];
+
+    config.packager = (args.packager || 'msbuild').toLowerCase();
+    if (PACKAGERS.indexOf(config.packager) < 0) {
+        throw new CordovaError('Unsupported packager: "' + args.packager + '". Supported values are: ' + PACKAGERS.join(', '));
+    }
+
+    if (args['diagnostics-json']) {
+        config.diagnosticsJson = path.resolve(process.cwd(), args['diagnostics-json']);
+    }
     // only set config.bundle if architecture is not anycpu
     if (args.bundle) {
         if (config.buildArchs.length > 1 && (config.buildArchs.indexOf('anycpu') > -1 || config.buildArchs.indexOf('any cpu') > -1)) {
@@ -238,11 +480,22 @@ function parseAndValidateArgs (options) {
 
     // if build.json is provided, parse it
     var buildConfigPath = options.buildConfig || args.buildConfig;
+    if (args.profile && !buildConfigPath) {
+        throw new CordovaError('Build profile "' + args.profile + '" is specified, but there is no build config file to read it from. ' +
+            'Use --buildConfig to specify one.');
+    }
+
     if (buildConfigPath) {
-        buildConfig = parseBuildConfig(buildConfigPath, config.buildType);
+        buildConfig = parseBuildConfig(buildConfigPath, config.buildType, args.profile);
         for (var prop in buildConfig) { config[prop] = buildConfig[prop]; }
     }
 
+    // Build type specified explicitly takes precedence over the one inherited by build profile
+    if (explicitBuildType) {
+        config.buildType = explicitBuildType;
+    }
+    config.profile = args.profile;
+
     // Merge buildFlags from build config and CLI arguments into
     // single array ensuring that ones from CLI take a precedence
     config.buildFlags = [].concat(buildConfig.buildFlag || [], args.buildFlag || []);
@@ -256,12 +509,65 @@ function parseAndValidateArgs (options) {
     config.packageThumbprint = config.packageThumbprint || args.packageThumbprint;
     config.publisherId = config.publisherId || args.publisherId;
 
+    // Number of msbuild processes that can be run at the same time
+    if (args.parallel !== undefined) {
+        config.parallel = args.parallel;
+    }
+    config.parallel = config.parallel === undefined ? 1 : config.parallel;
+    if (!(Number.isInteger(config.parallel) && config.parallel > 0)) {
+        throw new CordovaError('Invalid value for "parallel" option: ' + config.parallel + '. A positive integer is expected.');
+    }
+
     return config;
 }
 
-function parseBuildConfig (buildConfigPath, buildType) {
-    var buildConfig;
+/**
+ * Merges the build profile, defined in 'windows.profiles' section of build
+ *   config file, with the 'debug' or 'release' section it inherits from
+ *
+ * @param   {Object}  windowsConfig  The 'windows' section of build config file
+ * @param   {String}  profileName    Name of the profile
+ *
+ * @return  {Object}                 Merged build settings. If the profile
+ *   inherits from 'debug' or 'release', 'buildType' field is set accordingly.
+ */
+function getBuildProfile (windowsConfig, profileName) {
+    var profiles = windowsConfig.profiles || {};
+    if (!Object.prototype.hasOwnProperty.call(profiles, profileName)) {
+        var available = Object.keys(profiles);
+        throw new CordovaError('Build profile "' + profileName + '" is not defined in build config file. ' +
+            (available.length > 0 ? 'Available profiles: ' + available.join(', ') : 'There are no profiles in "windows.profiles" section.'));
+    }
+
+    var profile = expandEnvironmentVariables(profiles[profileName], 'windows.profiles.' + profileName);
+    var inherits = profile.inherits;
+    if (inherits !== undefined && inherits !== 'debug' && inherits !== 'release') {
+        throw new CordovaError('Build profile "' + profileName + '" can only inherit from "debug" or "release", but got "' + inherits + '"');
+    }
+
     var result = {};
+    var base = inherits ? expandEnvironmentVariables(windowsConfig[inherits] || {}, 'windows.' + inherits) : {};
+    Object.keys(base).concat(Object.keys(profile)).forEach(function (key) {
+        result[key] = profile.hasOwnProperty(key) ? profile[key] : base[key];
+    });
+
+    delete result.inherits;
+    if (inherits) {
+        result.buildType = inherits;
+    }
+
+    return result;
+}
+
+/**
+ * Reads build config file and validates its 'windows' section
+ *
+ * @param   {String}  buildConfigPath  Path to build config file
+ *
+ * @return  {Object}                   Parsed build config
+ */
+function readBuildConfig (buildConfigPath) {
+    var buildConfig;
     events.emit('verbose', 'Reading build config file: ' + buildConfigPath);
     try {
         var contents = fs.readFileSync(buildConfigPath, 'utf8');
@@ -274,9 +580,52 @@ function parseBuildConfig (buildConfigPath, buildType) {
         }
     }
 
-    if (!(buildConfig.windows && buildConfig.windows[buildType])) return {};
+    var errors = buildConfigValidator.validate(buildConfig);
+    if (errors.length > 0) {
+        throw new CordovaError('Build config file ' + buildConfigPath + ' is invalid:\n  ' + errors.join('\n  '));
+    }
+
+    return buildConfig;
+}
+
+/**
+ * Checks build config file without building the project
+ *
+ * @param   {String}  buildConfigPath  Path to build config file
+ */
+module.exports.validateConfig = function (buildConfigPath) {
+    if (!buildConfigPath) {
+        throw new CordovaError('No build config file to validate. Use --buildConfig to specify one.');
+    }
+
+    readBuildConfig(buildConfigPath);
+};
+
+/**
+ * Reads windows-specific settings from build config file
+ *
+ * @param   {String}  buildConfigPath  Path to build config file
+ * @param   {String}  buildType        Build type to read settings for, either
+ *   'debug' or 'release'
+ * @param   {String}  [profileName]    Name of build profile to use instead of
+ *   build type section
+ *
+ * @return  {Object}                   Settings from build config file
+ */
+function parseBuildConfig (buildConfigPath, buildType, profileName) {
+    var result = {};
+    var buildConfig = readBuildConfig(buildConfigPath);
 
-    var windowsInfo = buildConfig.windows[buildType];
+    var windowsInfo;
+    if (profileName) {
+        windowsInfo = getBuildProfile(buildConfig.windows || {}, profileName);
+        if (windowsInfo.buildType) {
+            result.buildType = windowsInfo.buildType;
+        }
+    } else {
+        if (!(buildConfig.windows && buildConfig.windows[buildType])) return {};
+        windowsInfo = expandEnvironmentVariables(buildConfig.windows[buildType], 'windows.' + buildType);
+    }
 
     // If provided assume it's a relative path
     if (windowsInfo.packageCertificateKeyFile) {
@@ -288,6 +637,17 @@ function parseBuildConfig (buildConfigPath, buildType) {
         result.packageThumbprint = windowsInfo.packageThumbprint;
     }
 
+    // Name of environment variable which contains certificate password. MSBuild reads it
+    // from environment at build time, so the password itself is never written to disk
+    if (windowsInfo.packageCertificatePasswordEnv) {
+        var passwordEnv = windowsInfo.packageCertificatePasswordEnv;
+        if (process.env[passwordEnv] === undefined) {
+            throw new CordovaError('Environment variable "' + passwordEnv + '", specified by packageCertificatePasswordEnv, is not defined');
+        }
+
+        result.packageCertificatePasswordEnv = passwordEnv;
+    }
+
     if (windowsInfo.publisherId) {
         // Quickly validate publisherId
         var publisherRegexStr = '(CN|L|O|OU|E|C|S|STREET|T|G|I|SN|DC|SERIALNUMBER|(OID\\.(0|[1-9][0-9]*)(\\.(0|[1-9][0-9]*))+))=' +
@@ -308,8 +668,59 @@ function parseBuildConfig (buildConfigPath, buildType) {
         result.buildFlag = windowsInfo.buildFlag;
     }
 
+    if (windowsInfo.parallel !== undefined) {
+        result.parallel = windowsInfo.parallel;
+    }
+
+    // Manifest values which are normally set by prepare from config.xml preferences
+    MANIFEST_PREFERENCES.forEach(function (name) {
+        if (windowsInfo[name]) {
+            result.manifestPreferences = result.manifestPreferences || {};
+            result.manifestPreferences[name] = windowsInfo[name];
+        }
+    });
+
     return result;
 }
+module.exports.parseBuildConfig = parseBuildConfig;
+
+/**
+ * Replaces '${env:NAME}' placeholders in all string values of build config
+ *   section with values of corresponding environment variables
+ *
+ * @param   {*}       value     Value from build config file
+ * @param   {String}  jsonPath  Path to the value in build config file, e.g.
+ *   'windows.release', used in error messages
+ *
+ * @return  {*}                 A copy of the value with placeholders replaced
+ */
+function expandEnvironmentVariables (value, jsonPath) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{env:([^}]*)\}/g, function (placeholder, name) {
+            if (process.env[name] === undefined) {
+                throw new CordovaError('Environment variable "' + name + '", referenced at ' + jsonPath +
+                    ' in build config file, is not defined');
+            }
+
+            return process.env[name];
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(function (item, index) {
+            return expandEnvironmentVariables(item, jsonPath + '[' + index + ']');
+        });
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce(function (result, key) {
+            result[key] = expandEnvironmentVariables(value[key], jsonPath + '.' + key);
+            return result;
+        }, {});
+    }
+
+    return value;
+}
 
 // Note: This function is very narrow and only writes to the app manifest if an update is done.  See CB-9450 for the
 // reasoning of why this is the case.
@@ -326,9 +737,21 @@ function updateManifestWithPublisher (config, myBuildTargets) {
     });
 }
 
-function buildTargets (config, myBuildTargets, msbuild) {
+/**
+ * Collects all MSBuild invocations (pairs of project to build and target
+ *   architecture along with the properties passed to msbuild) needed to build
+ *   the project with the configuration specified. The result is a plain
+ *   JSON-serializable object, so it can be printed by `build --dry-run`.
+ *
+ * @param   {Object}    config          Build configuration, returned by
+ *   parseAndValidateArgs
+ * @param   {String[]}  myBuildTargets  List of .jsproj files to build
+ *
+ * @return  {Object}                    The build plan
+ */
+function getBuildPlan (config, myBuildTargets) {
 
-    var buildConfigs = [];
+    var steps = [];
     var bundleTerms = '';
     var hasAnyCpu = false;
     var shouldBundle = !!config.bundle;
@@ -340,9 +763,10 @@ function buildTargets (config, myBuildTargets, msbuild) {
     // collect all build configurations (pairs of project to build and target architecture)
     myBuildTargets.forEach(function (buildTarget) {
         config.buildArchs.forEach(function (buildArch) {
-            buildConfigs.push({
+            steps.push({
                 target: buildTarget,
-                arch: buildArch
+                // support for "any cpu" specified with or without space
+                arch: buildArch === 'any cpu' ? 'anycpu' : buildArch
             });
 
             if (buildArch === 'anycpu' || buildArch === 'any cpu') {
@@ -359,40 +783,109 @@ function buildTargets (config, myBuildTargets, msbuild) {
         });
     });
 
-    // run builds serially
-    var buildsCompleted = buildConfigs.reduce(function (promise, build, index, configsArray) {
-        return promise.then(function () {
-            // support for "any cpu" specified with or without space
-            if (build.arch === 'any cpu') {
-                build.arch = 'anycpu';
-            }
+    var parallel = config.parallel || 1;
 
-            // Send build flags to MSBuild
-            var otherProperties = [].concat(config.buildFlags);
-
-            if (shouldBundle) {
-                // Only add the CordovaBundlePlatforms argument when on the last build step
-                var bundleArchs = (index === configsArray.length - 1) ? bundleTerms : build.arch;
-                otherProperties.push('/p:CordovaBundlePlatforms=' + bundleArchs);
-            } else {
-                // https://issues.apache.org/jira/browse/CB-12416
-                // MSBuild uses AppxBundle=Always by default which leads to a bundle created even if
-                // --bundle was not passed - override that:
-                otherProperties.push('/p:AppxBundle=Never');
-            }
+    steps.forEach(function (step, index) {
+        // Send build flags to MSBuild
+        var otherProperties = [].concat(config.buildFlags);
 
-            // https://issues.apache.org/jira/browse/CB-12298
-            if (config.targetProject === 'windows10' && config.buildType === 'release') {
-                otherProperties.push('/p:UapAppxPackageBuildMode=StoreUpload');
-            }
+        if (parallel > 1) {
+            // Concurrent builds can't share the intermediate directory defined in .jsproj
+            otherProperties.push('/p:IntermediateOutputPath=build\\bld\\' +
+                path.basename(step.target, '.jsproj') + '\\' + step.arch + '\\');
+        }
+
+        if (shouldBundle) {
+            // Only add the CordovaBundlePlatforms argument when on the last build step
+            var bundleArchs = (index === steps.length - 1) ? bundleTerms : step.arch;
+            otherProperties.push('/p:CordovaBundlePlatforms=' + bundleArchs);
+        } else {
+            // https://issues.apache.org/jira/browse/CB-12416
+            // MSBuild uses AppxBundle=Always by default which leads to a bundle created even if
+            // --bundle was not passed - override that:
+            otherProperties.push('/p:AppxBundle=Never');
+        }
+
+        // https://issues.apache.org/jira/browse/CB-12298
+        if (config.targetProject === 'windows10' && config.buildType === 'release') {
+            otherProperties.push('/p:UapAppxPackageBuildMode=StoreUpload');
+        }
+
+        step.project = path.join(ROOT, step.target);
+        step.buildType = config.buildType;
+        step.buildFlags = otherProperties;
+        // Used to prefix msbuild output when the builds are run concurrently
+        step.label = myBuildTargets.length > 1 ? path.basename(step.target, '.jsproj') + ' ' + step.arch : step.arch;
+    });
+
+    return {
+        dryRun: !!config.dryRun,
+        buildType: config.buildType,
+        profile: config.profile || null,
+        targetProject: config.targetProject,
+        targets: myBuildTargets,
+        parallel: parallel,
+        bundle: shouldBundle,
+        bundleTerms: bundleTerms,
+        hasAnyCpu: hasAnyCpu,
+        packageCertificateKeyFile: config.packageCertificateKeyFile || null,
+        packageThumbprint: config.packageThumbprint || null,
+        publisherId: config.publisherId || null,
+        steps: steps
+    };
+}
+module.exports.getBuildPlan = getBuildPlan;
+
+function buildTargets (config, myBuildTargets, msbuild, diagnostics) {
+
+    var plan = getBuildPlan(config, myBuildTargets);
+    var buildsCompleted;
+    diagnostics = diagnostics || [];
 
-            return msbuild.buildProject(path.join(ROOT, build.target), config.buildType, build.arch, otherProperties);
+    // Collects diagnostics reported by msbuild for the build step
+    function collectDiagnostics (step, buildResult) {
+        var addDiagnostics = function (stepDiagnostics) {
+            (stepDiagnostics || []).forEach(function (diagnostic) {
+                diagnostic.target = step.target;
+                diagnostic.arch = step.arch;
+                diagnostics.push(diagnostic);
+            });
+        };
+
+        return Q(buildResult).then(function (stepDiagnostics) {
+            addDiagnostics(stepDiagnostics);
+        }, function (error) {
+            addDiagnostics(error && error.diagnostics);
+            throw error;
         });
-    }, Q());
+    }
+
+    if (plan.parallel > 1) {
+        var buildStep = function (step) {
+            return collectDiagnostics(step, msbuild.buildProject(step.project, step.buildType, step.arch, step.buildFlags,
+                { outputPrefix: '[' + step.label + '] ' }));
+        };
+
+        // The bundle is created by the last build step, so it has to wait for all the others
+        var independentSteps = plan.bundle ? plan.steps.slice(0, -1) : plan.steps;
+        buildsCompleted = runConcurrently(independentSteps, plan.parallel, buildStep);
+        if (plan.bundle) {
+            buildsCompleted = buildsCompleted.then(function () {
+                return buildStep(plan.steps[plan.steps.length - 1]);
+            });
+        }
+    } else {
+        // run builds serially
+        buildsCompleted = plan.steps.reduce(function (promise, step) {
+            return promise.then(function () {
+                return collectDiagnostics(step, msbuild.buildProject(step.project, step.buildType, step.arch, step.buildFlags));
+            });
+        }, Q());
+    }
 
-    if (shouldBundle) {
+    if (plan.bundle) {
         return buildsCompleted.then(function () {
-            return clearIntermediatesAndGetPackage(bundleTerms, config, hasAnyCpu);
+            return clearIntermediatesAndGetPackage(plan.bundleTerms, config, plan.hasAnyCpu);
         });
     } else {
         return buildsCompleted.then(function () {
@@ -401,6 +894,48 @@ function buildTargets (config, myBuildTargets, msbuild) {
     }
 }
 
+/**
+ * Runs the task for each of items specified keeping not more than 'limit'
+ *   tasks running at the same time. No new tasks are started once one of them
+ *   has failed, but the ones already running are waited for, so diagnostics
+ *   of all builds are collected before the build fails.
+ *
+ * @param   {Object[]}  items  Items to run the task for
+ * @param   {Number}    limit  Max number of tasks running at the same time
+ * @param   {Function}  task   Function that accepts an item and returns a promise
+ *
+ * @return  {Promise}          Promise either fulfilled when all tasks are done,
+ *   or rejected with the first error occurred once all running tasks settle
+ */
+function runConcurrently (items, limit, task) {
+    var queue = items.slice();
+    var failed = false;
+
+    function runNext () {
+        if (failed || queue.length === 0) return Q();
+
+        return Q.fcall(task, queue.shift())
+            .then(runNext, function (error) {
+                failed = true;
+                throw error;
+            });
+    }
+
+    var workers = [];
+    var workersCount = Math.min(limit, queue.length);
+    for (var i = 0; i < workersCount; i++) {
+        workers.push(runNext());
+    }
+
+    return Q.allSettled(workers).then(function (results) {
+        results.forEach(function (result) {
+            if (result.state === 'rejected') {
+                throw result.reason;
+            }
+        });
+    });
+}
+
 function clearIntermediatesAndGetPackage (bundleTerms, config, hasAnyCpu) {
     // msbuild isn't capable of generating bundles unless you enable bundling for each individual arch
     // However, that generates intermediate bundles, like "CordovaApp.Windows10_0.0.1.0_x64.appxbundle"
@@ -442,6 +977,34 @@ function clearIntermediatesAndGetPackage (bundleTerms, config, hasAnyCpu) {
     return pckage.getPackageFileInfo(finalFile);
 }
 
+/**
+ * Bundles packages JavaScript packager has created for each of architectures
+ *   into .appxbundle. Packages are looked up by their names, so the ones
+ *   built earlier or copied from other machines could be bundled as well, as
+ *   long as their version matches the one in manifest.
+ *
+ * @param   {Object}  config  Build configuration, returned by parseAndValidateArgs
+ *
+ * @return  {Object}          Bundle info, returned by package.getPackageFileInfo
+ */
+function bundlePackages (config) {
+    // Required here, so msbuild builds don't load zip libraries
+    var appxBundler = require('./appxBundler');
+    var manifest = AppxManifest.get(path.join(ROOT, 'package.' + config.targetProject + '.appxmanifest'));
+    var version = manifest.getIdentity().getVersion();
+    var archs = config.buildArchs.map(function (arch) {
+        return arch === 'any cpu' ? 'anycpu' : arch;
+    });
+
+    var packagePaths = archs.map(function (arch) {
+        return pckage.getPackageFilePath(ROOT, config.targetProject, version, arch, config.buildType);
+    });
+    var bundlePath = pckage.getPackageFilePath(ROOT, config.targetProject, version, archs, config.buildType, 'appxbundle');
+
+    appxBundler.createBundle(packagePaths, bundlePath);
+    return pckage.getPackageFileInfo(bundlePath);
+}
+
 function cleanIntermediates () {
     var buildPath = path.join(ROOT, 'build');
     if (shell.test('-e', buildPath)) {
@@ -0,0 +1,190 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var path = require('path');
+
+var CERTIFICATE_EXTENSIONS = ['.pfx'];
+var ENV_PLACEHOLDER_REGEX = /\$\{env:[^}]*\}/;
+
+function isString (value) {
+    return typeof value === 'string';
+}
+
+function isStringOrStringArray (value) {
+    return isString(value) || (Array.isArray(value) && value.every(isString));
+}
+
+// Keys allowed in 'windows.debug', 'windows.release' and 'windows.profiles.<name>'
+// sections, mapped to functions which return an error message for invalid value
+var SECTION_SCHEMA = {
+    packageCertificateKeyFile: function (value) {
+        if (!isString(value)) return 'must be a string';
+        // Extension can't be checked until environment variables are expanded
+        if (ENV_PLACEHOLDER_REGEX.test(value)) return;
+        if (CERTIFICATE_EXTENSIONS.indexOf(path.extname(value).toLowerCase()) < 0) {
+            return 'must be a path to certificate file with one of the following extensions: ' + CERTIFICATE_EXTENSIONS.join(', ');
+        }
+    },
+    packageThumbprint: function (value) {
+        if (!isString(value)) return 'must be a string';
+    },
+    packageCertificatePasswordEnv: function (value) {
+        if (!isString(value) || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(value)) {
+            return 'must be a name of environment variable';
+        }
+    },
+    publisherId: function (value) {
+        if (!isString(value)) return 'must be a string';
+    },
+    buildFlag: function (value) {
+        if (!isStringOrStringArray(value)) return 'must be a string or an array of strings';
+    },
+    parallel: function (value) {
+        if (typeof value !== 'number' || value < 1 || Math.floor(value) !== value) {
+            return 'must be a positive integer';
+        }
+    },
+    WindowsStoreIdentityName: function (value) {
+        if (!isString(value)) return 'must be a string';
+    },
+    WindowsStorePublisherName: function (value) {
+        if (!isString(value)) return 'must be a string';
+    },
+    WindowsStoreDisplayName: function (value) {
+        if (!isString(value)) return 'must be a string';
+    }
+};
+
+var PROFILE_SCHEMA = Object.keys(SECTION_SCHEMA).reduce(function (result, key) {
+    result[key] = SECTION_SCHEMA[key];
+    return result;
+}, {
+    inherits: function (value) {
+        if (value !== 'debug' && value !== 'release') return 'must be either "debug" or "release"';
+    }
+});
+
+/**
+ * Calculates Levenshtein distance between two strings
+ */
+function getEditDistance (a, b) {
+    var previous = [];
+    var current;
+    for (var j = 0; j <= b.length; j++) previous[j] = j;
+
+    for (var i = 1; i <= a.length; i++) {
+        current = [i];
+        for (j = 1; j <= b.length; j++) {
+            var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Finds the known key which is most similar to the unknown one
+ *
+ * @param   {String}    key        Unknown key
+ * @param   {String[]}  knownKeys  List of allowed keys
+ *
+ * @return  {String}               Suggested key or undefined if there is no similar one
+ */
+function getSuggestion (key, knownKeys) {
+    var maxDistance = Math.max(2, Math.floor(key.length / 3));
+    var suggestion;
+    var bestDistance = Infinity;
+
+    knownKeys.forEach(function (knownKey) {
+        var distance = getEditDistance(key.toLowerCase(), knownKey.toLowerCase());
+        if (distance < bestDistance && distance <= maxDistance) {
+            bestDistance = distance;
+            suggestion = knownKey;
+        }
+    });
+
+    return suggestion;
+}
+
+function isObject (value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateObject (value, schema, jsonPath, errors) {
+    if (!isObject(value)) {
+        errors.push(jsonPath + ': must be an object');
+        return;
+    }
+
+    var knownKeys = Object.keys(schema);
+    Object.keys(value).forEach(function (key) {
+        var keyPath = jsonPath + '.' + key;
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+            var suggestion = getSuggestion(key, knownKeys);
+            errors.push(keyPath + ': unknown key' + (suggestion ? '. Did you mean "' + suggestion + '"?' : ''));
+            return;
+        }
+
+        var error = schema[key](value[key], keyPath, errors);
+        if (error) {
+            errors.push(keyPath + ': ' + error);
+        }
+    });
+}
+
+var WINDOWS_SCHEMA = {
+    debug: function (value, jsonPath, errors) {
+        validateObject(value, SECTION_SCHEMA, jsonPath, errors);
+    },
+    release: function (value, jsonPath, errors) {
+        validateObject(value, SECTION_SCHEMA, jsonPath, errors);
+    },
+    profiles: function (value, jsonPath, errors) {
+        if (!isObject(value)) return 'must be an object';
+
+        Object.keys(value).forEach(function (name) {
+            validateObject(value[name], PROFILE_SCHEMA, jsonPath + '.' + name, errors);
+        });
+    }
+};
+
+/**
+ * Validates 'windows' section of build config file (build.json). Sections for
+ *   other platforms are ignored.
+ *
+ * @param   {Object}    buildConfig  Parsed contents of build config file
+ *
+ * @return  {String[]}               List of errors, each one prefixed with JSON
+ *   path to invalid value, e.g. 'windows.release.packageThumbprint: must be a
+ *   string'. Empty if build config is valid.
+ */
+module.exports.validate = function (buildConfig) {
+    var errors = [];
+    if (!isObject(buildConfig)) {
+        return ['Build config must be an object'];
+    }
+
+    if (buildConfig.windows !== undefined) {
+        validateObject(buildConfig.windows, WINDOWS_SCHEMA, 'windows', errors);
+    }
+
+    return errors;
+};
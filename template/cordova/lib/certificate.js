@@ -0,0 +1,118 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var forge = require('node-forge');
+var CordovaError = require('cordova-common').CordovaError;
+
+// Attribute names used by Windows when formatting certificate subject,
+// which has to match Identity.Publisher in appxmanifest exactly
+var ATTRIBUTE_NAMES = {
+    '2.5.4.3': 'CN',
+    '2.5.4.4': 'SN',
+    '2.5.4.5': 'SERIALNUMBER',
+    '2.5.4.6': 'C',
+    '2.5.4.7': 'L',
+    '2.5.4.8': 'S',
+    '2.5.4.9': 'STREET',
+    '2.5.4.10': 'O',
+    '2.5.4.11': 'OU',
+    '2.5.4.12': 'T',
+    '2.5.4.42': 'G',
+    '2.5.4.43': 'I',
+    '1.2.840.113549.1.9.1': 'E',
+    '0.9.2342.19200300.100.1.25': 'DC'
+};
+
+function quoteValue (value) {
+    if (/^\s|\s$|[,+="<>#;\n\r]/.test(value)) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+
+    return value;
+}
+
+/**
+ * Formats distinguished name the same way as Windows does, e.g.
+ *   'CN=Contoso, O=Contoso Ltd, C=US'
+ *
+ * @param   {Object[]}  attributes  Subject or issuer attributes of
+ *   forge certificate
+ *
+ * @return  {String}                Formatted distinguished name
+ */
+function formatDistinguishedName (attributes) {
+    return attributes.map(function (attribute) {
+        var name = ATTRIBUTE_NAMES[attribute.type] || ('OID.' + attribute.type);
+        return name + '=' + quoteValue(String(attribute.value));
+    }).reverse().join(', ');
+}
+
+module.exports.formatDistinguishedName = formatDistinguishedName;
+
+function getThumbprint (cert) {
+    var der = forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes();
+    return forge.md.sha1.create().update(der).digest().toHex().toUpperCase();
+}
+
+/**
+ * Reads signing certificate from .pfx file. If file contains several
+ *   certificates, the one which matches the private key is returned.
+ *
+ * @param   {String}  pfxPath     Path to .pfx file
+ * @param   {String}  [password]  Password the file is protected with
+ *
+ * @return  {Object}              Certificate info: subject, issuer,
+ *   thumbprint, notBefore and notAfter
+ */
+module.exports.readPfx = function (pfxPath, password) {
+    if (!fs.existsSync(pfxPath)) {
+        throw new CordovaError('Certificate file does not exist: ' + pfxPath);
+    }
+
+    var p12;
+    try {
+        var der = fs.readFileSync(pfxPath).toString('binary');
+        p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(der), password || '');
+    } catch (e) {
+        throw new CordovaError('Failed to read certificate file ' + pfxPath + ': ' + e.message);
+    }
+
+    var certs = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+        .map(function (bag) { return bag.cert; })
+        .filter(Boolean);
+
+    if (certs.length === 0) {
+        throw new CordovaError('Certificate file ' + pfxPath + ' does not contain RSA certificates');
+    }
+
+    var keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [];
+    var key = keyBags.length > 0 && keyBags[0].key;
+    var cert = certs.filter(function (candidate) {
+        return key && candidate.publicKey.n && candidate.publicKey.n.equals(key.n);
+    })[0] || certs[0];
+
+    return {
+        subject: formatDistinguishedName(cert.subject.attributes),
+        issuer: formatDistinguishedName(cert.issuer.attributes),
+        thumbprint: getThumbprint(cert),
+        notBefore: cert.validity.notBefore,
+        notAfter: cert.validity.notAfter
+    };
+};
@@ -0,0 +1,215 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var Jimp = require('jimp');
+var shell = require('shelljs');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+// <icon> and <splash> elements with this target are used to generate all the images
+var MASTER_TARGET = 'master';
+
+// File in images directory, which keeps hashes of the inputs each image was generated from
+var MANIFEST_FILE = 'generated.json';
+
+// Sizes of images referenced by manifests at scale-100
+var IMAGE_SIZES = {
+    'Square30x30Logo': { width: 30, height: 30 },
+    'Square44x44Logo': { width: 44, height: 44 },
+    'Square70x70Logo': { width: 70, height: 70 },
+    'Square71x71Logo': { width: 71, height: 71 },
+    'Square150x150Logo': { width: 150, height: 150 },
+    'Square310x310Logo': { width: 310, height: 310 },
+    'Wide310x150Logo': { width: 310, height: 150 },
+    'StoreLogo': { width: 50, height: 50 },
+    'SplashScreen': { width: 620, height: 300 },
+    'SplashScreenPhone': { width: 480, height: 800 }
+};
+
+// Images and scales each project type uses. Keys are the same as in build's projFiles.
+var PROJECT_IMAGES = {
+    win10: {
+        scales: [100, 125, 150, 200, 400],
+        icons: ['Square44x44Logo', 'Square71x71Logo', 'Square150x150Logo', 'Square310x310Logo', 'Wide310x150Logo', 'StoreLogo'],
+        splash: 'SplashScreen'
+    },
+    win: {
+        scales: [100, 140, 180],
+        icons: ['Square30x30Logo', 'Square70x70Logo', 'Square150x150Logo', 'Square310x310Logo', 'Wide310x150Logo', 'StoreLogo'],
+        splash: 'SplashScreen'
+    },
+    phone: {
+        scales: [100, 140, 240],
+        icons: ['Square44x44Logo', 'Square71x71Logo', 'Square150x150Logo', 'Wide310x150Logo', 'StoreLogo'],
+        splash: 'SplashScreenPhone'
+    }
+};
+
+module.exports.MASTER_TARGET = MASTER_TARGET;
+module.exports.IMAGE_SIZES = IMAGE_SIZES;
+
+/**
+ * Converts color from config.xml (CSS color name, #rgb, #rrggbb or
+ *   0xAArrggbb, as accepted by AppxManifest) to color Jimp uses. Windows
+ *   doesn't support alpha in manifest colors, so it is ignored here as well.
+ *
+ * @param   {String}  [color]  Color to convert
+ *
+ * @return  {Number}           RGBA color, transparent if color is not specified
+ */
+function toJimpColor (color) {
+    if (!color) return 0x00000000;
+
+    var hex = color.replace(/^(0x|#)/i, '');
+    if (/^[0-9a-f]{8}$/i.test(hex)) {
+        hex = hex.slice(2);
+    }
+
+    return Jimp.cssColorToHex(/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex) ? '#' + hex : color);
+}
+
+/**
+ * Lists images to generate from master icon and splash screen for the
+ *   specified project types. Images shared by several projects are listed once.
+ *
+ * @param   {Object}    masters         Master images
+ * @param   {Object}    [masters.icon]  Icon resource ({ src, background })
+ * @param   {Object}    [masters.splash]  Splash screen resource ({ src, background })
+ * @param   {String[]}  projects        Project types: 'win10', 'win' or 'phone'
+ *
+ * @return  {Object[]}  Array of { src, name, width, height, background } where
+ *   name is the MRT file name, e.g. 'Square44x44Logo.scale-200.png'
+ */
+module.exports.getImages = function (masters, projects) {
+    var images = {};
+
+    projects.forEach(function (project) {
+        var projectImages = PROJECT_IMAGES[project];
+        var targets = [];
+
+        if (masters.icon) {
+            targets = projectImages.icons.map(function (name) { return { name: name, master: masters.icon }; });
+        }
+
+        if (masters.splash) {
+            targets.push({ name: projectImages.splash, master: masters.splash });
+        }
+
+        targets.forEach(function (target) {
+            projectImages.scales.forEach(function (scale) {
+                var name = target.name + '.scale-' + scale + '.png';
+                images[name.toLowerCase()] = images[name.toLowerCase()] || {
+                    src: target.master.src,
+                    name: name,
+                    width: Math.round(IMAGE_SIZES[target.name].width * scale / 100),
+                    height: Math.round(IMAGE_SIZES[target.name].height * scale / 100),
+                    background: target.master.background
+                };
+            });
+        });
+    });
+
+    return Object.keys(images).map(function (key) { return images[key]; });
+};
+
+/**
+ * Reads hashes of the inputs images in the directory were generated from
+ *
+ * @param   {String}  manifestPath  Path to the manifest file
+ *
+ * @return  {Object}                Map of image names to hashes, empty if
+ *   there is no manifest or it can't be parsed
+ */
+function readManifest (manifestPath) {
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Generates images listed by getImages: master image is resized to fit the
+ *   target size and padded with the background color if aspect ratios differ.
+ *   Hashes of the master content, size and background of each image are kept
+ *   in the manifest file, so images are generated again only when any of
+ *   these change. Images without a manifest entry, e.g. the ones coming from
+ *   the project template, are always replaced.
+ *
+ * @param   {Object[]}  images     Images to generate
+ * @param   {String}    imagesDir  Directory to write images to
+ *
+ * @return  {Promise<String[]>}   Promise, resolved with paths of images written
+ */
+module.exports.generate = function (images, imagesDir) {
+    var masters = {};
+    var masterHashes = {};
+    var written = [];
+    var manifestPath = path.join(imagesDir, MANIFEST_FILE);
+    var manifest = readManifest(manifestPath);
+
+    shell.mkdir('-p', imagesDir);
+
+    // Images are processed one by one, as decoded images take a lot of memory
+    return images.reduce(function (previous, image) {
+        return previous.then(function () {
+            var target = path.join(imagesDir, image.name);
+            if (!fs.existsSync(image.src)) {
+                throw new CordovaError('Master image ' + image.src + ' does not exist');
+            }
+
+            masterHashes[image.src] = masterHashes[image.src] ||
+                crypto.createHash('sha256').update(fs.readFileSync(image.src)).digest('hex');
+            var hash = crypto.createHash('sha256')
+                .update([masterHashes[image.src], image.width + 'x' + image.height, image.background || ''].join('\0'))
+                .digest('hex');
+
+            if (fs.existsSync(target) && manifest[image.name] === hash) {
+                events.emit('verbose', 'Image ' + target + ' is up to date, skipping');
+                return;
+            }
+
+            masters[image.src] = masters[image.src] || Q(Jimp.read(image.src)).catch(function (error) {
+                throw new CordovaError('Failed to read master image ' + image.src + ': ' + error.message);
+            });
+
+            return masters[image.src].then(function (master) {
+                return master.clone()
+                    .background(toJimpColor(image.background))
+                    .contain(image.width, image.height)
+                    .writeAsync(target);
+            }).then(function () {
+                events.emit('verbose', 'Generated ' + image.width + 'x' + image.height + ' image ' + target + ' from ' + image.src);
+                manifest[image.name] = hash;
+                written.push(target);
+            });
+        });
+    }, Q()).finally(function () {
+        // Saved even if generation fails, so the images already written are not generated again
+        if (written.length > 0) {
+            fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 4));
+        }
+    }).then(function () {
+        return written;
+    });
+};
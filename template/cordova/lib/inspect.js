@@ -0,0 +1,180 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var et = require('elementtree');
+var AdmZip = require('adm-zip');
+var CordovaError = require('cordova-common').CordovaError;
+
+var PACKAGE_MANIFEST = 'AppxManifest.xml';
+var BUNDLE_MANIFEST = 'AppxMetadata/AppxBundleManifest.xml';
+
+function parseXml (buffer) {
+    return et.parse(buffer.toString('utf-8').replace(/^\ufeff/, ''));
+}
+
+function localName (tag) {
+    return tag.split(':').pop();
+}
+
+function getText (root, selector) {
+    var element = root.find(selector);
+    return element ? element.text : null;
+}
+
+function getIdentity (root) {
+    var identity = root.find('./Identity');
+    if (!identity) return null;
+
+    return {
+        name: identity.attrib.Name || null,
+        publisher: identity.attrib.Publisher || null,
+        version: identity.attrib.Version || null,
+        architecture: identity.attrib.ProcessorArchitecture || 'neutral',
+        resourceId: identity.attrib.ResourceId || null
+    };
+}
+
+function getCapabilities (root) {
+    var capabilities = root.find('./Capabilities');
+    if (!capabilities) return [];
+
+    return capabilities.getchildren().map(function (capability) {
+        return capability.attrib.Name;
+    }).filter(Boolean);
+}
+
+function getDependencies (root) {
+    var dependencies = root.find('./Dependencies');
+    if (!dependencies) return [];
+
+    return dependencies.getchildren().map(function (dependency) {
+        return {
+            type: localName(dependency.tag),
+            name: dependency.attrib.Name || null,
+            publisher: dependency.attrib.Publisher || null,
+            minVersion: dependency.attrib.MinVersion || null,
+            maxVersionTested: dependency.attrib.MaxVersionTested || null
+        };
+    });
+}
+
+function getFiles (zip) {
+    return zip.getEntries().filter(function (entry) {
+        return !entry.isDirectory;
+    }).map(function (entry) {
+        var entryPath = entry.entryName;
+        try {
+            // File names in appx packages are percent-encoded
+            entryPath = decodeURIComponent(entryPath);
+        } catch (e) { /* keep the name as is */ }
+
+        return {
+            path: entryPath,
+            size: entry.header.size,
+            compressedSize: entry.header.compressedSize
+        };
+    });
+}
+
+function readEntry (zip, name, packageName) {
+    var entry = zip.getEntry(name);
+    if (!entry) {
+        throw new CordovaError(packageName + ' is not a valid package: ' + name + ' is missing');
+    }
+
+    return zip.readFile(entry);
+}
+
+function inspectPackage (zip, packageName) {
+    var root = parseXml(readEntry(zip, PACKAGE_MANIFEST, packageName)).getroot();
+
+    return {
+        type: 'package',
+        identity: getIdentity(root),
+        displayName: getText(root, './Properties/DisplayName'),
+        publisherDisplayName: getText(root, './Properties/PublisherDisplayName'),
+        capabilities: getCapabilities(root),
+        dependencies: getDependencies(root),
+        files: getFiles(zip)
+    };
+}
+
+function inspectBundle (zip, packageName) {
+    var root = parseXml(readEntry(zip, BUNDLE_MANIFEST, packageName)).getroot();
+
+    var packages = root.findall('./Packages/Package').map(function (pkg) {
+        var fileName = pkg.attrib.FileName;
+        var nested = zip.getEntry(fileName) ?
+            inspectPackage(new AdmZip(zip.readFile(fileName)), fileName) :
+            null;
+
+        return {
+            fileName: fileName,
+            type: pkg.attrib.Type || 'application',
+            architecture: pkg.attrib.Architecture || 'neutral',
+            version: pkg.attrib.Version || null,
+            resourceId: pkg.attrib.ResourceId || null,
+            size: pkg.attrib.Size ? parseInt(pkg.attrib.Size, 10) : null,
+            languages: pkg.findall('./Resources/Resource').map(function (resource) {
+                return resource.attrib.Language;
+            }).filter(Boolean),
+            package: nested
+        };
+    });
+
+    return {
+        type: 'bundle',
+        identity: getIdentity(root),
+        packages: packages,
+        files: getFiles(zip)
+    };
+}
+
+/**
+ * Reads manifest and contents of built .appx or .appxbundle package. Doesn't
+ *   require any Windows tools, so could be used on any host.
+ *
+ * @param   {String}  packagePath  Path to .appx or .appxbundle file
+ *
+ * @return  {Object}               Package info: type ('package' or 'bundle'),
+ *   identity, capabilities, dependencies and files for packages, or identity,
+ *   nested packages and files for bundles
+ */
+module.exports.inspect = function (packagePath) {
+    if (!fs.existsSync(packagePath)) {
+        throw new CordovaError('Package does not exist: ' + packagePath);
+    }
+
+    var zip;
+    try {
+        zip = new AdmZip(packagePath);
+    } catch (e) {
+        throw new CordovaError('Failed to open package ' + packagePath + ': ' + e.message);
+    }
+
+    var packageName = path.basename(packagePath);
+    var result = zip.getEntry(BUNDLE_MANIFEST) ?
+        inspectBundle(zip, packageName) :
+        inspectPackage(zip, packageName);
+
+    result.path = packagePath;
+    return result;
+};
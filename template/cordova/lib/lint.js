@@ -0,0 +1,274 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var nopt = require('nopt');
+var shell = require('shelljs');
+var sizeOf = require('image-size');
+var projects = require('./projects');
+var utils = require('./utils');
+var prepare = require('./prepare');
+var AppxManifest = require('./AppxManifest');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+var MANIFESTS = {
+    'CordovaApp.Phone.jsproj': 'package.phone.appxmanifest',
+    'CordovaApp.Windows.jsproj': 'package.windows.appxmanifest',
+    'CordovaApp.Windows10.jsproj': 'package.windows10.appxmanifest'
+};
+
+// Windows 10 manifest images bigger than that fail certification
+var IMAGE_FILE_SIZE_LIMIT = 200 * 1024; // 200 KBytes
+
+// Calls rejected by certification kit as potentially unsafe
+var BANNED_APIS = [
+    { name: 'eval', pattern: /\beval\s*\(/ },
+    { name: 'document.write', pattern: /\bdocument\.write(ln)?\s*\(/ },
+    { name: 'Function constructor', pattern: /\bnew\s+Function\s*\(/ },
+    { name: 'execScript', pattern: /\bexecScript\s*\(/ }
+];
+
+// Third-party files which are known to pass certification
+var BANNED_API_EXCLUDES = /(^|\/)(cordova\.js|cordova_plugins\.js|WinJS\/.*)$/i;
+
+// [field, value getter, min length, max length] as per appxmanifest schema
+var LENGTH_LIMITS = [
+    ['Identity.Name', function (manifest) { return manifest.getIdentity().getName(); }, 3, 50],
+    ['Properties.DisplayName', function (manifest) { return manifest.getProperties().getDisplayName(); }, 1, 256],
+    ['Properties.PublisherDisplayName', function (manifest) { return manifest.getProperties().getPublisherDisplayName(); }, 1, 256],
+    ['Properties.Description', function (manifest) { return manifest.getProperties().getDescription(); }, 0, 2048],
+    ['VisualElements.DisplayName', function (manifest) { return manifest.getVisualElements().getDisplayName(); }, 1, 256],
+    ['VisualElements.Description', function (manifest) { return manifest.getVisualElements().getDescription(); }, 0, 2048],
+    ['Application.Id', function (manifest) { return manifest.getApplication().getId(); }, 1, 64]
+];
+
+var ROOT = path.resolve(__dirname, '../..');
+
+/**
+ * Checks prepared project for the most common reasons of Windows App
+ *   Certification Kit failures. Doesn't require Windows SDK, so it could be
+ *   used before the project is built. See 'lint' script for args list.
+ *
+ * @param   {Object}  lintOptions  An options object
+ *
+ * @return  {Promise<Object>}      Promise, resolved with lint report
+ */
+module.exports.run = function (lintOptions) {
+    ROOT = this.root || ROOT;
+
+    if (!utils.isCordovaProject(this.root)) {
+        return Q.reject(new CordovaError('Could not find project at ' + this.root));
+    }
+
+    return Q.fcall(function () {
+        lintOptions = lintOptions || {};
+        var args = nopt({
+            'appx': String,
+            'phone': Boolean,
+            'win': Boolean
+        }, {}, lintOptions.argv || [], 0);
+
+        var manifests = projects.getBuildTargets(ROOT, args.win, args.phone, args.appx)
+            .map(function (target) { return MANIFESTS[target]; });
+
+        var issues = [];
+        var report = function (rule, severity, message, file, line) {
+            var issue = { rule: rule, severity: severity, message: message, file: file };
+            if (line) issue.line = line;
+            issues.push(issue);
+        };
+
+        checkBOM(report);
+        checkBannedApis(report);
+        checkImageDimensions(report);
+        manifests.forEach(function (manifestFile) {
+            var manifest = AppxManifest.get(path.join(ROOT, manifestFile), /* ignoreCache= */true);
+            checkStartPage(manifest, manifestFile, report);
+            checkManifestImages(manifest, manifestFile, report);
+            checkCapabilities(manifest, manifestFile, report);
+            checkLengthLimits(manifest, manifestFile, report);
+        });
+
+        var count = function (severity) {
+            return issues.filter(function (issue) { return issue.severity === severity; }).length;
+        };
+
+        var result = {
+            project: ROOT,
+            errorCount: count('error'),
+            warningCount: count('warning'),
+            infoCount: count('info'),
+            issues: issues
+        };
+
+        events.emit('verbose', 'Lint found ' + result.errorCount + ' error(s), ' +
+            result.warningCount + ' warning(s) in ' + manifests.join(', '));
+
+        return result;
+    });
+};
+
+function getWwwFiles (pattern) {
+    var www = path.join(ROOT, 'www');
+    if (!fs.existsSync(www)) return [];
+
+    return shell.ls('-RA', www).filter(function (file) {
+        return pattern.test(file) && fs.statSync(path.join(www, file)).isFile();
+    }).map(function (file) {
+        return 'www/' + file.replace(/\\/g, '/');
+    });
+}
+
+// Certification requires UTF-8 BOM in all text files, see prepare.addBOMSignature
+function checkBOM (report) {
+    getWwwFiles(/\.(js|htm|html|css|json)$/i).forEach(function (file) {
+        var content = fs.readFileSync(path.join(ROOT, file));
+        if (content[0] !== 0xEF || content[1] !== 0xBB || content[2] !== 0xBF) {
+            report('bom', 'error', 'File is not UTF-8 encoded with BOM. Run prepare to add it.', file);
+        }
+    });
+}
+
+function checkBannedApis (report) {
+    getWwwFiles(/\.js$/i).filter(function (file) {
+        return !BANNED_API_EXCLUDES.test(file);
+    }).forEach(function (file) {
+        fs.readFileSync(path.join(ROOT, file), 'utf-8').split(/\r?\n/).forEach(function (line, index) {
+            if (/^\s*(\/\/|\*)/.test(line)) return;
+
+            BANNED_APIS.forEach(function (api) {
+                if (api.pattern.test(line)) {
+                    report('banned-api', 'warning', api.name + ' is not allowed to run in local context ' +
+                        'and fails certification security checks.', file, index + 1);
+                }
+            });
+        });
+    });
+}
+
+// Images named after platform defaults must have the size platform expects them to be
+function checkImageDimensions (report) {
+    var imagesDir = path.join(ROOT, 'images');
+    if (!fs.existsSync(imagesDir)) return;
+
+    fs.readdirSync(imagesDir).forEach(function (file) {
+        var name = path.basename(file, path.extname(file)).toLowerCase();
+        var expected = prepare.PLATFORM_IMAGES.filter(function (image) {
+            return image.dest.toLowerCase() === name;
+        })[0];
+        if (!expected) return;
+
+        var actual;
+        try {
+            actual = sizeOf(path.join(imagesDir, file));
+        } catch (e) {
+            report('image-size', 'error', 'Failed to read image: ' + e.message, 'images/' + file);
+            return;
+        }
+
+        if (actual.width !== expected.width || actual.height !== expected.height) {
+            report('image-size', 'error', 'Image is ' + actual.width + 'x' + actual.height +
+                ', but ' + expected.width + 'x' + expected.height + ' is expected.', 'images/' + file);
+        }
+    });
+}
+
+/**
+ * Translates start page URI to the path of file in project. ms-appx and
+ *   ms-appx-web URIs could contain package identity name as authority.
+ *
+ * @return  {String|null}  Path relative to project root or null if start page
+ *   is not a local file
+ */
+function getStartPageFile (startPage) {
+    if (/^https?:/i.test(startPage)) return null;
+
+    var file = startPage.replace(/[?#].*$/, '');
+    var match = /^ms-appx(-web)?:\/\/[^/]*\/(.*)$/i.exec(file);
+    if (match) file = match[2];
+
+    return decodeURIComponent(file).replace(/\\/g, '/');
+}
+
+function checkStartPage (manifest, manifestFile, report) {
+    var startPage = manifest.getApplication().getStartPage();
+    var file = startPage && getStartPageFile(startPage);
+
+    if (startPage && !file) {
+        report('start-page', 'info', 'Start page ' + startPage + ' is remote and is not checked.', manifestFile);
+    } else if (!file || !fs.existsSync(path.join(ROOT, file))) {
+        report('start-page', 'error', 'Start page ' + (startPage || '') + ' doesn\'t exist in the project.', manifestFile);
+    }
+}
+
+function checkManifestImages (manifest, manifestFile, report) {
+    var isWin10 = manifest.prefix === 'uap:';
+
+    manifest.getImages().forEach(function (image) {
+        var variants = prepare.findImageAssets(ROOT, image.src).map(function (file) {
+            return path.relative(ROOT, file).replace(/\\/g, '/');
+        });
+        if (variants.length === 0) {
+            report('image-missing', 'error', image.slot + ' image ' + image.src + ' is missing.', manifestFile);
+            return;
+        }
+
+        if (!isWin10) return;
+
+        variants.forEach(function (file) {
+            var size = fs.statSync(path.join(ROOT, file)).size;
+            if (size > IMAGE_FILE_SIZE_LIMIT) {
+                report('image-file-size', 'error', image.slot + ' image file size (' + size + ' bytes) exceeds the limit of ' +
+                    IMAGE_FILE_SIZE_LIMIT + ' bytes.', file);
+            }
+        });
+    });
+}
+
+function checkCapabilities (manifest, manifestFile, report) {
+    var restricted = manifest.getRestrictedCapabilities && manifest.getRestrictedCapabilities();
+    if (!restricted) return;
+
+    var app = manifest.getApplication();
+    var remoteUris = [app.getStartPage()].concat(app.getAccessRules()).filter(function (uri) {
+        return /^https?:\/\//i.test(uri);
+    });
+
+    if (remoteUris.length > 0) {
+        report('capability-uri', 'error', 'Restricted capabilities ' + restricted.map(function (capability) {
+            return capability.name;
+        }).join(', ') + ' can\'t be used with access to remote URIs: ' + remoteUris.join(', ') + '.', manifestFile);
+    }
+}
+
+function checkLengthLimits (manifest, manifestFile, report) {
+    LENGTH_LIMITS.forEach(function (limit) {
+        var value = limit[1](manifest) || '';
+        // Localized values are resolved and checked by makepri
+        if (/^ms-resource:/i.test(value)) return;
+
+        if (value.length < limit[2] || value.length > limit[3]) {
+            report('manifest-length', 'error', limit[0] + ' must be from ' + limit[2] + ' to ' + limit[3] +
+                ' characters long, but it is ' + value.length + '.', manifestFile);
+        }
+    });
+}
@@ -99,6 +99,26 @@ module.exports.getPackageFileInfo = function (packageFile) {
     return null;
 };
 
+// Names of projects and architectures used by msbuild in package file names
+var PROJECT_NAMES = { phone: 'Phone', windows: 'Windows', windows10: 'Windows10' };
+var ARCH_NAMES = { anycpu: 'AnyCPU', x86: 'x86', x64: 'x64', arm: 'ARM' };
+
+// returns path to package file named the same way msbuild does it, so it is understood by getPackageFileInfo, e.g.
+// <platformPath>/AppPackages/CordovaApp.Windows10_1.0.0.0_x86_debug_Test/CordovaApp.Windows10_1.0.0.0_x86_debug.appx
+module.exports.getPackageFilePath = function (platformPath, projectType, version, archs, buildtype, extension) {
+    var archNames = [].concat(archs).map(function (arch) {
+        arch = arch.toLowerCase().replace(/\s/g, '');
+        if (!ARCH_NAMES[arch]) {
+            throw new CordovaError('Unsupported architecture: ' + arch);
+        }
+        return ARCH_NAMES[arch];
+    });
+
+    var name = 'CordovaApp.' + PROJECT_NAMES[projectType] + '_' + version + '_' + archNames.join('_') +
+        (buildtype === 'debug' ? '_debug' : '');
+    return path.join(platformPath, 'AppPackages', name + '_Test', name + '.' + (extension || 'appx'));
+};
+
 // return package app ID fetched from appxmanifest
 // return rejected promise if appxmanifest not valid
 module.exports.getAppId = function (platformPath) {
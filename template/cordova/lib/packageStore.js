@@ -0,0 +1,305 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var nopt = require('nopt');
+var crypto = require('crypto');
+var shell = require('shelljs');
+var AdmZip = require('adm-zip');
+var build = require('./build');
+var utils = require('./utils');
+var pckage = require('./package');
+var inspect = require('./inspect').inspect;
+var ConfigParser = require('./ConfigParser');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+// config.xml preferences (which could be overridden by build config file) and
+// the manifest values prepare sets them to
+var STORE_PREFERENCES = [
+    { name: 'WindowsStoreIdentityName', field: 'Identity.Name', get: function (pkg) { return pkg.identity.name; } },
+    { name: 'WindowsStorePublisherName', field: 'PublisherDisplayName', get: function (pkg) { return pkg.publisherDisplayName; } }
+];
+
+var ROOT = path.resolve(__dirname, '../..');
+
+// collects release package or bundle along with its symbols into .appxupload file for
+// Store submission and writes JSON summary of the upload. See 'package-store' script for args list
+module.exports.run = function (storeOptions) {
+    ROOT = this.root || ROOT;
+
+    if (!utils.isCordovaProject(this.root)) {
+        return Q.reject(new CordovaError('Could not find project at ' + this.root));
+    }
+
+    return Q.fcall(function () {
+        var config = parseAndValidateArgs(storeOptions);
+        var packagePath = config.package || findPackage(config);
+        var info = inspect(packagePath);
+
+        checkStoreIdentity(info, config);
+
+        var symbols = findSymbols(packagePath, info);
+        var output = config.output || path.join(ROOT, 'AppPackages',
+            path.basename(packagePath, path.extname(packagePath)) + (info.type === 'bundle' ? '_bundle' : '') + '.appxupload');
+        writeUpload(output, [packagePath].concat(symbols));
+        events.emit('log', 'Created Store upload: ' + output);
+
+        var summary = createSummary(output, packagePath, info, symbols);
+        var summaryPath = config.summaryJson || output.replace(/\.appxupload$/i, '') + '.summary.json';
+        fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2), 'utf-8');
+        events.emit('verbose', 'Wrote Store upload summary to ' + summaryPath);
+
+        summary.summaryJson = summaryPath;
+        return summary;
+    });
+};
+
+/**
+ * Parses and validates storeOptions object and platform-specific CLI
+ *   arguments, provided via argv field
+ *
+ * @param   {Object}  options  An options object
+ *
+ * @return  {Object}           Store packaging configuration
+ */
+function parseAndValidateArgs (options) {
+    options = options || {};
+    var args = nopt({
+        'archs': [String],
+        'appx': String,
+        'phone': Boolean,
+        'win': Boolean,
+        'package': String,
+        'output': String,
+        'summary-json': String,
+        'buildConfig': String,
+        'profile': String
+    }, {}, options.argv || [], 0);
+
+    if (options.debug) {
+        throw new CordovaError('Store accepts only packages built in release mode.');
+    }
+
+    var config = { buildType: 'release', manifestPreferences: {} };
+
+    var buildConfigPath = options.buildConfig || args.buildConfig;
+    if (buildConfigPath) {
+        var buildConfig = build.parseBuildConfig(buildConfigPath, config.buildType, args.profile);
+        config.manifestPreferences = buildConfig.manifestPreferences || {};
+    }
+
+    var packagePath = options.package || args.package;
+    if (packagePath) {
+        config.package = path.resolve(process.cwd(), packagePath);
+        if (!fs.existsSync(config.package)) {
+            throw new CordovaError('Package does not exist: ' + config.package);
+        }
+    } else {
+        build.getBuildTargets(args.win, args.phone, args.appx, config);
+        var archs = options.archs || args.archs;
+        if (typeof archs === 'string') { archs = archs.split(' '); }
+        config.buildArchs = (archs || []).map(function (arch) { return arch.toLowerCase(); });
+    }
+
+    if (args.output) {
+        config.output = path.resolve(process.cwd(), args.output);
+    }
+
+    if (args['summary-json']) {
+        config.summaryJson = path.resolve(process.cwd(), args['summary-json']);
+    }
+
+    return config;
+}
+
+/**
+ * Looks up release package for Store submission in AppPackages folder.
+ *   Bundles are preferred over packages, as Store expects them.
+ *
+ * @param   {Object}  config  Store packaging configuration
+ *
+ * @return  {String}          Path to the package
+ */
+function findPackage (config) {
+    var appPackages = path.join(ROOT, 'AppPackages');
+    var candidates = shell.find(appPackages).filter(function (file) {
+        var info = /\.appx(bundle)?$/i.test(file) && pckage.getPackageFileInfo(file);
+        return info && info.type === config.targetProject && info.buildtype === config.buildType &&
+            config.buildArchs.every(function (arch) { return info.archs.indexOf(arch) >= 0; });
+    });
+
+    var bundles = candidates.filter(function (file) { return /\.appxbundle$/i.test(file); });
+    if (bundles.length > 0) candidates = bundles;
+
+    if (candidates.length === 0) {
+        throw new CordovaError('Could not find release package for Store submission in ' + appPackages +
+            '. Build the project with --release first or use --package to specify one.');
+    }
+
+    if (candidates.length > 1) {
+        throw new CordovaError('Found several release packages for Store submission: ' +
+            candidates.map(function (file) { return path.basename(file); }).join(', ') +
+            '. Use --archs or --package to choose one.');
+    }
+
+    return candidates[0];
+}
+
+/**
+ * Resolves ms-resource: reference, which msbuild leaves in package manifest
+ *   for localized values, to the string of the default language prepare
+ *   writes to strings/<language>/resources.resjson
+ *
+ * @param   {String}        value     Manifest value
+ * @param   {String}        language  Default language of the project
+ *
+ * @return  {String|null}             Resolved value, value itself if it is
+ *   not a reference or null if the string is not found
+ */
+function resolveResourceString (value, language) {
+    var match = /^\s*ms-resource:(?:\/{0,2}resources\/)?(.+?)\s*$/i.exec(value || '');
+    if (!match) return value;
+
+    var stringsFile = path.join(ROOT, 'strings', language, 'resources.resjson');
+    if (!fs.existsSync(stringsFile)) return null;
+
+    var strings = JSON.parse(fs.readFileSync(stringsFile, 'utf-8').replace(/^\ufeff/, ''));
+    return typeof strings[match[1]] === 'string' ? strings[match[1]] : null;
+}
+
+/**
+ * Checks that package identity matches the values configured for Store
+ *   submission. Packages with identity different from the one reserved in
+ *   Store are rejected on upload.
+ *
+ * @param   {Object}  info    Package info, returned by inspect
+ * @param   {Object}  config  Store packaging configuration
+ */
+function checkStoreIdentity (info, config) {
+    var configXml = new ConfigParser(path.join(ROOT, 'config.xml'));
+    var defaultLanguage = configXml.defaultLocale() || 'en-US';
+    // Bundles don't have display names, so they are read from application packages
+    var packages = info.type === 'bundle' ?
+        info.packages.map(function (pkg) { return pkg.package; }).filter(Boolean) :
+        [info];
+
+    var errors = [];
+    STORE_PREFERENCES.forEach(function (preference) {
+        var expected = config.manifestPreferences[preference.name] || configXml.getPreference(preference.name);
+        if (!expected) {
+            events.emit('verbose', preference.name + ' is not set, skipping ' + preference.field + ' check.');
+            return;
+        }
+
+        packages.forEach(function (pkg) {
+            var value = preference.get(pkg);
+            var actual = resolveResourceString(value, defaultLanguage);
+            if (actual === null && value) {
+                events.emit('verbose', preference.field + ' ' + value + ' is not found in strings of ' +
+                    defaultLanguage + ', skipping ' + preference.field + ' check.');
+                return;
+            }
+
+            if (actual !== expected) {
+                errors.push(preference.field + ' is "' + actual + '", but ' + preference.name + ' is "' + expected + '"');
+            }
+        });
+    });
+
+    if (errors.length > 0) {
+        throw new CordovaError('Package ' + info.path + ' doesn\'t match Store values:\n  ' + errors.join('\n  ') +
+            '\nRun prepare and build the project again.');
+    }
+}
+
+/**
+ * Finds .appxsym files with symbols for the package or for each of packages
+ *   in the bundle. msbuild writes them next to the packages they belong to.
+ */
+function findSymbols (packagePath, info) {
+    var names = (info.type === 'bundle' ?
+        info.packages.map(function (pkg) { return pkg.fileName; }) :
+        [path.basename(packagePath)]
+    ).map(function (fileName) {
+        return fileName.replace(/\.appx$/i, '.appxsym').toLowerCase();
+    });
+
+    var searchPaths = [path.dirname(packagePath)];
+    var appPackages = path.join(ROOT, 'AppPackages');
+    if (fs.existsSync(appPackages)) {
+        searchPaths.push(appPackages);
+    }
+
+    var found = {};
+    shell.find(searchPaths).forEach(function (file) {
+        var name = path.basename(file).toLowerCase();
+        if (names.indexOf(name) >= 0 && !found[name]) {
+            found[name] = file;
+        }
+    });
+
+    names.filter(function (name) { return !found[name]; }).forEach(function (name) {
+        events.emit('warn', 'Symbols file ' + name + ' is not found, crash reports in Store will not be symbolicated.');
+    });
+
+    return Object.keys(found).map(function (name) { return found[name]; });
+}
+
+function writeUpload (outputPath, files) {
+    var zip = new AdmZip();
+    files.forEach(function (file) {
+        zip.addFile(path.basename(file), fs.readFileSync(file));
+    });
+
+    shell.mkdir('-p', path.dirname(outputPath));
+    zip.writeZip(outputPath);
+}
+
+function describeFile (file) {
+    return {
+        file: path.basename(file),
+        size: fs.statSync(file).size,
+        sha256: crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex')
+    };
+}
+
+function createSummary (uploadPath, packagePath, info, symbols) {
+    var pkg = describeFile(packagePath);
+    pkg.type = info.type;
+    pkg.identity = info.identity;
+    if (info.type === 'bundle') {
+        pkg.packages = info.packages.map(function (nested) {
+            return {
+                file: nested.fileName,
+                type: nested.type,
+                architecture: nested.architecture,
+                version: nested.version
+            };
+        });
+    }
+
+    return {
+        upload: uploadPath,
+        package: pkg,
+        symbols: symbols.map(describeFile)
+    };
+}
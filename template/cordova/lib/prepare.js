@@ -21,13 +21,16 @@ var Q = require('q');
 var fs = require('fs');
 var path = require('path');
 var shell = require('shelljs');
+var sizeOf = require('image-size');
 var et = require('elementtree');
 var Version = require('./Version');
 var MRTImage = require('./MRTImage');
 var AppxManifest = require('./AppxManifest');
 var MSBuildTools = require('./MSBuildTools');
 var ConfigParser = require('./ConfigParser');
+var imageGenerator = require('./imageGenerator');
 var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
 var xmlHelpers = require('cordova-common').xmlHelpers;
 var FileUpdater = require('cordova-common').FileUpdater;
 var PlatformJson = require('cordova-common').PlatformJson;
@@ -56,6 +59,16 @@ var TARGET_PROJECT_10 = 'TARGET_PROJECT_10';
 var SPLASH_SCREEN_DESKTOP_TARGET_NAME = 'SplashScreen';
 var SPLASH_SCREEN_PHONE_TARGET_NAME = 'SplashScreenPhone';
 
+// Manifests of the project types images are generated for, see getImageProjects
+var IMAGE_PROJECT_MANIFESTS = {
+    win10: MANIFEST_WINDOWS10,
+    win: MANIFEST_WINDOWS,
+    phone: MANIFEST_PHONE
+};
+
+// URI schemes apps can't be activated for
+var RESERVED_PROTOCOLS = ['file', 'http', 'https', 'ms-appx', 'ms-appx-web', 'ms-appdata'];
+
 /** Note: this is only for backward compatibility, since it is being called directly from windows_parser */
 module.exports.applyPlatformConfig = function () {
     var projectRoot = path.join(__dirname, '../..');
@@ -108,6 +121,14 @@ module.exports.updateBuildConfig = function (buildConfig) {
         propertyGroup.append(thumbprintElement);
     }
 
+    // packageCertificatePasswordEnv - MSBuild exposes environment variables as properties,
+    // so reference the variable here instead of writing the password to disk
+    if (config.packageCertificatePasswordEnv) {
+        var passwordElement = new et.Element('PackageCertificatePassword');
+        passwordElement.text = '$(' + config.packageCertificatePasswordEnv + ')';
+        propertyGroup.append(passwordElement);
+    }
+
     // DefaultLanguage - defaults to 'en-US'
     var defaultLocale = config.defaultLocale() || 'en-US';
     var defaultLocaleElement = new et.Element('DefaultLanguage');
@@ -119,6 +140,26 @@ module.exports.updateBuildConfig = function (buildConfig) {
         path.join(projectRoot, 'CordovaAppDebug.projitems');
 
     fs.writeFileSync(buildConfigFileName, TEMPLATE + buildConfigXML.write({ indent: 2, xml_declaration: false }), 'utf-8');
+
+    // Build profiles can override manifest values which are set by prepare from config.xml preferences
+    var manifestPreferences = buildConfig.manifestPreferences;
+    if (manifestPreferences && Object.keys(manifestPreferences).length > 0) {
+        var getPreference = config.getPreference;
+        config.getPreference = function (name) {
+            return manifestPreferences.hasOwnProperty(name) ?
+                manifestPreferences[name] :
+                getPreference.apply(config, arguments);
+        };
+
+        [MANIFEST_WINDOWS, MANIFEST_WINDOWS10, MANIFEST_PHONE].forEach(function (manifestFile) {
+            var manifest = AppxManifest.get(path.join(projectRoot, manifestFile));
+            applyCoreProperties(config, manifest);
+            applyLocalizedStrings(config, manifest);
+            // Start page depends on Identity.Name, so it needs to be updated as well
+            applyStartPage(config, manifest, manifest.prefix === 'uap:');
+            manifest.write();
+        });
+    }
 };
 
 function updateManifestFile (config, manifestPath) {
@@ -128,6 +169,7 @@ function updateManifestFile (config, manifestPath) {
     var isTargetingWin10 = manifest.prefix === 'uap:';
 
     applyCoreProperties(config, manifest);
+    applyLocalizedStrings(config, manifest);
     applyStartPage(config, manifest, isTargetingWin10);
 
     if (isTargetingWin10) {
@@ -146,6 +188,8 @@ function updateManifestFile (config, manifestPath) {
 
     if (isTargetingWin10) {
         manifest.setDependencies(config.getAllMinMaxUAPVersions());
+        applyActivationExtensions(config, manifest);
+        applyBackgroundTasks(config, manifest);
 
         var badCaps = manifest.getRestrictedCapabilities();
         if (config.hasRemoteUris() && badCaps) {
@@ -210,6 +254,241 @@ function applyCoreProperties (config, manifest) {
         .setPublisherDisplayName(publisherName);
 }
 
+/**
+ * Writes translations from config.xml (see ConfigParser.getLocalizedStrings)
+ *   to strings/<language>/resources.resjson files and replaces translated
+ *   manifest values with ms-resource: references to them. Languages of
+ *   /Package/Resources are updated accordingly.
+ *
+ * @param   {ConfigParser}  config    Platform config
+ * @param   {AppxManifest}  manifest  Manifest to update, with core properties
+ *   already applied
+ */
+function applyLocalizedStrings (config, manifest) {
+    // Values set by applyCoreProperties are used for the default language
+    var defaults = {
+        AppDisplayName: manifest.getVisualElements().getDisplayName(),
+        StoreDisplayName: manifest.getProperties().getDisplayName(),
+        PublisherDisplayName: manifest.getProperties().getPublisherDisplayName(),
+        AppDescription: manifest.getVisualElements().getDescription()
+    };
+    Object.keys(defaults).forEach(function (name) {
+        if (/^ms-resource:/i.test(defaults[name] || '')) delete defaults[name];
+    });
+
+    var translations = config.getLocalizedStrings();
+    var defaultLanguage = config.defaultLocale() || 'en-US';
+    var strings = {};
+    strings[defaultLanguage] = {};
+
+    Object.keys(translations).forEach(function (language) {
+        var translation = translations[language];
+        var values = {
+            AppDisplayName: translation.name,
+            // Store display name must be reserved in the Store, so app name is
+            // used only if there is no Store-specific one
+            StoreDisplayName: translation.WindowsStoreDisplayName ||
+                (defaults.StoreDisplayName === defaults.AppDisplayName ? translation.name : undefined),
+            PublisherDisplayName: translation.WindowsStorePublisherName,
+            AppDescription: translation.description && AppxManifest.processDescription(translation.description)
+        };
+
+        var key = Object.keys(strings).filter(function (known) {
+            return known.toLowerCase() === language.toLowerCase();
+        })[0] || language;
+        strings[key] = strings[key] || {};
+        Object.keys(values).forEach(function (name) {
+            if (values[name]) strings[key][name] = values[name];
+        });
+    });
+
+    // Only values translated to at least one language are moved to resources
+    var localized = Object.keys(defaults).filter(function (name) {
+        return defaults[name] && Object.keys(strings).some(function (language) {
+            return strings[language][name];
+        });
+    });
+    var languages = localized.length > 0 ? Object.keys(strings) : [];
+
+    writeLocalizedStrings(path.join(path.dirname(manifest.path), 'strings'), languages.reduce(function (result, language) {
+        result[language] = localized.reduce(function (values, name) {
+            values[name] = strings[language][name] || defaults[name];
+            return values;
+        }, {});
+        return result;
+    }, {}), Object.keys(defaults));
+
+    var reference = function (name) { return 'ms-resource:' + name; };
+    localized.forEach(function (name) {
+        switch (name) {
+        case 'AppDisplayName':
+            manifest.getVisualElements().setDisplayName(reference(name));
+            break;
+        case 'StoreDisplayName':
+            manifest.getProperties().setDisplayName(reference(name));
+            break;
+        case 'PublisherDisplayName':
+            manifest.getProperties().setPublisherDisplayName(reference(name));
+            break;
+        case 'AppDescription':
+            manifest.getProperties().setDescription(reference(name));
+            manifest.getVisualElements().setDescription(reference(name));
+            break;
+        }
+    });
+
+    manifest.setLanguages(languages);
+}
+
+/**
+ * Updates resources.resjson files in strings directory. Other strings in
+ *   these files are preserved, while managed strings are removed from
+ *   languages which are not listed anymore.
+ *
+ * @param   {String}    stringsDir  Path to strings directory
+ * @param   {Object}    strings     Map of language to { name: value } map
+ * @param   {String[]}  managed     Names of strings this function manages
+ */
+function writeLocalizedStrings (stringsDir, strings, managed) {
+    var existing = fs.existsSync(stringsDir) ? fs.readdirSync(stringsDir).filter(function (language) {
+        return fs.existsSync(path.join(stringsDir, language, 'resources.resjson'));
+    }) : [];
+
+    existing.concat(Object.keys(strings).filter(function (language) {
+        return existing.indexOf(language) < 0;
+    })).forEach(function (language) {
+        var file = path.join(stringsDir, language, 'resources.resjson');
+        var content = {};
+        if (fs.existsSync(file)) {
+            try {
+                content = JSON.parse(fs.readFileSync(file, 'utf-8').replace(/^\ufeff/, ''));
+            } catch (e) {
+                throw new CordovaError('Failed to parse ' + file + ': ' + e.message);
+            }
+        }
+
+        managed.forEach(function (name) { delete content[name]; });
+        Object.keys(strings[language] || {}).forEach(function (name) {
+            content[name] = strings[language][name];
+        });
+
+        if (Object.keys(content).length > 0) {
+            shell.mkdir('-p', path.dirname(file));
+            fs.writeFileSync(file, JSON.stringify(content, null, 4), 'utf-8');
+        } else if (fs.existsSync(file)) {
+            events.emit('verbose', 'Removing ' + file + ' as it has no strings left');
+            shell.rm('-f', file);
+            if (fs.readdirSync(path.dirname(file)).length === 0) shell.rm('-rf', path.dirname(file));
+        }
+    });
+
+    if (fs.existsSync(stringsDir) && fs.readdirSync(stringsDir).length === 0) {
+        shell.rm('-rf', stringsDir);
+    }
+}
+
+/**
+ * Declares protocols, file types, share target and app services from
+ *   <windows-protocol>, <windows-file-type>, <windows-share-target> and
+ *   <windows-app-service> config.xml elements in Windows 10 manifest, so app
+ *   is activated for them. Invalid declarations are skipped with a warning.
+ */
+function applyActivationExtensions (config, manifest) {
+    var protocols = config.getProtocols().filter(function (protocol) {
+        protocol.name = (protocol.name || '').toLowerCase();
+        if (!/^[a-z0-9][a-z0-9.+-]{1,38}$/.test(protocol.name) || RESERVED_PROTOCOLS.indexOf(protocol.name) >= 0) {
+            events.emit('warn', 'Protocol "' + protocol.name + '" is not a valid URI scheme or is reserved by Windows, skipping. ' +
+                'It should be 2 to 39 characters long and contain only letters, digits, ".", "+" and "-".');
+            return false;
+        }
+        return true;
+    });
+
+    var associations = config.getFileTypeAssociations().filter(function (association) {
+        association.name = (association.name || '').toLowerCase();
+        association.fileTypes = association.fileTypes.filter(function (type) {
+            type.fileType = type.fileType.toLowerCase();
+            if (!/^\.[^.\\/:*?"<>|\s]+$/.test(type.fileType)) {
+                events.emit('warn', 'File type "' + type.fileType + '" of "' + association.name + '" file type association ' +
+                    'should start with "." and be a valid file extension, skipping.');
+                return false;
+            }
+            return true;
+        });
+
+        if (!/^[a-z0-9._-]{1,100}$/.test(association.name) || association.fileTypes.length === 0) {
+            events.emit('warn', 'File type association "' + association.name + '" should have a name of up to 100 ' +
+                'letters, digits, ".", "_" and "-" and at least one valid <file-type>, skipping.');
+            return false;
+        }
+        return true;
+    });
+
+    var shareTarget = config.getShareTarget();
+    if (shareTarget && shareTarget.dataFormats.length === 0 && shareTarget.fileTypes.length === 0 && !shareTarget.supportsAnyFileType) {
+        events.emit('warn', 'Share target should have at least one <data-format> or <file-type>, or any-file-type="true", skipping.');
+        shareTarget = null;
+    }
+
+    var appServices = config.getAppServices().filter(function (service) {
+        if (!/^[a-zA-Z0-9._-]{1,39}$/.test(service.name || '')) {
+            events.emit('warn', 'App service name "' + (service.name || '') + '" should be 1 to 39 letters, digits, ".", "_" and "-", skipping.');
+            return false;
+        }
+
+        if (service.src) {
+            service.startPage = service.src.replace(/\\/g, '/').replace(/^\//, '');
+            if (!fs.existsSync(path.join(path.dirname(manifest.path), service.startPage))) {
+                events.emit('warn', 'App service script "' + service.startPage + '" doesn\'t exist in the project, skipping.');
+                return false;
+            }
+        }
+        return true;
+    });
+
+    manifest.setProtocols(protocols)
+        .setFileTypeAssociations(associations)
+        .setShareTarget(shareTarget)
+        .setAppServices(appServices);
+}
+
+/**
+ * Declares JavaScript background tasks from <windows-background-task>
+ *   config.xml elements in Windows 10 manifest. Tasks with missing scripts or
+ *   without known trigger types are skipped with a warning.
+ */
+function applyBackgroundTasks (config, manifest) {
+    var projectRoot = path.dirname(manifest.path);
+
+    var tasks = config.getBackgroundTasks().map(function (task) {
+        var startPage = (task.src || '').replace(/\\/g, '/').replace(/^\//, '');
+        if (!startPage || !fs.existsSync(path.join(projectRoot, startPage))) {
+            events.emit('warn', 'Background task script "' + startPage + '" doesn\'t exist in the project, skipping.');
+            return null;
+        }
+
+        var types = task.types.map(function (type) {
+            var knownType = AppxManifest.BACKGROUND_TASK_TYPES.filter(function (known) {
+                return known.toLowerCase() === (type || '').toLowerCase();
+            })[0];
+            if (!knownType) {
+                events.emit('warn', 'Unknown trigger type "' + type + '" of background task ' + startPage + ', skipping. ' +
+                    'Supported types are: ' + AppxManifest.BACKGROUND_TASK_TYPES.join(', ') + '.');
+            }
+            return knownType;
+        }).filter(Boolean);
+
+        if (types.length === 0) {
+            events.emit('warn', 'Background task ' + startPage + ' has no supported <trigger> elements, skipping.');
+            return null;
+        }
+
+        return { startPage: startPage, types: types };
+    }).filter(Boolean);
+
+    manifest.setBackgroundTasks(tasks);
+}
+
 function applyStartPage (config, manifest, targetingWin10) {
     // If not specified, set default value
     // http://cordova.apache.org/docs/en/edge/config_ref_index.md.html#The%20config.xml%20File
@@ -333,6 +612,8 @@ var PLATFORM_IMAGES = [
     { dest: 'SplashScreenPhone.scale-240', width: 1152, height: 1920, targetProject: TARGET_PROJECT_WP81 }
 ];
 
+module.exports.PLATFORM_IMAGES = PLATFORM_IMAGES;
+
 function findPlatformImage (width, height) {
     if (!width && !height) {
         // this could be default image,
@@ -362,8 +643,9 @@ function findPlatformImage (width, height) {
  * @return {String} targetProject defined in PLATFORM_IMAGES
  */
 function mrtSplashScreenToTargetProject (mrtImage) {
-    // Gives something like -> splashscreen.scale-100
-    var splashDestToFind = [mrtImage.basename, mrtImage.qualifiers].join('.').toLowerCase();
+    // Gives something like -> splashscreen.scale-100. Images with other qualifiers, e.g.
+    // splashscreen.scale-200_contrast-high, belong to the same project as the scale ones.
+    var splashDestToFind = [mrtImage.basename, 'scale-' + (mrtImage.scale || 100)].join('.').toLowerCase();
     var matchingSplashScreen = PLATFORM_IMAGES.filter(function (img) {
         return img.dest.toLowerCase() === splashDestToFind;
     })[0];
@@ -371,6 +653,88 @@ function mrtSplashScreenToTargetProject (mrtImage) {
     return matchingSplashScreen && matchingSplashScreen.targetProject;
 }
 
+/**
+ * Lists images in directory along with images in its subfolders, named after
+ *   MRT qualifiers (e.g. 'contrast-high' or 'scale-200_theme-dark')
+ *
+ * @param   {String}  directory  Directory to read
+ * @return  {MRTImage[]}         Images found
+ */
+function readMRTImages (directory) {
+    return fs.readdirSync(directory).reduce(function (result, file) {
+        var filePath = path.join(directory, file);
+        if (MRTImage.isQualifierFolder(file) && fs.statSync(filePath).isDirectory()) {
+            return result.concat(readMRTImages(filePath));
+        }
+
+        result.push(new MRTImage(filePath));
+        return result;
+    }, []);
+}
+
+/**
+ * Reads real dimensions of image file
+ *
+ * @param   {String}  filePath  Path to image
+ *
+ * @return  {Object|null}  Object with width, height and type fields or error
+ *   field, if image can't be read. null, if file doesn't exist: in that case
+ *   it is reported by FileUpdater.
+ */
+function readImageSize (filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    try {
+        return sizeOf(filePath);
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+// Checks that image file contents is PNG or JPEG regardless of its extension
+function isSupportedImageFormat (filePath, size) {
+    if (size && size.error) {
+        events.emit('warn', 'Failed to read "' + filePath + '": ' + size.error + ', skipping.');
+        return false;
+    }
+
+    if (size && SUPPORTED_IMAGE_EXTENSIONS.indexOf('.' + size.type) === -1) {
+        events.emit('warn', '"' + filePath + '" is ' + size.type.toUpperCase() + ' image, but only PNG and JPEG images are supported, skipping.');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Calculates the size image with target="<slot name>" is expected to have
+ *   based on its scale or targetsize qualifier
+ *
+ * @return  {Object|null}  Expected width and height or null, if there is no
+ *   such slot or image doesn't have size-related qualifiers
+ */
+function getExpectedImageSize (target, mrtImage) {
+    var baseSize = imageGenerator.IMAGE_SIZES[target];
+    if (!baseSize) {
+        return null;
+    }
+
+    if (mrtImage.targetSize) {
+        return { width: mrtImage.targetSize, height: mrtImage.targetSize };
+    }
+
+    if (!mrtImage.scale) {
+        return null;
+    }
+
+    return {
+        width: Math.round(baseSize.width * mrtImage.scale / 100),
+        height: Math.round(baseSize.height * mrtImage.scale / 100)
+    };
+}
+
 function mapImageResources (images, imagesDir) {
     function exceedsSizeLimit (filePath) {
         return fs.statSync(filePath).size > SPLASH_SCREEN_SIZE_LIMIT;
@@ -379,6 +743,11 @@ function mapImageResources (images, imagesDir) {
     var pathMap = {};
 
     images.forEach(function (img) {
+        // Master images are not copied, other images are generated from them instead
+        if (img.target === imageGenerator.MASTER_TARGET) {
+            return;
+        }
+
         var ext = path.extname(img.src).toLowerCase();
         if (SUPPORTED_IMAGE_EXTENSIONS.indexOf(ext) === -1) {
             events.emit('warn', '"' + ext + '" extension is not supported, skipping. Supported image extensions are ' + JSON.stringify(SUPPORTED_IMAGE_EXTENSIONS));
@@ -389,16 +758,36 @@ function mapImageResources (images, imagesDir) {
             // Parse source path into new MRTImage
             var imageToCopy = new MRTImage(img.src);
 
-            // then get all matching MRT images in source directory
-            var candidates = fs.readdirSync(imageToCopy.location)
-                .map(function (file) { return new MRTImage(path.join(imageToCopy.location, file)); })
-                .filter(imageToCopy.matchesTo, imageToCopy);
+            // then get all matching MRT images in source directory and its qualifier folders
+            var candidates = readMRTImages(imageToCopy.baseLocation)
+                .filter(imageToCopy.matchesTo, imageToCopy)
+                .filter(function (mrtImage) {
+                    if (!mrtImage.isValid()) {
+                        events.emit('warn', '"' + mrtImage.path + '" has invalid MRT qualifiers, skipping: ' + mrtImage.errors.join(', '));
+                    } else if (mrtImage.warnings.length > 0) {
+                        events.emit('warn', '"' + mrtImage.path + '" has qualifiers unknown to MRT, so Windows may not use it: ' + mrtImage.warnings.join(', '));
+                    }
+                    return mrtImage.isValid();
+                });
 
             // Warn user if no images were copied
             if (candidates.length === 0) {
                 events.emit('warn', 'No images found for target: ' + img.target);
             } else {
                 candidates.forEach(function (mrtImage) {
+                    var actualSize = readImageSize(mrtImage.path);
+                    if (!isSupportedImageFormat(mrtImage.path, actualSize)) {
+                        return;
+                    }
+
+                    var expectedSize = getExpectedImageSize(img.target, mrtImage);
+                    if (actualSize && expectedSize &&
+                        (actualSize.width !== expectedSize.width || actualSize.height !== expectedSize.height)) {
+                        events.emit('warn', '"' + mrtImage.path + '" is ' + actualSize.width + 'x' + actualSize.height + ', but ' +
+                            img.target + '.' + mrtImage.qualifiers + ' should be ' + expectedSize.width + 'x' + expectedSize.height +
+                            '. Windows will scale it, which makes it blurry.');
+                    }
+
                     if (img.target === SPLASH_SCREEN_DESKTOP_TARGET_NAME &&
                         mrtSplashScreenToTargetProject(mrtImage) === TARGET_PROJECT_10 &&
                         exceedsSizeLimit(mrtImage.path)) {
@@ -406,8 +795,13 @@ function mapImageResources (images, imagesDir) {
                         return;
                     }
 
-                    // copy images with new base name but keeping qualifier
+                    // copy images with new base name but keeping qualifier. Projects include only
+                    // top level images, so folder qualifiers are moved into the file name.
                     var targetPath = path.join(imagesDir, mrtImage.generateFilenameFrom(img.target));
+                    if (pathMap[targetPath]) {
+                        events.emit('warn', '"' + mrtImage.path + '" and "' + pathMap[targetPath] + '" have the same qualifiers, skipping the former.');
+                        return;
+                    }
                     pathMap[targetPath] = mrtImage.path;
                 });
             }
@@ -415,6 +809,18 @@ function mapImageResources (images, imagesDir) {
             // find target image by size
             var targetImg = findPlatformImage(img.width, img.height);
             if (targetImg) {
+                var size = readImageSize(img.src);
+                if (!isSupportedImageFormat(img.src, size)) {
+                    return;
+                }
+
+                if (size && (size.width !== targetImg.width || size.height !== targetImg.height)) {
+                    events.emit('warn', '"' + img.src + '" is ' + size.width + 'x' + size.height + ', but it is declared as ' +
+                        (img.width || '?') + 'x' + (img.height || '?') + ' in config.xml and ' + targetImg.dest + ' must be ' +
+                        targetImg.width + 'x' + targetImg.height + '. Resize the image or fix its width and height attributes, skipping.');
+                    return;
+                }
+
                 if (targetImg.targetProject === TARGET_PROJECT_10 &&
                     exceedsSizeLimit(img.src)) {
                     events.emit('warn', '"' + img.src + '" file size exceeds the limit of ' + SPLASH_SCREEN_SIZE_LIMIT + ' bytes, skipping.');
@@ -446,6 +852,144 @@ function copyImages (cordovaProject, locations) {
     events.emit('verbose', 'Updating icons and splash screens at ' + imagesDir);
     FileUpdater.updatePaths(
         resourceMap, { rootDir: cordovaProject.root }, logFileOp);
+
+    return resourceMap;
+}
+
+/**
+ * Returns master icon and splash screen (images with target="master"), which
+ *   the rest of images are generated from, along with background colors to pad
+ *   generated images with.
+ */
+function getMasterImages (projectConfig, config) {
+    function findMaster (images) {
+        return images.filter(function (img) {
+            return img.target === imageGenerator.MASTER_TARGET;
+        })[0];
+    }
+
+    var icon = findMaster(projectConfig.getIcons('windows'));
+    var splash = findMaster(projectConfig.getSplashScreens('windows'));
+    var masters = {};
+
+    if (icon) {
+        masters.icon = { src: icon.src, background: icon.background || config.getPreference('BackgroundColor') };
+    }
+
+    if (splash) {
+        masters.splash = {
+            src: splash.src,
+            background: splash.background || config.getPreference('SplashScreenBackgroundColor') || config.getPreference('BackgroundColor')
+        };
+    }
+
+    return masters;
+}
+
+// Project types, which images are generated for, as named in imageGenerator
+function getImageProjects (config) {
+    var isWin10 = function (version) { return /^(10\.0|uap|uwp)$/i.test(version); };
+    var projects = [isWin10(config.getWindowsTargetVersion()) ? 'win10' : 'win'];
+    var phoneProject = isWin10(config.getWindowsPhoneTargetVersion()) ? 'win10' : 'phone';
+
+    if (projects.indexOf(phoneProject) < 0) {
+        projects.push(phoneProject);
+    }
+
+    return projects;
+}
+
+/**
+ * Finds files for the image referenced from manifest: the file itself and its
+ *   variants with MRT qualifiers in the name or in folder names. Windows
+ *   resolves file names case-insensitively, so they are compared this way.
+ *
+ * @param   {String}  projectRoot  Platform project root
+ * @param   {String}  src          Image path, as specified in manifest
+ *
+ * @return  {String[]}  Paths to image files
+ */
+function findImageAssets (projectRoot, src) {
+    var reference = new MRTImage(path.join(projectRoot, src.replace(/\\/g, '/')));
+    if (!fs.existsSync(reference.location)) {
+        return [];
+    }
+
+    return readMRTImages(reference.location).filter(function (image) {
+        return image.basename.toLowerCase() === reference.basename.toLowerCase() &&
+            image.extension.toLowerCase() === reference.extension.toLowerCase();
+    }).map(function (image) {
+        return image.path;
+    });
+}
+
+module.exports.findImageAssets = findImageAssets;
+
+// Warns about manifest image slots, which have no image files for them, as the project fails to build then
+function reportMissingImages (config, locations) {
+    getImageProjects(config).forEach(function (project) {
+        var manifestFile = IMAGE_PROJECT_MANIFESTS[project];
+        var missing = AppxManifest.get(path.join(locations.root, manifestFile)).getImages()
+            .filter(function (image) {
+                return findImageAssets(locations.root, image.src).length === 0;
+            });
+
+        if (missing.length > 0) {
+            events.emit('warn', 'The following images referenced in ' + manifestFile + ' have no assets: ' +
+                missing.map(function (image) { return image.slot + ' (' + image.src + ')'; }).join(', ') +
+                '. Add <icon> or <splash> elements with target set to the slot name or to "master" to config.xml.');
+        }
+    });
+}
+
+/**
+ * Generates logos and splash screens of all scales from master icon and
+ *   splash screen. Images copied from config.xml explicitly take precedence
+ *   over generated ones.
+ *
+ * @param   {Object}  cordovaProject  Cordova project instance
+ * @param   {Object}  config          Platform config.xml parser
+ * @param   {Object}  locations       Platform locations
+ * @param   {Object}  [copiedImages]  Map of images copied by copyImages
+ *
+ * @return  {Promise}  Promise, resolved when images are generated
+ */
+function generateImages (cordovaProject, config, locations, copiedImages) {
+    var masters = getMasterImages(cordovaProject.projectConfig, config);
+    if (!masters.icon && !masters.splash) {
+        return Q();
+    }
+
+    Object.keys(masters).forEach(function (type) {
+        masters[type].src = path.resolve(cordovaProject.root, masters[type].src);
+    });
+
+    var explicitImages = Object.keys(copiedImages || {}).map(function (file) {
+        return path.basename(file).toLowerCase();
+    });
+    var images = imageGenerator.getImages(masters, getImageProjects(config)).filter(function (image) {
+        return explicitImages.indexOf(image.name.toLowerCase()) < 0;
+    });
+
+    var imagesDir = path.join(locations.root, 'images');
+    events.emit('verbose', 'Generating icons and splash screens at ' + imagesDir);
+    return imageGenerator.generate(images, imagesDir)
+        .then(function () {
+            // Splash screen slots are required, so oversized images can't be just skipped.
+            // Images generated by previous prepare are checked as well, as they are not generated again.
+            var oversized = images.map(function (image) {
+                return path.join(imagesDir, image.name);
+            }).filter(function (file) {
+                return mrtSplashScreenToTargetProject(new MRTImage(file)) === TARGET_PROJECT_10 &&
+                    fs.existsSync(file) && fs.statSync(file).size > SPLASH_SCREEN_SIZE_LIMIT;
+            });
+
+            if (oversized.length > 0) {
+                throw new CordovaError('Splash screen images generated from ' + masters.splash.src + ' exceed the file size limit of ' +
+                    SPLASH_SCREEN_SIZE_LIMIT + ' bytes: ' + oversized.join(', ') + '. Use a master image with fewer details or ' +
+                    'colors, or add <splash> elements for these images to config.xml.');
+            }
+        });
 }
 
 function cleanImages (projectRoot, projectConfig, locations) {
@@ -455,6 +999,10 @@ function cleanImages (projectRoot, projectConfig, locations) {
     if (images.length > 0) {
         var imagesDir = path.join(path.relative(projectRoot, locations.root), 'images');
         var resourceMap = mapImageResources(images, imagesDir);
+        imageGenerator.getImages(getMasterImages(projectConfig, projectConfig), getImageProjects(projectConfig))
+            .forEach(function (image) {
+                resourceMap[path.join(imagesDir, image.name)] = null;
+            });
         Object.keys(resourceMap).forEach(function (targetImagePath) {
             resourceMap[targetImagePath] = null;
         });
@@ -614,7 +1162,11 @@ module.exports.prepare = function (cordovaProject, options) {
             return updateProjectAccordingTo(self._config, self.locations);
         })
         .then(function () {
-            copyImages(cordovaProject, self.locations);
+            var copiedImages = copyImages(cordovaProject, self.locations);
+            return generateImages(cordovaProject, self._config, self.locations, copiedImages);
+        })
+        .then(function () {
+            reportMissingImages(self._config, self.locations);
 
             // Update SplashScreen image extensions in the manifests
             // TODO: Do this only when config.xml changes
@@ -729,13 +1281,40 @@ function updateConfigFilesFrom (sourceConfig, configMunger, locations) {
     events.emit('verbose', 'Merging project\'s config.xml into platform-specific windows config.xml');
     // Merge changes from app's config.xml into platform's one
     var config = new ConfigParser(ownConfig);
-    xmlHelpers.mergeXml(sourceConfig.doc.getroot(),
+    // mergeXml treats <name> as a singleton and keeps one preference per name, so
+    // translations would replace default values. Merge them separately instead.
+    var sourceRoot = et.XML(sourceConfig.doc.write({ xml_declaration: false }));
+    var localizedElements = removeLocalizedElements(sourceRoot);
+    removeLocalizedElements(config.doc.getroot());
+    xmlHelpers.mergeXml(sourceRoot,
         config.doc.getroot(), 'windows', /* clobber= */true);
 
+    localizedElements.forEach(function (element) {
+        config.doc.getroot().append(element);
+    });
+
     config.write();
     return config;
 }
 
+/**
+ * Removes localized elements (see ConfigParser.isLocalizedElement) from
+ *   config.xml root and its windows <platform> element.
+ *
+ * @return  {ElementTree.Element[]}  Removed elements
+ */
+function removeLocalizedElements (root) {
+    var removed = [];
+    [root].concat(root.findall('platform[@name="windows"]')).forEach(function (parent) {
+        parent.getchildren().filter(ConfigParser.isLocalizedElement).forEach(function (element) {
+            parent.remove(element);
+            removed.push(element);
+        });
+    });
+
+    return removed;
+}
+
 /**
  * Logs all file operations via the verbose event stream, indented.
  */
@@ -0,0 +1,138 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var path = require('path');
+var ConfigParser = require('./ConfigParser');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+var projFiles = {
+    phone: 'CordovaApp.Phone.jsproj',
+    win: 'CordovaApp.Windows.jsproj',
+    win10: 'CordovaApp.Windows10.jsproj'
+};
+
+module.exports.projFiles = projFiles;
+
+/**
+ * Returns list of projects to be built based on config.xml and additional
+ *   parameters (--appx, --win, --phone)
+ *
+ * @param   {String}   root             Path to the platform project
+ * @param   {Boolean}  [isWinSwitch]    Whether --win was passed
+ * @param   {Boolean}  [isPhoneSwitch]  Whether --phone was passed
+ * @param   {String}   [projOverride]   Value of --appx argument
+ * @param   {Object}   [buildConfig]    Build configuration to set
+ *   targetProject of, if specified
+ *
+ * @return  {String[]}                  List of .jsproj files
+ */
+module.exports.getBuildTargets = function (root, isWinSwitch, isPhoneSwitch, projOverride, buildConfig) {
+    buildConfig = typeof buildConfig !== 'undefined' ? buildConfig : null;
+
+    var configXML = new ConfigParser(path.join(root, 'config.xml'));
+    var targets = [];
+    var noSwitches = !(isPhoneSwitch || isWinSwitch);
+
+    // Windows
+    if (isWinSwitch || noSwitches) { // if --win or no arg
+        var windowsTargetVersion = configXML.getWindowsTargetVersion();
+        switch (windowsTargetVersion.toLowerCase()) {
+        case '8':
+        case '8.0':
+            throw new CordovaError('windows8 platform is deprecated. To use windows-target-version=8.0 you must downgrade to cordova-windows@4.');
+        case '8.1':
+            targets.push(projFiles.win);
+            break;
+        case '10.0':
+        case 'uap':
+        case 'uwp':
+            targets.push(projFiles.win10);
+            break;
+        default:
+            throw new CordovaError('Unsupported windows-target-version value: ' + windowsTargetVersion);
+        }
+    }
+
+    // Windows Phone
+    if (isPhoneSwitch || noSwitches) { // if --phone or no arg
+        var windowsPhoneTargetVersion = configXML.getWindowsPhoneTargetVersion();
+        switch (windowsPhoneTargetVersion.toLowerCase()) {
+        case '8.1':
+            targets.push(projFiles.phone);
+            break;
+        case '10.0':
+        case 'uap':
+        case 'uwp':
+            if (targets.indexOf(projFiles.win10) < 0) {
+                // Already built due to --win or no switches
+                // and since the same thing can be run on Phone as Windows,
+                // we can skip this one.
+                targets.push(projFiles.win10);
+            }
+            break;
+        default:
+            throw new CordovaError('Unsupported windows-phone-target-version value: ' + windowsPhoneTargetVersion);
+        }
+    }
+
+    // apply build target override if one was specified
+    if (projOverride) {
+        switch (projOverride.toLowerCase()) {
+        case '8.1':
+            targets = [projFiles.win, projFiles.phone];
+            break;
+        case '8.1-phone':
+            targets = [projFiles.phone];
+            break;
+        case '8.1-win':
+            targets = [projFiles.win];
+            break;
+        case 'uap':
+        case 'uwp':
+            targets = [projFiles.win10];
+            break;
+        default:
+            events.emit('warn', 'Ignoring unrecognized --appx parameter passed to build: "' + projOverride + '"');
+            break;
+        }
+    }
+
+    if (buildConfig !== null) {
+        // As part of reworking how build and package determine the winning project, set the 'target type' project
+        // as part of build configuration.  This will be used for determining the binary to 'run' after build is done.
+        if (targets.length > 0) {
+            switch (targets[0]) {
+            case projFiles.phone:
+                buildConfig.targetProject = 'phone';
+                break;
+            case projFiles.win10:
+                buildConfig.targetProject = 'windows10';
+                break;
+            case projFiles.win:
+                /* falls through */
+            default:
+                buildConfig.targetProject = 'windows';
+                break;
+            }
+        }
+    }
+
+    return targets;
+};
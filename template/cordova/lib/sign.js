@@ -0,0 +1,253 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var nopt = require('nopt');
+var shell = require('shelljs');
+var build = require('./build');
+var utils = require('./utils');
+var pckage = require('./package');
+var signtool = require('./signtool');
+var certificate = require('./certificate');
+var AppxManifest = require('./AppxManifest');
+var xml = require('cordova-common').xmlHelpers;
+var events = require('cordova-common').events;
+var spawn = require('cordova-common').superspawn.spawn;
+var CordovaError = require('cordova-common').CordovaError;
+
+// Files which are generated by makeappx and signtool and have to be removed
+// before the package content is packed again
+var GENERATED_FILES = ['AppxSignature.p7x', 'AppxBlockMap.xml', '[Content_Types].xml', 'AppxMetadata'];
+
+// signs an already built .appx or .appxbundle package with certificate from build config
+// or command line, without rebuilding the project. See 'sign' script for args list
+module.exports.run = function (signOptions) {
+    if (!utils.isCordovaProject(this.root)) {
+        return Q.reject(new CordovaError('Could not find project at ' + this.root));
+    }
+
+    var config;
+    var cert;
+
+    return Q.fcall(parseAndValidateArgs, signOptions)
+        .then(function (result) {
+            config = result;
+            cert = certificate.readPfx(config.packageCertificateKeyFile, config.password);
+            return findPackage(config);
+        })
+        .then(function (packagePath) {
+            var outputPath = config.output || packagePath;
+            events.emit('log', 'Signing ' + packagePath + ' with certificate "' + cert.subject + '" (' + cert.thumbprint + ')');
+
+            return signPackage(packagePath, outputPath, cert.subject, config)
+                .then(function () {
+                    events.emit('log', 'Signed package: ' + outputPath);
+                    return {
+                        appx: outputPath,
+                        publisher: cert.subject,
+                        thumbprint: cert.thumbprint
+                    };
+                });
+        });
+};
+
+/**
+ * Parses and validates signOptions object and platform-specific CLI arguments,
+ *   provided via argv field
+ *
+ * @param   {Object}  options  An options object
+ *
+ * @return  {Object}           Sign configuration
+ */
+function parseAndValidateArgs (options) {
+    options = options || {};
+    var args = nopt({
+        'archs': [String],
+        'appx': String,
+        'phone': Boolean,
+        'win': Boolean,
+        'package': String,
+        'output': String,
+        'buildConfig': String,
+        'profile': String,
+        'packageCertificateKeyFile': String
+    }, {}, options.argv || [], 0);
+
+    if (options.debug && options.release) {
+        throw new CordovaError('Cannot specify "debug" and "release" options together.');
+    }
+
+    var explicitBuildType = options.release ? 'release' : (options.debug ? 'debug' : null);
+    var config = {
+        buildType: explicitBuildType || 'debug'
+    };
+
+    var buildConfigPath = options.buildConfig || args.buildConfig;
+    if (buildConfigPath) {
+        var buildConfig = build.parseBuildConfig(buildConfigPath, config.buildType, args.profile);
+        config.buildType = explicitBuildType || buildConfig.buildType || config.buildType;
+        config.packageCertificateKeyFile = buildConfig.packageCertificateKeyFile;
+        if (buildConfig.packageCertificatePasswordEnv) {
+            config.password = process.env[buildConfig.packageCertificatePasswordEnv];
+        }
+    }
+
+    // CLI arguments override build.json config
+    if (args.packageCertificateKeyFile) {
+        config.packageCertificateKeyFile = path.resolve(process.cwd(), args.packageCertificateKeyFile);
+    }
+
+    if (!config.packageCertificateKeyFile) {
+        throw new CordovaError('No certificate to sign the package with. Specify packageCertificateKeyFile ' +
+            'in build config file or use --packageCertificateKeyFile option.');
+    }
+
+    var packagePath = options.package || args.package;
+    if (packagePath) {
+        config.package = path.resolve(process.cwd(), packagePath);
+    } else {
+        // Package is looked up in AppPackages the same way as 'run --nobuild' does it
+        build.getBuildTargets(args.win, args.phone, args.appx, config);
+        var archs = options.archs || args.archs || ['anycpu'];
+        if (typeof archs === 'string') { archs = archs.split(' '); }
+        config.buildArch = archs[0].toLowerCase();
+    }
+
+    if (args.output) {
+        config.output = path.resolve(process.cwd(), args.output);
+    }
+
+    return config;
+}
+
+function findPackage (config) {
+    if (config.package) {
+        return fs.existsSync(config.package) ?
+            Q(config.package) :
+            Q.reject(new CordovaError('Package to sign does not exist: ' + config.package));
+    }
+
+    return pckage.getPackage(config.targetProject, config.buildType, config.buildArch)
+        .then(function (pkg) {
+            return pkg.appx;
+        }, function (error) {
+            return Q.reject(new CordovaError('Could not find ' + config.buildType + ' package to sign: ' + error +
+                '. Build the project first or use --package to specify one.'));
+        });
+}
+
+/**
+ * Replaces Publisher in package (or bundle) content, packs it again and signs
+ *   the result. The original package is not changed unless it is also an
+ *   output path.
+ *
+ * @param   {String}  packagePath  Path to .appx or .appxbundle file
+ * @param   {String}  outputPath   Path to write signed package to
+ * @param   {String}  publisher    Certificate subject to use as Publisher
+ * @param   {Object}  config       Sign configuration, returned by
+ *   parseAndValidateArgs
+ *
+ * @return  {Promise}              Promise resolved when signed package is
+ *   written to output path
+ */
+function signPackage (packagePath, outputPath, publisher, config) {
+    var tools = {
+        makeappx: utils.getSdkToolPath('makeappx.exe')
+    };
+
+    var workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cordova-sign-'));
+    var tempOutput = path.join(workDir, path.basename(outputPath));
+    var repack = /\.appxbundle$/i.test(packagePath) ? repackBundle : repackPackage;
+
+    return repack(tools, packagePath, tempOutput, workDir, publisher, config)
+        .then(function () {
+            return signFile(tempOutput, config);
+        })
+        .then(function () {
+            shell.mkdir('-p', path.dirname(outputPath));
+            shell.cp('-f', tempOutput, outputPath);
+        })
+        .finally(function () {
+            shell.rm('-rf', workDir);
+        });
+}
+
+function removeGeneratedFiles (contentDir) {
+    GENERATED_FILES.forEach(function (file) {
+        shell.rm('-rf', path.join(contentDir, file));
+    });
+}
+
+function repackPackage (tools, packagePath, outputPath, workDir, publisher) {
+    var contentDir = path.join(workDir, path.basename(packagePath, path.extname(packagePath)));
+
+    return spawn(tools.makeappx, ['unpack', '/p', packagePath, '/d', contentDir, '/o'])
+        .then(function () {
+            removeGeneratedFiles(contentDir);
+
+            var manifest = AppxManifest.get(path.join(contentDir, 'AppxManifest.xml'), true);
+            manifest.getIdentity().setPublisher(publisher);
+            manifest.write();
+
+            return spawn(tools.makeappx, ['pack', '/d', contentDir, '/p', outputPath, '/o']);
+        });
+}
+
+function repackBundle (tools, bundlePath, outputPath, workDir, publisher, config) {
+    var contentDir = path.join(workDir, path.basename(bundlePath, path.extname(bundlePath)));
+    var packagesDir = path.join(workDir, 'packages');
+
+    return spawn(tools.makeappx, ['unbundle', '/p', bundlePath, '/d', contentDir, '/o'])
+        .then(function () {
+            // Keep bundle version, otherwise makeappx generates a new one based on current time
+            var bundleManifest = path.join(contentDir, 'AppxMetadata', 'AppxBundleManifest.xml');
+            var version = xml.parseElementtreeSync(bundleManifest).getroot().find('./Identity').attrib.Version;
+            removeGeneratedFiles(contentDir);
+
+            // Publisher of all packages in bundle must match the bundle's one, so each
+            // of them is updated and signed as well
+            var packages = fs.readdirSync(contentDir).filter(function (file) {
+                return /\.appx$/i.test(file);
+            });
+
+            shell.mkdir('-p', packagesDir);
+            return packages.reduce(function (promise, pkg) {
+                return promise.then(function () {
+                    var packagePath = path.join(contentDir, pkg);
+                    var packageDir = path.join(packagesDir, path.basename(pkg, '.appx'));
+                    shell.mkdir('-p', packageDir);
+
+                    return repackPackage(tools, packagePath, packagePath, packageDir, publisher)
+                        .then(function () {
+                            return signFile(packagePath, config);
+                        });
+                });
+            }, Q())
+                .then(function () {
+                    return spawn(tools.makeappx, ['bundle', '/d', contentDir, '/p', outputPath, '/bv', version, '/o']);
+                });
+        });
+}
+
+function signFile (file, config) {
+    return signtool.signFile(file, config.packageCertificateKeyFile, config.password);
+}
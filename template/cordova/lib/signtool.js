@@ -0,0 +1,63 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var Q = require('q');
+var execFile = require('child_process').execFile;
+var utils = require('./utils');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+var MASKED_PASSWORD = '********';
+
+/**
+ * Signs package or bundle in place with signtool from Windows SDK, without
+ *   changing its contents
+ *
+ * @param   {String}  file                       Path to .appx or .appxbundle file
+ * @param   {String}  packageCertificateKeyFile  Path to .pfx file
+ * @param   {String}  [password]                 Certificate password
+ *
+ * @return  {Promise}                            Promise resolved when the file is signed
+ */
+module.exports.signFile = function (file, packageCertificateKeyFile, password) {
+    var signtool = utils.getSdkToolPath('signtool.exe');
+    var args = ['sign', '/fd', 'SHA256', '/a', '/f', packageCertificateKeyFile];
+    if (password) {
+        // signtool only accepts .pfx password as an argument
+        args.push('/p', password);
+    }
+    args.push(file);
+
+    // superspawn logs the whole command line, so signtool is run directly
+    // and is logged with certificate password masked
+    events.emit('verbose', 'Running command: ' + signtool + ' ' + args.map(function (arg, index) {
+        return args[index - 1] === '/p' ? MASKED_PASSWORD : arg;
+    }).join(' '));
+
+    var deferred = Q.defer();
+    execFile(signtool, args, function (error, stdout, stderr) {
+        if (error) {
+            deferred.reject(new CordovaError('Failed to sign ' + file + ': ' + (stderr || stdout || error.message)));
+        } else {
+            deferred.resolve();
+        }
+    });
+
+    return deferred.promise;
+};
@@ -20,6 +20,7 @@
 var Q = require('q');
 var fs = require('fs');
 var path = require('path');
+var Version = require('./Version');
 var spawn = require('cordova-common').superspawn.spawn;
 var DeploymentTool = require('./deployment');
 
@@ -46,6 +47,29 @@ module.exports.getAppDeployUtils = function (targetWin10) {
     return Q.resolve(tool);
 };
 
+// returns path to a tool from Windows 10 SDK, e.g. 'makeappx.exe' or 'signtool.exe'.
+// Falls back to tool name so it is looked up in PATH if SDK is not found
+module.exports.getSdkToolPath = function (toolName) {
+    var programFilesFolder = process.env['ProgramFiles(x86)'] || process.env['ProgramFiles'];
+    if (!programFilesFolder) return toolName;
+
+    var binFolder = path.join(programFilesFolder, 'Windows Kits', '10', 'bin');
+    if (!fs.existsSync(binFolder)) return toolName;
+
+    // Starting with Windows 10 Creators Update SDK tools are placed into versioned
+    // folders, e.g. bin\10.0.15063.0\x86, so the latest version is preferred
+    var candidates = fs.readdirSync(binFolder)
+        .map(function (folder) { return Version.tryParse(folder) && folder; })
+        .filter(Boolean)
+        .sort(function (a, b) { return Version.comparer(Version.fromString(b), Version.fromString(a)); })
+        .map(function (folder) { return path.join(binFolder, folder, 'x86', toolName); })
+        .concat(path.join(binFolder, 'x86', toolName));
+
+    return candidates.filter(function (candidate) {
+        return fs.existsSync(candidate);
+    })[0] || toolName;
+};
+
 // checks to see if a .jsproj file exists in the project root
 module.exports.isCordovaProject = function (platformpath) {
     if (fs.existsSync(platformpath)) {